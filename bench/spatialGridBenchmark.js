@@ -0,0 +1,118 @@
+/* Compares SpatialGrid against the previous string-keyed grid - usage: node bench/spatialGridBenchmark.js [targets] [projectiles] [frames] */
+
+const { CONFIG, SeededRandom, SpatialGrid } = require('../src/headless'); /* Current grid and shared config */
+
+class LegacySpatialGrid { /* Previous grid kept verbatim for comparison - one cell per object, fixed 3x3 lookup */
+
+    constructor(cellSize) { /* Initialize grid with cell size */
+        this.cellSize = cellSize; /* Size of each grid cell for partitioning */
+        this.grid = {}; /* Object to store grid cells and their contents */
+    }
+
+    clear() { /* Reset grid for new frame */
+        this.grid = {}; /* Clear all cells */
+    }
+
+    addObject(object, index) { /* Add object to appropriate grid cell */
+        const cellX = Math.floor(object.x / this.cellSize); /* Calculate cell X coordinate */
+        const cellY = Math.floor(object.y / this.cellSize); /* Calculate cell Y coordinate */
+        const cellKey = `${cellX},${cellY}`; /* Create unique key for cell */
+        if (!this.grid[cellKey]) { /* Check if cell exists */
+            this.grid[cellKey] = []; /* Create new cell array if needed */
+        }
+        this.grid[cellKey].push({ obj: object, index }); /* Add object and its index to cell */
+    }
+
+    getNearbyObjects(x, y) { /* Get objects in and around specified position */
+        const cellX = Math.floor(x / this.cellSize); /* Get center cell X coordinate */
+        const cellY = Math.floor(y / this.cellSize); /* Get center cell Y coordinate */
+        const nearby = []; /* Array to store nearby objects */
+        for (let offsetX = -1; offsetX <= 1; offsetX++) { /* Check surrounding cells horizontally */
+            for (let offsetY = -1; offsetY <= 1; offsetY++) { /* Check surrounding cells vertically */
+                const checkKey = `${cellX + offsetX},${cellY + offsetY}`; /* Calculate cell key */
+                if (this.grid[checkKey]) { /* If cell exists */
+                    nearby.push(...this.grid[checkKey]); /* Add all objects in cell */
+                }
+            }
+        }
+        return nearby; /* Return array of nearby objects */
+    }
+}
+
+const targetCount = parseInt(process.argv[2], 10) || 2000; /* Targets per frame */
+const projectileCount = parseInt(process.argv[3], 10) || 500; /* Circle queries per frame */
+const frameCount = parseInt(process.argv[4], 10) || 300; /* Frames to time */
+const worldWidth = CONFIG.DISPLAY.WORLD_WIDTH; /* World bounds */
+const worldHeight = CONFIG.DISPLAY.WORLD_HEIGHT; /* World bounds */
+const projectileRadius = CONFIG.PROJECTILE.RADIUS; /* Query radius */
+
+function createScene(seed) { /* Same targets and projectiles for both grids */
+    const random = new SeededRandom(seed); /* Deterministic scene */
+    const targets = []; /* Circles to insert */
+    for (let i = 0; i < targetCount; i++) { /* Mostly small targets with a few large ones */
+        const radius = i % 50 === 0 ? random.range(100, 180) : random.range(8, 30); /* Radii above GRID_CELL_SIZE expose single-cell insertion */
+        targets.push({ x: random.range(0, worldWidth), y: random.range(0, worldHeight), radius }); /* Target */
+    }
+    const projectiles = []; /* Query points */
+    for (let i = 0; i < projectileCount; i++) { /* Random shots */
+        projectiles.push({ x: random.range(0, worldWidth), y: random.range(0, worldHeight) }); /* Projectile */
+    }
+    return { targets, projectiles }; /* Scene */
+}
+
+function overlaps(projectile, target) { /* Exact projectile/target test used by both grids */
+    return Math.hypot(projectile.x - target.x, projectile.y - target.y) <= projectileRadius + target.radius; /* Circle overlap or touch - same rule as queryCircle */
+}
+
+function countTrueHits(scene) { /* Brute-force reference */
+    let hits = 0; /* Overlapping pairs */
+    scene.projectiles.forEach(projectile => { /* Every projectile */
+        scene.targets.forEach(target => { if (overlaps(projectile, target)) hits++; }); /* Against every target */
+    });
+    return hits; /* Reference count */
+}
+
+function runLegacy(scene) { /* One frame with the previous grid */
+    const grid = runLegacy.grid; /* Shared instance, as in the simulation */
+    grid.clear(); /* New frame */
+    scene.targets.forEach((target, index) => grid.addObject(target, index)); /* Insert */
+    let hits = 0; /* Pairs found */
+    scene.projectiles.forEach(projectile => { /* Every projectile */
+        grid.getNearbyObjects(projectile.x, projectile.y).forEach(entry => { if (overlaps(projectile, entry.obj)) hits++; }); /* Narrow phase */
+    });
+    return hits; /* Pairs found */
+}
+runLegacy.grid = new LegacySpatialGrid(CONFIG.PERFORMANCE.GRID_CELL_SIZE); /* Previous grid */
+
+function runCurrent(scene) { /* One frame with the current grid */
+    const grid = runCurrent.grid; /* Shared instance, as in the simulation */
+    grid.clear(); /* New frame */
+    for (let i = 0; i < scene.targets.length; i++) grid.addObject(scene.targets[i]); /* Insert into every overlapped cell */
+    let hits = 0; /* Pairs found */
+    for (let i = 0; i < scene.projectiles.length; i++) { /* Every projectile */
+        const projectile = scene.projectiles[i]; /* Query point */
+        hits += grid.queryCircle(projectile.x, projectile.y, projectileRadius, runCurrent.results).length; /* Exact hits, de-duplicated */
+    }
+    return hits; /* Pairs found */
+}
+runCurrent.grid = new SpatialGrid(CONFIG.PERFORMANCE.GRID_CELL_SIZE); /* Current grid */
+runCurrent.results = []; /* Reused result array */
+
+function measure(label, run, scene, expectedHits) { /* Time frames and track heap growth */
+    for (let frame = 0; frame < 50; frame++) run(scene); /* Warm up caches and let the JIT settle before measuring */
+    if (global.gc) global.gc(); /* Stable baseline when run with --expose-gc */
+    const heapBefore = process.memoryUsage().heapUsed; /* Heap before timing */
+    const start = process.hrtime.bigint(); /* High-resolution start */
+    let hits = 0; /* Pairs found in last frame */
+    for (let frame = 0; frame < frameCount; frame++) hits = run(scene); /* Timed frames */
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6; /* Total time */
+    const heapGrowthKb = (process.memoryUsage().heapUsed - heapBefore) / 1024; /* Garbage left behind - lower bound without --expose-gc */
+    console.log(`${label.padEnd(8)} ${(elapsedMs / frameCount).toFixed(3).padStart(8)} ms/frame  ` +
+        `heap +${heapGrowthKb.toFixed(0).padStart(7)} KB  hits ${hits}/${expectedHits}${hits < expectedHits ? '  (missed ' + (expectedHits - hits) + ')' : ''}`); /* Report */
+}
+
+const scene = createScene(1234); /* Shared scene */
+const expectedHits = countTrueHits(scene); /* Reference */
+console.log(`${targetCount} targets, ${projectileCount} projectiles, ${frameCount} frames, cell ${CONFIG.PERFORMANCE.GRID_CELL_SIZE}`); /* Setup line */
+measure('current', runCurrent, scene, expectedHits); /* Current grid */
+measure('legacy', runLegacy, scene, expectedHits); /* Previous grid */
@@ -0,0 +1,33 @@
+const CONFIG_PRESETS = { /* Built-in tuning presets - each maps CONFIG paths to values and is applied on top of the defaults */
+    arcade: { /* Fast, forgiving and busy */
+        'PLAYER.MAX_SPEED': 480, /* Quicker movement */
+        'PLAYER.ACCELERATION': 2600, /* Snappy starts */
+        'PLAYER.FRICTION': 7, /* Short slides */
+        'PROJECTILE.MOMENTUM_TRANSFER': 0.15, /* Shots mostly go where aimed */
+        'TARGET.SPAWN_INTERVAL_SCALE': 0.75, /* More targets */
+        'TARGET.SIZE_SCALE': 1.3, /* Bigger targets */
+        'SCORING.COMBO_WINDOW': 2500, /* Combos are easier to keep */
+        'SCORING.BREAK_COMBO_ON_MISS': false, /* Spraying is allowed */
+    },
+    precision: { /* Slow, small targets and strict combos */
+        'PLAYER.MAX_SPEED': 300, /* Controlled movement */
+        'PLAYER.FRICTION': 9, /* Stops almost at once */
+        'PROJECTILE.MOMENTUM_TRANSFER': 0, /* Shots fly exactly along the aim */
+        'TARGET.SPAWN_INTERVAL_SCALE': 1.5, /* Fewer targets */
+        'TARGET.SIZE_SCALE': 0.6, /* Small targets */
+        'TARGET.LIFESPAN_SCALE': 0.8, /* Less time to line up each shot */
+        'TARGET.FADE_START_PERCENT': 0.5, /* Targets warn early that they are leaving */
+        'SCORING.MAX_MULTIPLIER': 6, /* Rewards long clean streaks */
+        'SCORING.BREAK_COMBO_ON_MISS': true, /* Every miss counts */
+    },
+    chaos: { /* Slippery player and a flood of targets */
+        'PLAYER.ACCELERATION': 3200, /* Hard to control */
+        'PLAYER.FRICTION': 1.5, /* Long drifts */
+        'PLAYER.BOUNCE_ENERGY_LOSS': 0.1, /* Walls barely slow the player */
+        'PROJECTILE.MOMENTUM_TRANSFER': 0.8, /* Shots carry most of the player's drift */
+        'TARGET.SPAWN_INTERVAL_SCALE': 0.35, /* Very frequent spawns */
+        'TARGET.LIFESPAN_SCALE': 0.7, /* Targets leave sooner */
+        'CAMERA.MAX_SHAKE': 40, /* Higher shake cap */
+        'EFFECTS.SHAKE_SCALE': 2, /* Every hit shakes twice as hard */
+    },
+};
@@ -0,0 +1,82 @@
+const CONFIG_SCHEMA = { /* JSON Schema for the tunable part of CONFIG - checked by ConfigManager at load; nodes with a title appear in the config panel */
+    type: 'object', /* Root is an object */
+    required: ['PERFORMANCE', 'DISPLAY', 'CAMERA', 'PLAYER', 'PROJECTILE', 'TARGET', 'SCORING', 'EFFECTS', 'BOTS'], /* Sections the panel edits */
+    properties: { /* Sections not listed here are checked only by the code that reads them */
+        PERFORMANCE: {
+            type: 'object', /* Timing and collision */
+            properties: {
+                TICK_RATE: { type: 'integer', minimum: 10, maximum: 240, title: 'Tick rate (steps/s)' }, /* Simulation steps per second */
+                FIXED_TIMESTEP: { type: 'number', readOnly: true, title: 'Fixed timestep (s)' }, /* Derived from TICK_RATE */
+                MAX_FRAME_DELTA: { type: 'number', minimum: 0.02, maximum: 1, title: 'Max frame delta (s)' }, /* Hitch clamp */
+                GRID_CELL_SIZE: { type: 'number', minimum: 10, maximum: 400, title: 'Grid cell size' }, /* Spatial grid cell size */
+            },
+        },
+        DISPLAY: {
+            type: 'object', /* World fitting */
+            properties: {
+                FIT_MODE: { type: 'string', enum: ['contain', 'cover', 'fixed'], title: 'Fit mode' }, /* World fitting in the window */
+            },
+        },
+        CAMERA: {
+            type: 'object', /* World view */
+            properties: {
+                ZOOM: { type: 'number', minimum: 0.5, maximum: 3, title: 'Zoom' }, /* Default zoom - within MIN_ZOOM and MAX_ZOOM */
+                MAX_SHAKE: { type: 'number', minimum: 0, maximum: 100, title: 'Max shake' }, /* Shake offset cap */
+            },
+        },
+        PLAYER: {
+            type: 'object', /* Player physics */
+            properties: {
+                SIZE: { type: 'number', minimum: 5, maximum: 80, title: 'Size' }, /* Player radius */
+                MAX_SPEED: { type: 'number', minimum: 50, maximum: 1500, title: 'Max speed' }, /* Pixels per second */
+                ACCELERATION: { type: 'number', minimum: 100, maximum: 10000, title: 'Acceleration' }, /* Pixels per second squared */
+                FRICTION: { type: 'number', minimum: 0, maximum: 30, title: 'Friction' }, /* Velocity damping rate per second */
+                STOP_SPEED: { type: 'number', minimum: 0, maximum: 20, title: 'Stop speed' }, /* Snap-to-zero speed */
+                BOUNDARY_PADDING: { type: 'number', minimum: 0, maximum: 100, title: 'Boundary padding' }, /* Distance kept from edges */
+                BOUNCE_ENERGY_LOSS: { type: 'number', minimum: 0, maximum: 1, title: 'Bounce energy loss' }, /* Fraction lost per wall bounce */
+            },
+        },
+        PROJECTILE: {
+            type: 'object', /* Weapon defaults */
+            properties: {
+                SPEED: { type: 'number', minimum: 50, maximum: 3000, title: 'Default speed' }, /* Used by weapons without SPEED */
+                RADIUS: { type: 'number', minimum: 1, maximum: 30, title: 'Default radius' }, /* Used by weapons without RADIUS */
+                MOMENTUM_TRANSFER: { type: 'number', minimum: 0, maximum: 1, title: 'Momentum transfer' }, /* Share of player velocity */
+            },
+        },
+        TARGET: {
+            type: 'object', /* Spawn defaults */
+            properties: {
+                SPAWN_INTERVAL: { type: 'number', minimum: 16, maximum: 10000, title: 'Default spawn interval (ms)' }, /* Waves without SPAWN_INTERVAL */
+                SPAWN_INTERVAL_SCALE: { type: 'number', minimum: 0.1, maximum: 10, title: 'Spawn interval scale' }, /* Applies to every wave */
+                LIFESPAN_SCALE: { type: 'number', minimum: 0.1, maximum: 10, title: 'Lifespan scale' }, /* Applies to every wave */
+                SIZE_SCALE: { type: 'number', minimum: 0.25, maximum: 4, title: 'Size scale' }, /* Applies to every wave */
+                MAX_LIFESPAN: { type: 'number', minimum: 500, maximum: 60000, title: 'Default lifespan (ms)' }, /* Waves without LIFESPAN */
+                FADE_START_PERCENT: { type: 'number', minimum: 0, maximum: 1, title: 'Fade start' }, /* Fraction of lifespan before fading */
+                MIN_SIZE: { type: 'number', minimum: 2, maximum: 100, title: 'Default min size' }, /* Waves without SIZE_MIN */
+                SIZE_VARIATION: { type: 'number', minimum: 0, maximum: 100, title: 'Default size variation' }, /* Waves without SIZE_MAX */
+            },
+        },
+        SCORING: {
+            type: 'object', /* ScoreKeeper tuning */
+            properties: {
+                COMBO_WINDOW: { type: 'number', minimum: 100, maximum: 10000, title: 'Combo window (ms)' }, /* Combo lifetime without a kill */
+                MAX_MULTIPLIER: { type: 'number', minimum: 1, maximum: 20, title: 'Max multiplier' }, /* Multiplier cap */
+                BREAK_COMBO_ON_MISS: { type: 'boolean', title: 'Break combo on miss' }, /* Clean misses end the combo */
+            },
+        },
+        EFFECTS: {
+            type: 'object', /* Particles and shake */
+            properties: {
+                ENABLED: { type: 'boolean', title: 'Particles and shake' }, /* Master switch */
+                SHAKE_SCALE: { type: 'number', minimum: 0, maximum: 5, title: 'Shake scale' }, /* Multiplies every shake */
+            },
+        },
+        BOTS: {
+            type: 'object', /* BotController tuning */
+            properties: {
+                DIFFICULTY: { type: 'string', enum: ['EASY', 'NORMAL', 'HARD', 'SOAK'], title: 'Bot difficulty' }, /* Key into BOTS.DIFFICULTIES */
+            },
+        },
+    },
+};
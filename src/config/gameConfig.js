@@ -1,54 +1,597 @@
 const CONFIG = { /* Global configuration object for game settings */
     // Performance settings
     PERFORMANCE: { /* Settings related to game performance */
-        TARGET_FPS: 60, /* Target frames per second for game loop */
-        FRAME_TIME: 1000 / 60, /* Milliseconds per frame (16.67ms) */
+        TICK_RATE: 60, /* Fixed simulation steps per second, independent of display refresh rate */
+        get FIXED_TIMESTEP() { return 1 / this.TICK_RATE; }, /* Seconds of game time advanced by each simulation step - derived so it never disagrees with TICK_RATE */
+        MAX_FRAME_DELTA: 0.25, /* Longest real-time gap in seconds fed to the accumulator (prevents spiral of death after hitches) */
         GRID_CELL_SIZE: 100, /* Size of cells for spatial partitioning collision system */
     },
+
+    // Display settings
+    DISPLAY: { /* Logical world size and how it is fitted to the window */
+        WORLD_WIDTH: 800, /* World width in world units - independent of canvas pixels */
+        WORLD_HEIGHT: 600, /* World height in world units */
+        FIT_MODE: 'contain', /* 'contain' letterboxes, 'cover' fills and crops, 'fixed' keeps 1 world unit per CSS pixel */
+        FIT_MODES: ['contain', 'cover', 'fixed'], /* Supported fit modes */
+        MAX_PIXEL_RATIO: 3, /* Cap on devicePixelRatio to bound backing store size */
+    },
+
+    RENDERING: { /* Renderer backend selection */
+        BACKEND: 'webgl', /* 'webgl' draws circles with instancing, 'canvas2d' draws everything with the 2D API */
+        FALLBACK_BACKEND: 'canvas2d', /* Used when the chosen backend cannot start */
+        OPACITY_LEVELS: 20, /* Canvas 2D batches targets into this many opacity steps */
+        INITIAL_INSTANCES: 1024, /* WebGL instance buffer capacity - doubles when exceeded */
+    },
+
+    CAMERA: { /* View transform applied to the world layer - HUD is not affected */
+        ZOOM: 1, /* Default zoom factor */
+        MIN_ZOOM: 0.5, /* Smallest allowed zoom */
+        MAX_ZOOM: 3, /* Largest allowed zoom */
+        MAX_SHAKE: 24, /* Largest shake offset in world units */
+    },
     
     // Game entity settings
     PLAYER: { /* Player-specific settings */
         SIZE: 30, /* Player circle radius in pixels */
-        MAX_SPEED: 6, /* Maximum player speed in pixels per frame */
-        ACCELERATION: 0.5, /* How quickly player accelerates when keys pressed */
-        FRICTION: 0.92, /* Friction coefficient (0-1) - higher means less friction */
+        MAX_SPEED: 360, /* Maximum player speed in pixels per second */
+        ACCELERATION: 1800, /* Acceleration in pixels per second squared while keys pressed */
+        FRICTION: 5, /* Velocity damping rate per second - velocity decays by e^(-FRICTION * dt) */
+        STOP_SPEED: 0.6, /* Speeds below this (pixels per second) snap to zero to end endless drift */
         BOUNDARY_PADDING: 30, /* Distance from edge player must maintain */
         BOUNCE_ENERGY_LOSS: 0.5, /* Energy lost when bouncing off walls (50%) */
     },
     
-    PROJECTILE: { /* Projectile-specific settings */
-        SPEED: 10, /* Base projectile speed in pixels per frame */
+    PROJECTILE: { /* Projectile defaults for weapons in WEAPONS that omit a value */
+        SPEED: 600, /* Base projectile speed in pixels per second */
         RADIUS: 5, /* Size of projectile circles in pixels */
         MOMENTUM_TRANSFER: 0.3, /* 30% of player momentum transfers to projectile */
     },
     
-    TARGET: { /* Target-specific settings */
-        SPAWN_INTERVAL: 200, /* Milliseconds between target spawns */
-        MAX_LIFESPAN: 8000, /* Maximum target lifetime in milliseconds (8 seconds) */
+    WEAPONS: { /* Weapon definitions - number keys select them in this order */
+        PISTOL: { /* Reliable semi-automatic sidearm */
+            LABEL: 'Pistol', /* Name shown in the HUD */
+            FIRE_MODE: 'semi', /* One shot per click */
+            COOLDOWN: 150, /* Minimum milliseconds between shots */
+            MAGAZINE: 12, /* Shots before reloading */
+            RELOAD_TIME: 900, /* Milliseconds to refill magazine */
+        },
+        RIFLE: { /* Hold-to-fire automatic */
+            LABEL: 'Rifle', /* Name shown in the HUD */
+            FIRE_MODE: 'auto', /* Fires while the button is held */
+            COOLDOWN: 90, /* Minimum milliseconds between shots */
+            MAGAZINE: 30, /* Shots before reloading */
+            RELOAD_TIME: 1500, /* Milliseconds to refill magazine */
+            SPEED: 750, /* Faster rounds */
+            RADIUS: 4, /* Smaller rounds */
+            MOMENTUM_TRANSFER: 0.2, /* Less drift from player movement */
+        },
+        SHOTGUN: { /* Spread of pellets */
+            LABEL: 'Shotgun', /* Name shown in the HUD */
+            FIRE_MODE: 'semi', /* One blast per click */
+            COOLDOWN: 600, /* Minimum milliseconds between blasts */
+            MAGAZINE: 6, /* Blasts before reloading */
+            RELOAD_TIME: 1800, /* Milliseconds to refill magazine */
+            PELLETS: 7, /* Projectiles per blast */
+            SPREAD: 0.5, /* Total fan angle in radians */
+            SPEED: 550, /* Slower pellets */
+            RADIUS: 3, /* Small pellets */
+            MOMENTUM_TRANSFER: 0.4, /* Pellets carry more player momentum */
+        },
+        RAILGUN: { /* Piercing slug */
+            LABEL: 'Railgun', /* Name shown in the HUD */
+            FIRE_MODE: 'semi', /* One slug per click */
+            COOLDOWN: 700, /* Minimum milliseconds between shots */
+            MAGAZINE: 4, /* Slugs before reloading */
+            RELOAD_TIME: 2000, /* Milliseconds to refill magazine */
+            SPEED: 1200, /* Very fast */
+            RADIUS: 4, /* Thin slug */
+            PIERCE: 4, /* Extra targets passed through after the first hit */
+            MOMENTUM_TRANSFER: 0, /* Perfectly straight */
+        },
+        LAUNCHER: { /* Explosive rounds */
+            LABEL: 'Launcher', /* Name shown in the HUD */
+            FIRE_MODE: 'semi', /* One rocket per click */
+            COOLDOWN: 900, /* Minimum milliseconds between rockets */
+            MAGAZINE: 3, /* Rockets before reloading */
+            RELOAD_TIME: 2200, /* Milliseconds to refill magazine */
+            SPEED: 400, /* Slow rockets */
+            RADIUS: 8, /* Large rockets */
+            EXPLOSION_RADIUS: 90, /* Area damage radius in pixels on impact */
+        },
+    },
+    DEFAULT_WEAPON: 'PISTOL', /* Weapon equipped at round start */
+    
+    TARGET: { /* Target-specific settings - spawn values are defaults for waves in WAVE_CONFIG that omit them */
+        SPAWN_INTERVAL: 200, /* Default milliseconds between spawn events */
+        SPAWN_INTERVAL_SCALE: 1, /* Multiplies every wave's spawn interval - below 1 spawns faster */
+        LIFESPAN_SCALE: 1, /* Multiplies every wave's target lifetime */
+        SIZE_SCALE: 1, /* Multiplies every wave's target radii */
+        MAX_LIFESPAN: 8000, /* Default target lifetime in milliseconds (8 seconds) */
         FADE_START_PERCENT: 0.75, /* When target begins fading (75% of lifespan) */
-        MIN_SIZE: 10, /* Minimum target radius in pixels */
-        SIZE_VARIATION: 20, /* Maximum additional size for targets (10-30px radius) */
-        SCORE_VALUE: 10, /* Score gained when hitting a target */
+        MIN_SIZE: 10, /* Default minimum target radius in pixels */
+        SIZE_VARIATION: 20, /* Default additional size for targets (10-30px radius) */
+    },
+    
+    TARGET_TYPES: { /* Per-type tuning for TargetTypeRegistry - waves pick types by id in WAVE_CONFIG */
+        NORMAL: { /* Plain one-hit target */
+            SCORE: 10, /* Points when destroyed */
+        },
+        ARMORED: { /* Takes several hits, shows a health ring */
+            SCORE: 30, /* Points when destroyed */
+            HEALTH: 3, /* Hits needed to destroy */
+        },
+        SPLITTER: { /* Breaks into smaller targets when hit */
+            SCORE: 15, /* Points per piece destroyed */
+            SPLIT_COUNT: 2, /* Pieces spawned per hit */
+            SPLIT_SIZE_FACTOR: 0.6, /* Piece radius relative to parent */
+            MIN_SPLIT_RADIUS: 8, /* Pieces smaller than this are not spawned */
+            SPLIT_SPEED: 120, /* Piece bounce speed in pixels per second */
+            SPLIT_LIFESPAN: 3000, /* Piece lifetime in milliseconds */
+        },
+        GOLDEN: { /* Fast, short-lived bonus */
+            SCORE: 50, /* Points when destroyed */
+            LIFESPAN_FACTOR: 0.4, /* Fraction of the wave lifespan it survives */
+            SPEED: 240, /* Bounce speed in pixels per second */
+        },
+        DECOY: { /* Must not be shot */
+            SCORE: -20, /* Points lost when hit */
+            COUNTS_AS_MISS: false, /* Letting a decoy expire is correct play */
+            BREAKS_COMBO: true, /* Hitting a decoy resets the combo multiplier */
+        },
+    },
+    
+    SCORING: { /* ScoreKeeper tuning - base points come from TARGET_TYPES */
+        SIZE_REFERENCE_RADIUS: 20, /* Radius that earns exactly the base points - smaller earns more */
+        SIZE_FACTOR_MIN: 0.5, /* Lowest size multiplier for very large targets */
+        SIZE_FACTOR_MAX: 3, /* Highest size multiplier for very small targets */
+        TIME_BONUS_MAX: 10, /* Extra points for hitting a target the instant it spawns */
+        TIME_BONUS_WINDOW: 2000, /* Milliseconds after spawn during which the time bonus shrinks to zero */
+        COMBO_WINDOW: 1500, /* Milliseconds a combo survives without another kill */
+        COMBO_STEP: 5, /* Kills needed per multiplier increase */
+        MULTIPLIER_STEP: 0.5, /* Multiplier gained every COMBO_STEP kills */
+        MAX_MULTIPLIER: 4, /* Multiplier cap */
+        BREAK_COMBO_ON_MISS: true, /* A projectile leaving the world without hitting ends the combo */
+    },
+    
+    EFFECTS: { /* Cosmetic particles, score popups and screen shake - EffectsSystem reads simulation events and never feeds back into it */
+        ENABLED: true, /* Master switch - off skips every emitter, popup and shake */
+        SHAKE_SCALE: 1, /* Multiplies every SHAKE intensity - 0 turns shake off */
+        EXPLOSION: { /* Burst in the target's color when it is destroyed */
+            COUNT: 16, /* Particles per burst */
+            SPREAD: Math.PI * 2, /* Emission cone in radians - full circle */
+            SPEED_MIN: 60, /* Slowest particle in world units per second */
+            SPEED_MAX: 260, /* Fastest particle in world units per second */
+            RADIUS_MIN: 2, /* Smallest starting radius */
+            RADIUS_MAX: 5, /* Largest starting radius */
+            END_SCALE: 0.2, /* Radius at end of life relative to start */
+            LIFESPAN_MIN: 300, /* Shortest life in milliseconds */
+            LIFESPAN_MAX: 600, /* Longest life in milliseconds */
+            DRAG: 4, /* Velocity damping rate per second */
+        },
+        HIT_SPARK: { /* Small sparks when a hit does not destroy the target */
+            COUNT: 6, /* Particles per hit */
+            SPREAD: Math.PI * 2, /* Full circle */
+            SPEED_MIN: 80, /* Slowest spark */
+            SPEED_MAX: 200, /* Fastest spark */
+            RADIUS_MIN: 1.5, /* Smallest spark */
+            RADIUS_MAX: 3, /* Largest spark */
+            END_SCALE: 0, /* Shrink to nothing */
+            LIFESPAN_MIN: 150, /* Shortest life in milliseconds */
+            LIFESPAN_MAX: 300, /* Longest life in milliseconds */
+            DRAG: 6, /* Sparks stop quickly */
+        },
+        BLAST: { /* Fireball where an explosive round detonates */
+            COUNT: 32, /* Particles per blast */
+            SPREAD: Math.PI * 2, /* Full circle */
+            SPEED_MIN: 100, /* Slowest particle at REFERENCE_RADIUS */
+            SPEED_MAX: 420, /* Fastest particle at REFERENCE_RADIUS */
+            RADIUS_MIN: 3, /* Smallest starting radius */
+            RADIUS_MAX: 7, /* Largest starting radius */
+            END_SCALE: 0.1, /* Nearly gone at end of life */
+            LIFESPAN_MIN: 350, /* Shortest life in milliseconds */
+            LIFESPAN_MAX: 700, /* Longest life in milliseconds */
+            DRAG: 5, /* Fireball slows as it spreads */
+            REFERENCE_RADIUS: 90, /* Explosion radius the speeds are tuned for - larger blasts throw particles further */
+        },
+        MUZZLE_FLASH: { /* Cone of sparks from the player's edge on every trigger pull */
+            COUNT: 6, /* Particles per shot - spread weapons widen the cone, not the count */
+            SPREAD: 0.6, /* Cone in radians, added to the weapon's own spread */
+            SPEED_MIN: 150, /* Slowest spark */
+            SPEED_MAX: 350, /* Fastest spark */
+            RADIUS_MIN: 2, /* Smallest spark */
+            RADIUS_MAX: 4, /* Largest spark */
+            END_SCALE: 0.3, /* Shrink over life */
+            LIFESPAN_MIN: 60, /* Shortest life in milliseconds */
+            LIFESPAN_MAX: 120, /* Longest life in milliseconds */
+            DRAG: 10, /* Flash stays close to the barrel */
+        },
+        TRAIL: { /* Fading dots left behind each projectile, emitted once per rendered frame */
+            COUNT: 1, /* Particles per projectile per frame */
+            SPREAD: 0.4, /* Cone in radians around the direction opposite travel */
+            SPEED_MIN: 0, /* Slowest drift */
+            SPEED_MAX: 30, /* Fastest drift */
+            RADIUS_MIN: 1.5, /* Smallest dot */
+            RADIUS_MAX: 3, /* Largest dot */
+            END_SCALE: 0, /* Shrink to nothing */
+            LIFESPAN_MIN: 120, /* Shortest life in milliseconds */
+            LIFESPAN_MAX: 200, /* Longest life in milliseconds */
+            DRAG: 2, /* Slight slowdown */
+        },
+        SCORE_POPUP: { /* Floating points text where a target was destroyed */
+            LIFESPAN: 800, /* Milliseconds on screen */
+            RISE_SPEED: 60, /* Upward drift in world units per second */
+            FADE_START_PERCENT: 0.5, /* Fraction of life before fading begins */
+            FONT_SIZE: 18, /* Text size in world units */
+        },
+        SHAKE: { /* Camera shake per event - Camera keeps the strongest shake running */
+            HIT: { INTENSITY: 2, DURATION: 80 }, /* Hit that does not destroy - offset in world units, length in milliseconds */
+            KILL: { INTENSITY: 4, DURATION: 120 }, /* Target destroyed */
+            PENALTY: { INTENSITY: 10, DURATION: 250 }, /* Decoy or other negative award */
+            EXPLOSION: { INTENSITY: 14, DURATION: 300 }, /* Explosive round detonates */
+        },
+    },
+
+    AUDIO: { /* Procedural WebAudio sound effects - every sound is synthesized, no asset files */
+        STORAGE_KEY: 'clickFire.audio', /* localStorage key for volume and mute */
+        FORMAT_VERSION: 1, /* Bumped whenever the stored settings layout changes */
+        MASTER_VOLUME: 0.8, /* Default overall volume, 0 to 1 */
+        SFX_VOLUME: 0.8, /* Default sound effect bus volume, 0 to 1 */
+        MAX_VOICES: 16, /* Most sounds playing at once - extra sounds are skipped so rapid fire cannot clip */
+        PAN_WIDTH: 0.8, /* Stereo spread - 1 puts the world edges hard left and right */
+        LIMITER_THRESHOLD: -12, /* dB at which the master limiter starts compressing */
+        FIRE: { /* Shot - one per trigger pull */
+            WAVE: 'square', /* Oscillator shape */
+            FREQUENCY: 520, /* Start pitch in Hz before weapon and momentum scaling */
+            END_FREQUENCY: 180, /* Pitch at the end of the sweep */
+            DURATION: 90, /* Milliseconds */
+            VOLUME: 0.22, /* Peak gain */
+            NOISE: 0.35, /* Share of filtered noise mixed with the tone, 0 to 1 */
+            MIN_INTERVAL: 25, /* Milliseconds before this sound may start again */
+            MOMENTUM_PITCH: 0.25, /* Pitch change at full player speed toward (+) or away from (-) the aim */
+            WEAPON_PITCH: { /* Pitch multiplier per CONFIG.WEAPONS id - missing weapons use 1 */
+                PISTOL: 1, /* Reference */
+                RIFLE: 1.25, /* Tighter crack */
+                SHOTGUN: 0.55, /* Boom */
+                RAILGUN: 1.9, /* Whine */
+                LAUNCHER: 0.4, /* Thump */
+            },
+        },
+        HIT: { /* Target destroyed */
+            WAVE: 'triangle', /* Oscillator shape */
+            FREQUENCY: 880, /* Start pitch in Hz at REFERENCE_RADIUS */
+            END_FREQUENCY: 440, /* Pitch at the end of the sweep */
+            DURATION: 120, /* Milliseconds */
+            VOLUME: 0.3, /* Peak gain */
+            NOISE: 0.2, /* Share of filtered noise */
+            MIN_INTERVAL: 20, /* Milliseconds before this sound may start again */
+            REFERENCE_RADIUS: 20, /* Target radius that plays at FREQUENCY - smaller targets play higher */
+            MIN_PITCH: 0.5, /* Lowest size multiplier */
+            MAX_PITCH: 2.5, /* Highest size multiplier */
+        },
+        ARMOR: { /* Hit absorbed by armor */
+            WAVE: 'square', /* Oscillator shape */
+            FREQUENCY: 1400, /* Start pitch in Hz */
+            END_FREQUENCY: 1100, /* Pitch at the end of the sweep */
+            DURATION: 60, /* Milliseconds */
+            VOLUME: 0.18, /* Peak gain */
+            NOISE: 0.5, /* Share of filtered noise */
+            MIN_INTERVAL: 20, /* Milliseconds before this sound may start again */
+        },
+        PENALTY: { /* Decoy or other negative award */
+            WAVE: 'sawtooth', /* Oscillator shape */
+            FREQUENCY: 180, /* Start pitch in Hz */
+            END_FREQUENCY: 90, /* Pitch at the end of the sweep */
+            DURATION: 300, /* Milliseconds */
+            VOLUME: 0.25, /* Peak gain */
+            NOISE: 0, /* Pure tone */
+            MIN_INTERVAL: 100, /* Milliseconds before this sound may start again */
+        },
+        EXPLOSION: { /* Explosive round detonates */
+            WAVE: 'sine', /* Oscillator shape */
+            FREQUENCY: 120, /* Start pitch in Hz */
+            END_FREQUENCY: 40, /* Pitch at the end of the sweep */
+            DURATION: 500, /* Milliseconds */
+            VOLUME: 0.5, /* Peak gain */
+            NOISE: 0.8, /* Mostly noise */
+            MIN_INTERVAL: 60, /* Milliseconds before this sound may start again */
+        },
+        EXPIRE: { /* Target left unhit - counts as a miss */
+            WAVE: 'sine', /* Oscillator shape */
+            FREQUENCY: 330, /* Start pitch in Hz */
+            END_FREQUENCY: 160, /* Pitch at the end of the sweep */
+            DURATION: 220, /* Milliseconds */
+            VOLUME: 0.18, /* Peak gain */
+            NOISE: 0, /* Pure tone */
+            MIN_INTERVAL: 80, /* Milliseconds before this sound may start again */
+        },
+        BOUNCE: { /* Player rebounds off a wall */
+            WAVE: 'sine', /* Oscillator shape */
+            FREQUENCY: 140, /* Start pitch in Hz */
+            END_FREQUENCY: 70, /* Pitch at the end of the sweep */
+            DURATION: 120, /* Milliseconds */
+            VOLUME: 0.4, /* Peak gain at full rebound speed */
+            NOISE: 0.3, /* Share of filtered noise */
+            MIN_INTERVAL: 80, /* Milliseconds before this sound may start again */
+            MIN_SPEED: 60, /* Rebounds slower than this are silent - holding into a wall rebounds every step */
+        },
+        COMBO: { /* Combo multiplier goes up */
+            WAVE: 'triangle', /* Oscillator shape */
+            FREQUENCY: 660, /* Start pitch in Hz at multiplier 1 */
+            END_FREQUENCY: 990, /* Rising sweep */
+            DURATION: 250, /* Milliseconds */
+            VOLUME: 0.3, /* Peak gain */
+            NOISE: 0, /* Pure tone */
+            MIN_INTERVAL: 0, /* Never rate limited - multiplier steps are already rare */
+            STEP_PITCH: 0.25, /* Pitch added per multiplier point */
+        },
+    },
+
+    LEADERBOARD: { /* Local high score table */
+        STORAGE_KEY: 'clickFire.leaderboard', /* localStorage key */
+        FORMAT_VERSION: 1, /* Bumped whenever the stored or exported layout changes */
+        MAX_ENTRIES_PER_MODE: 10, /* Top-N kept for each round mode */
+        DEFAULT_NAME: 'Player', /* Name used when the field is left empty */
+        MAX_NAME_LENGTH: 16, /* Longest accepted player name */
+    },
+
+    TUNING: { /* Live config editor and presets */
+        STORAGE_KEY: 'clickFire.configPresets', /* localStorage key for saved presets */
+        FORMAT_VERSION: 1, /* Bumped whenever the stored or exported preset layout changes */
+        QUERY_PRESET: 'preset', /* URL parameter naming a preset to load */
+        QUERY_CONFIG: 'config', /* URL parameter holding a JSON object of overrides */
+    },
+    
+    ROUND_MODES: { /* Selectable round rules - keys are the mode ids used by the simulation */
+        ENDLESS: { /* Play until you quit */
+            LABEL: 'Endless', /* Name shown on the title screen */
+        },
+        TIMED: { /* Score as much as possible before the clock runs out */
+            LABEL: 'Time Attack', /* Name shown on the title screen */
+            DURATION: 60000, /* Round length in milliseconds */
+        },
+        AMMO: { /* Fixed number of shots */
+            LABEL: 'Limited Ammo', /* Name shown on the title screen */
+            SHOTS: 50, /* Shots available for the whole round */
+        },
+        MISS_LIMIT: { /* Lose when too many targets expire unhit */
+            LABEL: 'Sudden Miss', /* Name shown on the title screen */
+            MAX_MISSES: 10, /* Expired targets allowed before game over */
+        },
+    },
+    DEFAULT_ROUND_MODE: 'ENDLESS', /* Mode preselected on the title screen */
+
+    PLAYER_SETUPS: { /* Who plays a round - one input scheme per player: 'any', 'keyboardMouse', 'keyboardLeft', 'keyboardRight', 'gamepad' or 'bot' */
+        SOLO: { /* One player on every device */
+            LABEL: 'Solo', /* Name shown on the title screen */
+            PLAYERS: ['any'], /* Keyboard, mouse, touch and gamepad all drive player 1 */
+        },
+        VERSUS_BOT: { /* Play against the computer */
+            LABEL: 'Versus bot', /* Name shown on the title screen */
+            PLAYERS: ['any', 'bot'], /* Player 2 is a BotController */
+        },
+        SPLIT_KEYBOARD: { /* Two people on one keyboard - both aim where they last moved */
+            LABEL: 'Versus - split keyboard', /* Name shown on the title screen */
+            PLAYERS: ['keyboardLeft', 'keyboardRight'], /* WASD and F against the arrows and / */
+        },
+        KEYBOARD_GAMEPAD: { /* One person on keyboard and mouse, one on a gamepad */
+            LABEL: 'Versus - keyboard + gamepad', /* Name shown on the title screen */
+            PLAYERS: ['keyboardMouse', 'gamepad'], /* Devices are not shared */
+        },
+        BOT_MATCH: { /* Bots only - leave it running as a soak test */
+            LABEL: 'Bot vs bot', /* Name shown on the title screen */
+            PLAYERS: ['bot', 'bot'], /* No human input */
+        },
+    },
+    DEFAULT_PLAYER_SETUP: 'SOLO', /* Setup preselected on the title screen */
+
+    BOTS: { /* BotController tuning - bots fill the same input frames people do, so they move and shoot under the same physics */
+        DIFFICULTY: 'NORMAL', /* Key into DIFFICULTIES - read every step, so edits reach running bots */
+        SEED_OFFSET: 7919, /* Added to the round seed and player index to seed each bot's own RNG - bot aim must not disturb spawns */
+        RETARGET_INTERVAL: 250, /* Milliseconds between target re-evaluations while the current target lives */
+        PREFERRED_RANGE: 260, /* Distance kept from the current target */
+        URGENCY_WEIGHT: 1.5, /* Extra priority for targets close to expiring */
+        RELOAD_BELOW: 0.34, /* Reload while idle once the magazine is below this fraction */
+        DIFFICULTIES: { /* Per-level skill - the config panel and ?BOTS.DIFFICULTY= pick one */
+            EASY: { /* Slow and sloppy */
+                LABEL: 'Easy', /* Name shown in the HUD */
+                REACTION_TIME: 500, /* Milliseconds on a new target before the first shot */
+                AIM_ERROR: 0.12, /* Largest random aim offset in radians, re-rolled every shot */
+                FIRE_INTERVAL: 600, /* Shortest gap between trigger pulls in milliseconds */
+                MOVE_SKILL: 0.5, /* Largest stick deflection used */
+                LEAD: 0.4, /* Fraction of target motion predicted when leading shots */
+                WEAPON_SWITCH_INTERVAL: 0, /* Milliseconds between random weapon picks - 0 keeps the starting weapon */
+            },
+            NORMAL: { /* A fair opponent */
+                LABEL: 'Normal', /* Name shown in the HUD */
+                REACTION_TIME: 280, /* Milliseconds on a new target before the first shot */
+                AIM_ERROR: 0.05, /* Largest random aim offset in radians */
+                FIRE_INTERVAL: 350, /* Shortest gap between trigger pulls in milliseconds */
+                MOVE_SKILL: 0.8, /* Largest stick deflection used */
+                LEAD: 0.85, /* Fraction of target motion predicted */
+                WEAPON_SWITCH_INTERVAL: 0, /* Keeps the starting weapon */
+            },
+            HARD: { /* Quick and accurate */
+                LABEL: 'Hard', /* Name shown in the HUD */
+                REACTION_TIME: 140, /* Milliseconds on a new target before the first shot */
+                AIM_ERROR: 0.02, /* Largest random aim offset in radians */
+                FIRE_INTERVAL: 180, /* Shortest gap between trigger pulls in milliseconds */
+                MOVE_SKILL: 1, /* Full stick deflection */
+                LEAD: 1, /* Full prediction */
+                WEAPON_SWITCH_INTERVAL: 0, /* Keeps the starting weapon */
+            },
+            SOAK: { /* No limits, cycles every weapon - for long unattended runs */
+                LABEL: 'Soak test', /* Name shown in the HUD */
+                REACTION_TIME: 0, /* Shoots at once */
+                AIM_ERROR: 0, /* Perfect aim */
+                FIRE_INTERVAL: 0, /* Fires whenever the weapon allows */
+                MOVE_SKILL: 1, /* Full stick deflection */
+                LEAD: 1, /* Full prediction */
+                WEAPON_SWITCH_INTERVAL: 3000, /* Exercises every weapon's projectiles and pools */
+                CHECK_MAGAZINES: true, /* Throw when a magazine leaves 0..MAGAZINE - only with POOLS.DEBUG_CHECKS on */
+            },
+        },
     },
     
     // System settings
     POOLS: { /* Object pool settings */
-        INITIAL_SIZE: 20, /* Starting size for object pools */
+        DEBUG_CHECKS: false, /* Throw on double-release and use-after-release - costs a Set lookup per pool call */
+        PROJECTILES: { /* Shared projectile pool */
+            PEAK: 64, /* Expected most projectiles alive at once - pre-warmed so play never allocates */
+            MAX_SIZE: 1024, /* Most projectiles ever created */
+            OVERFLOW: 'dropOldest', /* Past MAX_SIZE the oldest round in flight is recycled: 'grow', 'dropOldest' or 'refuse' */
+        },
+        TARGETS: { /* One pool per target type */
+            PEAKS: { /* Expected most targets of each type alive at once - pre-warm sizes */
+                normal: 32, /* Bulk of most waves */
+                armored: 16, /* Mid-game waves - several hits each, so they pile up */
+                splitter: 24, /* Parents plus pieces */
+                golden: 6, /* Rare bonus */
+                decoy: 12, /* Mixed into later waves */
+            },
+            DEFAULT_PEAK: 8, /* Pre-warm size for registered types missing from PEAKS */
+            MAX_SIZE: 1024, /* Most targets of one type ever created */
+            OVERFLOW: 'refuse', /* Past MAX_SIZE new spawns are skipped: 'grow', 'dropOldest' or 'refuse' */
+        },
+        PARTICLES: { /* EffectsSystem particles - MAX_SIZE is the particle budget */
+            PEAK: 256, /* Expected most particles alive at once - pre-warmed */
+            MAX_SIZE: 800, /* Most particles ever alive at once */
+            OVERFLOW: 'dropOldest', /* Past MAX_SIZE the oldest particle is recycled so new effects always show: 'grow', 'dropOldest' or 'refuse' */
+        },
+        POPUPS: { /* EffectsSystem score popups */
+            PEAK: 16, /* Expected most popups alive at once - pre-warmed */
+            MAX_SIZE: 48, /* Most popups ever alive at once */
+            OVERFLOW: 'dropOldest', /* Past MAX_SIZE the oldest popup is recycled */
+        },
+    },
+
+    DEBUG: { /* Performance overlay and stress test */
+        GRAPH_FRAMES: 120, /* Frames shown in the frame-time graph */
+        GRAPH_HEIGHT: 60, /* Graph height in world units */
+        PANEL_WIDTH: 330, /* Overlay panel width in world units */
+        FRAME_BUDGET_MS: 1000 / 60, /* Budget line drawn on the graph - one 60 Hz frame */
+        GRID_HEAT_COUNT: 8, /* Objects in a grid cell at which its highlight is strongest */
+        STRESS: { /* Load kept alive while the stress test runs */
+            TARGETS: 1000, /* Targets kept alive - one type's pool refuses past CONFIG.POOLS.TARGETS.MAX_SIZE */
+            PROJECTILES: 500, /* Projectiles kept alive */
+            SEED: 1234, /* Same workload every run */
+            TARGET_TYPE: 'normal', /* Type spawned */
+            TARGET_MIN_RADIUS: 8, /* Smallest spawned radius */
+            TARGET_MAX_RADIUS: 30, /* Largest spawned radius */
+            TARGET_SPEED: 120, /* Bounce speed in pixels per second */
+            TARGET_LIFESPAN: 8000, /* Milliseconds before a stress target expires and is replaced */
+            WEAPON: 'PISTOL', /* CONFIG.WEAPONS entry used for projectile size and speed */
+        },
+    },
+    
+    REPLAY: { /* Input recording and playback settings */
+        FORMAT_VERSION: 3, /* Bumped whenever the replay file layout changes - 2 records analog moveX/moveY instead of four direction flags, 3 adds players and per-player events */
+        MIN_FORMAT_VERSION: 2, /* Oldest layout still accepted - version 2 files read as single-player version 3 files */
+        SPEEDS: [0.25, 0.5, 1, 2, 4], /* Playback speed multipliers offered in the replay controls */
     },
     
     // Input configuration
-    KEYBOARD_CONTROLS: { /* Key mappings for player movement */
+    INPUT: { /* InputManager tuning - device-independent actions are named by the KEYBOARD_CONTROLS keys */
+        STORAGE_KEY: 'clickFire.bindings', /* localStorage key for remapped bindings */
+        FORMAT_VERSION: 1, /* Bumped whenever the stored binding layout changes */
+        STICK_DEADZONE: 0.2, /* Left stick travel ignored as drift */
+        AIM_DEADZONE: 0.3, /* Right stick travel below which the previous aim is kept */
+        AIM_DISTANCE: 150, /* World units from the player to the stick aim point */
+        AIM_FIRE_THRESHOLD: 0.85, /* Right stick travel that also holds the trigger - twin-stick firing */
+        TRIGGER_THRESHOLD: 0.5, /* Analog trigger travel that counts as pressed */
+        JOYSTICK_RADIUS: 60, /* Virtual joystick travel in CSS pixels */
+        JOYSTICK_ZONE: 0.4, /* Fraction of the canvas width, from the left, where touches start the joystick - touches elsewhere aim and fire */
+    },
+
+    KEYBOARD_CONTROLS: { /* Default key bindings per action - keys are compared case-insensitively, remaps are saved by InputManager */
         LEFT: ['ArrowLeft', 'a', 'A'], /* Keys that trigger left movement */
         RIGHT: ['ArrowRight', 'd', 'D'], /* Keys that trigger right movement */
         UP: ['ArrowUp', 'w', 'W'], /* Keys that trigger upward movement */
         DOWN: ['ArrowDown', 's', 'S'], /* Keys that trigger downward movement */
+        PAUSE: ['Escape', 'p', 'P'], /* Keys that pause and resume a round */
+        CONFIRM: ['Enter', ' '], /* Keys that start a round from menu or game over */
+        RESTART: ['r', 'R'], /* Keys that restart the round from pause or game over */
+        RELOAD: ['r', 'R'], /* Keys that reload during play */
+        MENU: ['m', 'M'], /* Keys that quit to the title screen */
+        PLAYER_SETUP: ['v', 'V'], /* Keys that cycle the player setup on the title screen */
+        FIRE: ['f', 'F'], /* Keys that fire at the current aim point - mouse and touch always fire */
+        P2_LEFT: ['ArrowLeft'], /* Split keyboard: player 2 moves left - these keys stop moving player 1 in that setup */
+        P2_RIGHT: ['ArrowRight'], /* Split keyboard: player 2 moves right */
+        P2_UP: ['ArrowUp'], /* Split keyboard: player 2 moves up */
+        P2_DOWN: ['ArrowDown'], /* Split keyboard: player 2 moves down */
+        P2_FIRE: ['/'], /* Split keyboard: player 2 fires where they last moved */
+        P2_RELOAD: ['.'], /* Split keyboard: player 2 reloads */
+        P2_WEAPON_NEXT: [','], /* Split keyboard: player 2 picks the next weapon */
+        SLOT_1: ['1'], /* Keys that pick weapon 1, or mode 1 on the title screen */
+        SLOT_2: ['2'], /* Keys that pick weapon 2, or mode 2 on the title screen */
+        SLOT_3: ['3'], /* Keys that pick weapon 3, or mode 3 on the title screen */
+        SLOT_4: ['4'], /* Keys that pick weapon 4, or mode 4 on the title screen */
+        SLOT_5: ['5'], /* Keys that pick weapon 5 */
+        WEAPON_PREV: ['q', 'Q'], /* Keys that pick the previous weapon */
+        WEAPON_NEXT: ['e', 'E'], /* Keys that pick the next weapon */
+        DEBUG_OVERLAY: ['F3'], /* Keys that show and hide the performance overlay */
+        STRESS_TEST: ['F4'], /* Keys that start and stop the stress test */
+        CONFIG_PANEL: ['F2'], /* Keys that show and hide the config editor */
+        CONTROLS_PANEL: ['F1'], /* Keys that show and hide the controls editor */
+        MUTE: ['F8'], /* Keys that mute and unmute sound */
+    },
+
+    GAMEPAD_CONTROLS: { /* Default gamepad button bindings per action - standard mapping indices; left stick moves and right stick aims */
+        LEFT: [14], /* D-pad left */
+        RIGHT: [15], /* D-pad right */
+        UP: [12], /* D-pad up */
+        DOWN: [13], /* D-pad down */
+        PAUSE: [9], /* Start */
+        CONFIRM: [0], /* A / cross */
+        RESTART: [3], /* Y / triangle */
+        RELOAD: [2], /* X / square */
+        MENU: [8], /* Back / select */
+        PLAYER_SETUP: [1], /* B / circle */
+        FIRE: [7], /* Right trigger */
+        WEAPON_PREV: [4], /* Left bumper */
+        WEAPON_NEXT: [5], /* Right bumper */
     },
     
     // Visual settings
     COLORS: { /* Color scheme for game entities */
-        PLAYER: 'blue', /* Color of player circle */
+        PLAYER: 'blue', /* Color of player circle - player 1 */
+        OTHER_PLAYERS: ['darkorange', 'teal', 'deeppink'], /* Players 2 to 4 - also caps local players at four */
+        OTHER_PROJECTILES: ['chocolate', 'darkcyan', 'mediumvioletred'], /* Projectiles of players 2 to 4 */
         TARGET: 'green', /* Color of target circles */
-        PROJECTILE: 'red', /* Color of projectile circles */
+        TARGET_ARMORED: '#2f6f4f', /* Color of armored targets */
+        TARGET_SPLITTER: 'purple', /* Color of splitter targets */
+        TARGET_GOLDEN: 'gold', /* Color of golden bonus targets */
+        TARGET_DECOY: 'crimson', /* Color of decoy targets */
+        HEALTH_RING: '#111', /* Remaining-health arc around armored targets */
+        GOLDEN_OUTLINE: 'orange', /* Outline that makes golden targets stand out */
+        DECOY_MARK: 'white', /* Cross drawn on decoys */
+        PROJECTILE: 'red', /* Color of projectile circles - player 1 */
+        WEAPON_HUD: '#333', /* Weapon name and ammo text */
+        WEAPON_HUD_ACTIVE: 'red', /* Highlighted weapon slot number */
         BACKGROUND: 'black', /* Canvas background color */
+        PLAYFIELD: 'white', /* World area behind gameplay */
+        LETTERBOX: '#f0f0f0', /* Bars outside the world when aspect ratios differ */
+        WORLD_BORDER: 'black', /* Outline around the world area */
+        OVERLAY: 'rgba(0, 0, 0, 0.6)', /* Dimming layer behind pause and game over screens */
+        SCREEN_TEXT: 'white', /* Text on overlay screens */
+        HUD_TEXT: '#333', /* Round status text drawn on the canvas */
+        WAVE_BANNER: '#222', /* "Wave N" banner text */
+        COMBO_TEXT: 'darkorange', /* Combo multiplier shown under the round HUD */
+        PROJECTILE_TRAIL: 'salmon', /* Dots left behind projectiles */
+        MUZZLE_FLASH: 'gold', /* Sparks from the player when firing */
+        HIT_SPARK: 'orange', /* Sparks from a hit that does not destroy */
+        BLAST: 'orangered', /* Explosive round fireball */
+        SCORE_POPUP: 'darkgreen', /* Floating points for a kill */
+        PENALTY_POPUP: 'crimson', /* Floating points lost to a decoy */
+        JOYSTICK_BASE: 'rgba(0, 0, 0, 0.15)', /* Virtual joystick ring */
+        JOYSTICK_KNOB: 'rgba(0, 0, 0, 0.35)', /* Virtual joystick thumb */
+        DEBUG_PANEL: 'rgba(0, 0, 0, 0.75)', /* Debug overlay background */
+        DEBUG_TEXT: '#e8e8e8', /* Debug overlay text */
+        DEBUG_UPDATE: '#4e79a7', /* Graph bars for simulation time outside collisions */
+        DEBUG_COLLISION: '#f28e2b', /* Graph bars for collision time */
+        DEBUG_RENDER: '#59a14f', /* Graph bars for render time */
+        DEBUG_BUDGET: '#e15759', /* Frame budget line */
+        DEBUG_GRID_LINE: 'rgba(0, 0, 0, 0.15)', /* Spatial grid cell borders */
+        DEBUG_GRID_CELL: '#1f77b4', /* Occupied grid cell highlight */
+        DEBUG_BATCHES: ['#d62728', '#ff7f0e', '#bcbd22', '#2ca02c', '#17becf', '#1f77b4'], /* Opacity batch outlines, faintest to opaque */
     },
 };
@@ -0,0 +1,93 @@
+const WAVE_CONFIG = { /* Data-driven wave definitions - shape documented and validated by WAVE_SCHEMA */
+    WAVE_BREAK: 2000, /* Quiet milliseconds between waves */
+    BANNER_DURATION: 2500, /* Milliseconds the "Wave N" banner stays up */
+
+    WAVES: [ /* Authored waves, played in order */
+        { /* Wave 1 - warm-up, stationary singles */
+            DURATION: 20000, /* 20 second wave */
+            SPAWN_INTERVAL: 600, /* Slow spawns */
+            SIZE_MIN: 18, /* Large targets */
+            SIZE_MAX: 30, /* Large targets */
+            LIFESPAN: 8000, /* Generous lifetime */
+            PATTERNS: [{ TYPE: 'random', WEIGHT: 1 }], /* Single random targets */
+            MOVEMENTS: [{ TYPE: 'static', WEIGHT: 1 }], /* No movement */
+        },
+        { /* Wave 2 - lines and gentle drift */
+            DURATION: 25000, /* 25 second wave */
+            SPAWN_INTERVAL: 900, /* Group spawns need longer gaps */
+            SIZE_MIN: 14, /* Medium targets */
+            SIZE_MAX: 26, /* Medium targets */
+            LIFESPAN: 7000, /* Slightly shorter lifetime */
+            PATTERNS: [
+                { TYPE: 'random', WEIGHT: 2 }, /* Mostly singles */
+                { TYPE: 'line', WEIGHT: 1, COUNT: 5 }, /* Occasional rows */
+            ],
+            MOVEMENTS: [
+                { TYPE: 'static', WEIGHT: 2 }, /* Mostly still */
+                { TYPE: 'linear', WEIGHT: 1, SPEED: 40 }, /* Slow drift */
+            ],
+            TYPES: [
+                { TYPE: 'normal', WEIGHT: 8 }, /* Mostly plain targets */
+                { TYPE: 'armored', WEIGHT: 1 }, /* Introduce armor */
+                { TYPE: 'golden', WEIGHT: 0.5 }, /* Rare bonus */
+            ],
+        },
+        { /* Wave 3 - rings and sine weaving */
+            DURATION: 25000, /* 25 second wave */
+            SPAWN_INTERVAL: 1000, /* Group spawns need longer gaps */
+            SIZE_MIN: 12, /* Smaller targets */
+            SIZE_MAX: 24, /* Smaller targets */
+            LIFESPAN: 6500, /* Shorter lifetime */
+            PATTERNS: [
+                { TYPE: 'random', WEIGHT: 2 }, /* Singles */
+                { TYPE: 'ring', WEIGHT: 1, COUNT: 8, RADIUS: 70 }, /* Rings */
+            ],
+            MOVEMENTS: [
+                { TYPE: 'sine', WEIGHT: 2, SPEED: 50, AMPLITUDE: 30, FREQUENCY: 0.5 }, /* Weaving drift */
+                { TYPE: 'orbit', WEIGHT: 1, SPEED: 80, RADIUS: 40 }, /* Small circles */
+            ],
+            TYPES: [
+                { TYPE: 'normal', WEIGHT: 6 }, /* Mostly plain targets */
+                { TYPE: 'splitter', WEIGHT: 2 }, /* Introduce splitters */
+                { TYPE: 'armored', WEIGHT: 1 }, /* Some armor */
+                { TYPE: 'decoy', WEIGHT: 1 }, /* Introduce decoys */
+                { TYPE: 'golden', WEIGHT: 0.5 }, /* Rare bonus */
+            ],
+        },
+        { /* Wave 4 - everything, bouncing */
+            DURATION: 30000, /* 30 second wave */
+            SPAWN_INTERVAL: 800, /* Busy spawns */
+            SIZE_MIN: 10, /* Small targets */
+            SIZE_MAX: 22, /* Small targets */
+            LIFESPAN: 6000, /* Short lifetime */
+            PATTERNS: [
+                { TYPE: 'random', WEIGHT: 2 }, /* Singles */
+                { TYPE: 'line', WEIGHT: 1, COUNT: 6 }, /* Rows */
+                { TYPE: 'ring', WEIGHT: 1, COUNT: 8, RADIUS: 80 }, /* Rings */
+                { TYPE: 'burst', WEIGHT: 1, COUNT: 6, RADIUS: 50 }, /* Clusters */
+            ],
+            MOVEMENTS: [
+                { TYPE: 'bounce', WEIGHT: 2, SPEED: 90 }, /* Wall bouncers */
+                { TYPE: 'sine', WEIGHT: 1, SPEED: 60, AMPLITUDE: 40, FREQUENCY: 0.7 }, /* Weaving drift */
+                { TYPE: 'orbit', WEIGHT: 1, SPEED: 100, RADIUS: 50 }, /* Circles */
+            ],
+            TYPES: [
+                { TYPE: 'normal', WEIGHT: 5 }, /* Plain targets */
+                { TYPE: 'splitter', WEIGHT: 2 }, /* Splitters */
+                { TYPE: 'armored', WEIGHT: 2 }, /* Armor */
+                { TYPE: 'decoy', WEIGHT: 1.5 }, /* Decoys */
+                { TYPE: 'golden', WEIGHT: 0.5 }, /* Rare bonus */
+            ],
+        },
+    ],
+
+    ESCALATION: { /* Applied per wave beyond the authored list, compounding */
+        SPAWN_INTERVAL_FACTOR: 0.9, /* 10% faster spawns each wave */
+        LIFESPAN_FACTOR: 0.95, /* 5% shorter lifetime each wave */
+        SPEED_FACTOR: 1.1, /* 10% faster movement each wave */
+        SIZE_FACTOR: 0.95, /* 5% smaller targets each wave */
+        MIN_SPAWN_INTERVAL: 150, /* Never spawn faster than this */
+        MIN_LIFESPAN: 2500, /* Never live shorter than this */
+        MIN_SIZE: 6, /* Never shrink below this radius */
+    },
+};
@@ -0,0 +1,84 @@
+const WAVE_SCHEMA = { /* JSON Schema describing WAVE_CONFIG - checked by WaveDirector at load */
+    type: 'object', /* Root is an object */
+    required: ['WAVE_BREAK', 'BANNER_DURATION', 'WAVES', 'ESCALATION'], /* Top-level sections */
+    additionalProperties: false, /* Catch misspelled sections */
+    properties: {
+        WAVE_BREAK: { type: 'number', minimum: 0 }, /* Quiet milliseconds between waves */
+        BANNER_DURATION: { type: 'number', minimum: 0 }, /* Milliseconds the "Wave N" banner stays up */
+        WAVES: { /* Hand-authored waves, played in order */
+            type: 'array', /* Ordered list */
+            minItems: 1, /* Escalation needs a last wave to build on */
+            items: {
+                type: 'object', /* One wave */
+                required: ['DURATION', 'PATTERNS', 'MOVEMENTS'], /* Fields every wave must set */
+                additionalProperties: false, /* Catch misspelled fields */
+                properties: {
+                    DURATION: { type: 'number', minimum: 1000 }, /* Wave length in milliseconds */
+                    SPAWN_INTERVAL: { type: 'number', minimum: 16 }, /* Milliseconds between spawn events - defaults to CONFIG.TARGET */
+                    SIZE_MIN: { type: 'number', minimum: 2 }, /* Smallest target radius - defaults to CONFIG.TARGET */
+                    SIZE_MAX: { type: 'number', minimum: 2 }, /* Largest target radius - defaults to CONFIG.TARGET */
+                    LIFESPAN: { type: 'number', minimum: 500 }, /* Target lifetime in milliseconds - defaults to CONFIG.TARGET */
+                    PATTERNS: { /* Weighted spawn patterns */
+                        type: 'array', /* Choices */
+                        minItems: 1, /* Need something to spawn */
+                        items: {
+                            type: 'object', /* One pattern choice */
+                            required: ['TYPE', 'WEIGHT'], /* Pattern kind and odds */
+                            additionalProperties: false, /* Catch misspelled fields */
+                            properties: {
+                                TYPE: { type: 'string', enum: ['random', 'line', 'ring', 'burst'] }, /* Spawn layout */
+                                WEIGHT: { type: 'number', minimum: 0 }, /* Relative chance */
+                                COUNT: { type: 'integer', minimum: 1, maximum: 24 }, /* Targets per spawn event */
+                                RADIUS: { type: 'number', minimum: 0 }, /* Ring or burst radius in pixels */
+                            },
+                        },
+                    },
+                    TYPES: { /* Weighted target types - defaults to normal targets only */
+                        type: 'array', /* Choices */
+                        minItems: 1, /* Need at least one type */
+                        items: {
+                            type: 'object', /* One type choice */
+                            required: ['TYPE', 'WEIGHT'], /* Type id and odds */
+                            additionalProperties: false, /* Catch misspelled fields */
+                            properties: {
+                                TYPE: { type: 'string', enum: ['normal', 'armored', 'splitter', 'golden', 'decoy'] }, /* TargetTypeRegistry id */
+                                WEIGHT: { type: 'number', minimum: 0 }, /* Relative chance */
+                            },
+                        },
+                    },
+                    MOVEMENTS: { /* Weighted movement paths */
+                        type: 'array', /* Choices */
+                        minItems: 1, /* Need at least one path */
+                        items: {
+                            type: 'object', /* One movement choice */
+                            required: ['TYPE', 'WEIGHT'], /* Path kind and odds */
+                            additionalProperties: false, /* Catch misspelled fields */
+                            properties: {
+                                TYPE: { type: 'string', enum: ['static', 'linear', 'sine', 'orbit', 'bounce'] }, /* Path kind */
+                                WEIGHT: { type: 'number', minimum: 0 }, /* Relative chance */
+                                SPEED: { type: 'number', minimum: 0 }, /* Pixels per second */
+                                AMPLITUDE: { type: 'number', minimum: 0 }, /* Sine wave height in pixels */
+                                FREQUENCY: { type: 'number', minimum: 0 }, /* Sine cycles per second */
+                                RADIUS: { type: 'number', minimum: 0 }, /* Orbit radius in pixels */
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        ESCALATION: { /* How waves past the authored list get harder */
+            type: 'object', /* Factor set */
+            required: ['SPAWN_INTERVAL_FACTOR', 'LIFESPAN_FACTOR', 'SPEED_FACTOR', 'SIZE_FACTOR', 'MIN_SPAWN_INTERVAL', 'MIN_LIFESPAN', 'MIN_SIZE'], /* All factors */
+            additionalProperties: false, /* Catch misspelled fields */
+            properties: {
+                SPAWN_INTERVAL_FACTOR: { type: 'number', minimum: 0.1, maximum: 1 }, /* Interval multiplier per extra wave */
+                LIFESPAN_FACTOR: { type: 'number', minimum: 0.1, maximum: 1 }, /* Lifespan multiplier per extra wave */
+                SPEED_FACTOR: { type: 'number', minimum: 1, maximum: 3 }, /* Movement speed multiplier per extra wave */
+                SIZE_FACTOR: { type: 'number', minimum: 0.1, maximum: 1 }, /* Radius multiplier per extra wave */
+                MIN_SPAWN_INTERVAL: { type: 'number', minimum: 16 }, /* Interval floor */
+                MIN_LIFESPAN: { type: 'number', minimum: 500 }, /* Lifespan floor */
+                MIN_SIZE: { type: 'number', minimum: 2 }, /* Radius floor */
+            },
+        },
+    },
+};
@@ -0,0 +1,55 @@
+class Camera { /* View of the world layer - center, zoom and shake, applied by GameRenderer and inverted for aiming */
+
+    constructor(worldWidth, worldHeight) { /* Start centered on the world */
+        this.worldWidth = worldWidth; /* World width in world units */
+        this.worldHeight = worldHeight; /* World height in world units */
+        this.random = new SeededRandom(1); /* Shake jitter - separate from the simulation RNG so replays are unaffected */
+        this.reset(); /* Default view */
+    }
+
+    reset() { /* Center on the world at default zoom with no shake */
+        this.x = this.worldWidth / 2; /* World X at the center of the view */
+        this.y = this.worldHeight / 2; /* World Y at the center of the view */
+        this.zoom = CONFIG.CAMERA.ZOOM; /* Zoom factor */
+        this.shakeIntensity = 0; /* Shake offset at the start of the current shake */
+        this.shakeDuration = 0; /* Length of the current shake in milliseconds */
+        this.shakeRemaining = 0; /* Milliseconds of shake left */
+        this.shakeX = 0; /* Current shake offset X */
+        this.shakeY = 0; /* Current shake offset Y */
+    }
+
+    setZoom(zoom) { /* Change zoom within configured limits */
+        this.zoom = Math.max(CONFIG.CAMERA.MIN_ZOOM, Math.min(CONFIG.CAMERA.MAX_ZOOM, zoom)); /* Clamp zoom */
+    }
+
+    lookAt(x, y) { /* Center the view on a world point */
+        this.x = x; /* New center X */
+        this.y = y; /* New center Y */
+    }
+
+    shake(intensity, durationMilliseconds) { /* Start a shake - stronger shakes override weaker ones */
+        const currentIntensity = this.shakeDuration > 0 ? this.shakeIntensity * (this.shakeRemaining / this.shakeDuration) : 0; /* Shake left now */
+        if (intensity < currentIntensity) return; /* Keep the stronger shake */
+        this.shakeIntensity = Math.min(intensity, CONFIG.CAMERA.MAX_SHAKE); /* Cap offset */
+        this.shakeDuration = durationMilliseconds; /* Full length */
+        this.shakeRemaining = durationMilliseconds; /* Countdown */
+    }
+
+    update(deltaMilliseconds) { /* Advance shake once per rendered frame */
+        if (this.shakeRemaining <= 0) { /* No shake active */
+            this.shakeX = 0; /* Settle */
+            this.shakeY = 0; /* Settle */
+            return; /* Nothing to update */
+        }
+        this.shakeRemaining = Math.max(0, this.shakeRemaining - deltaMilliseconds); /* Count down */
+        const magnitude = this.shakeIntensity * (this.shakeRemaining / this.shakeDuration); /* Linear falloff */
+        this.shakeX = this.random.range(-magnitude, magnitude); /* Jitter X */
+        this.shakeY = this.random.range(-magnitude, magnitude); /* Jitter Y */
+    }
+
+    screenToWorld(viewX, viewY, out) { /* Map an unshaken view point (world-sized, before camera) to world coordinates */
+        out.x = (viewX - this.worldWidth / 2) / this.zoom + this.x; /* Undo center and zoom */
+        out.y = (viewY - this.worldHeight / 2) / this.zoom + this.y; /* Undo center and zoom */
+        return out; /* Caller-supplied point - no allocation */
+    }
+}
@@ -0,0 +1,485 @@
+class Canvas2DRenderer extends GameRenderer { /* Canvas 2D backend - draws everything, and serves as the HUD layer for other backends */
+
+    constructor(canvas, worldWidth, worldHeight, options = {}) { /* Initialize the renderer with a canvas and the logical world size */
+        super(canvas, worldWidth, worldHeight); /* Viewport and buckets */
+        this.ctx = canvas.getContext('2d'); /* Get the 2D rendering context */
+        this.transparent = options.transparent ?? false; /* Clear to transparent so a lower layer shows through */
+        this.opacityBuckets = []; /* Reusable target lists per quantized opacity level */
+        for (let level = 0; level <= CONFIG.RENDERING.OPACITY_LEVELS; level++) { /* One list per level including zero */
+            this.opacityBuckets.push([]); /* Filled and emptied every frame */
+        }
+        this.targetDecorators = { /* Per-type overlays drawn after the batched fill */
+            armored: (target, drawX, drawY) => this.drawHealthRing(target, drawX, drawY), /* Remaining health arc */
+            splitter: (target, drawX, drawY) => this.drawSplitLine(target, drawX, drawY), /* Crack across the middle */
+            golden: (target, drawX, drawY) => this.drawGoldenOutline(target, drawX, drawY), /* Bright outline */
+            decoy: (target, drawX, drawY) => this.drawDecoyMark(target, drawX, drawY) /* Warning cross */
+        };
+    }
+
+    clear() { /* Clear the entire canvas and set up the world transform for a new frame */
+        const viewport = this.viewport; /* Current mapping */
+        const pixelScale = viewport.scale * viewport.pixelRatio; /* Device pixels per world unit */
+        this.resetBatchStats(); /* New frame */
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0); /* Device pixel space */
+        this.ctx.globalAlpha = 1; /* Opaque fill */
+        if (this.transparent) { /* HUD layer over another backend */
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height); /* Let the lower layer show */
+        } else {
+            this.ctx.fillStyle = CONFIG.COLORS.LETTERBOX; /* Bars outside the world */
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height); /* Cover whole backing store */
+        }
+        this.ctx.setTransform(pixelScale, 0, 0, pixelScale, /* World units to device pixels */
+            viewport.offsetX * viewport.pixelRatio, viewport.offsetY * viewport.pixelRatio);
+        if (!this.transparent) { /* Lower layer already painted the playfield */
+            this.ctx.fillStyle = CONFIG.COLORS.PLAYFIELD; /* World background */
+            this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight); /* World area */
+        }
+        this.ctx.strokeStyle = CONFIG.COLORS.WORLD_BORDER; /* World outline */
+        this.ctx.lineWidth = 2 / viewport.scale; /* Two CSS pixels at any scale */
+        this.ctx.strokeRect(-this.ctx.lineWidth / 2, -this.ctx.lineWidth / 2, /* Just outside the world */
+            this.worldWidth + this.ctx.lineWidth, this.worldHeight + this.ctx.lineWidth);
+    }
+
+    beginWorld(camera) { /* Apply camera to the world layer - pair with endWorld before drawing HUD */
+        this.ctx.save(); /* Keep HUD transform */
+        this.ctx.beginPath(); /* Clip path */
+        this.ctx.rect(0, 0, this.worldWidth, this.worldHeight); /* World area */
+        this.ctx.clip(); /* Zoomed or shaken content stays inside the world */
+        this.ctx.translate(this.worldWidth / 2 + camera.shakeX, this.worldHeight / 2 + camera.shakeY); /* View center plus shake */
+        this.ctx.scale(camera.zoom, camera.zoom); /* Zoom about the center */
+        this.ctx.translate(-camera.x, -camera.y); /* Camera center to origin */
+    }
+
+    endWorld() { /* Return to the HUD transform */
+        this.ctx.restore(); /* Drop camera and clip */
+    }
+
+    drawPlayer(player, alpha = 1) { /* Render the player entity */
+        const drawX = this.interpolate(player.previousX, player.x, alpha); /* Interpolated X between steps */
+        const drawY = this.interpolate(player.previousY, player.y, alpha); /* Interpolated Y between steps */
+        this.ctx.globalAlpha = 1; /* Ensure player is fully opaque */
+        this.ctx.fillStyle = player.color; /* Set fill color from player properties */
+        this.ctx.beginPath(); /* Start a new path for drawing */
+        this.ctx.arc(drawX, drawY, player.size, 0, Math.PI * 2); /* Draw circle at player position */
+        this.ctx.fill(); /* Fill the player circle */
+    }
+
+    drawTargets(targets, alpha, targetTypes) { /* Render targets grouped by type - one fill color per group */
+        this.bucketTargetsByType(targets, targetTypes); /* Group by type */
+        targetTypes.typeIds.forEach(typeId => { /* Draw each type in registration order */
+            const bucket = this.targetBuckets[typeId]; /* Targets of this type */
+            if (bucket.length === 0) return; /* Nothing to draw */
+            this.ctx.fillStyle = targetTypes.get(typeId).color; /* Set type color once per group */
+            this.drawCircleBatch(bucket, alpha); /* Batched fill */
+            const decorate = this.targetDecorators[typeId]; /* Optional per-type overlay */
+            if (decorate) this.decorateTargets(bucket, alpha, decorate); /* Draw overlay */
+        });
+        this.ctx.globalAlpha = 1; /* Restore opacity for later draws */
+    }
+
+    decorateTargets(targets, alpha, decorate) { /* Apply a type overlay to each target at its own opacity */
+        for (let i = 0; i < targets.length; i++) { /* Indexed loop avoids closure allocation */
+            const target = targets[i]; /* Current target */
+            this.ctx.globalAlpha = target.currentOpacity; /* Overlay fades with target */
+            decorate(target, this.interpolate(target.previousX, target.x, alpha), this.interpolate(target.previousY, target.y, alpha)); /* Draw at interpolated position */
+        }
+    }
+
+    drawHealthRing(target, drawX, drawY) { /* Arc showing remaining armor */
+        const healthFraction = target.health / target.maxHealth; /* Portion of health left */
+        this.ctx.strokeStyle = CONFIG.COLORS.HEALTH_RING; /* Ring color */
+        this.ctx.lineWidth = 3; /* Visible ring */
+        this.ctx.beginPath(); /* New ring path */
+        this.ctx.arc(drawX, drawY, target.radius + 4, -Math.PI / 2, -Math.PI / 2 + healthFraction * Math.PI * 2); /* Clockwise from top */
+        this.ctx.stroke(); /* Draw ring */
+    }
+
+    drawSplitLine(target, drawX, drawY) { /* Crack hinting the target will split */
+        this.ctx.strokeStyle = CONFIG.COLORS.DECOY_MARK; /* Light line on dark fill */
+        this.ctx.lineWidth = 2; /* Thin crack */
+        this.ctx.beginPath(); /* New line path */
+        this.ctx.moveTo(drawX, drawY - target.radius); /* Top of target */
+        this.ctx.lineTo(drawX, drawY + target.radius); /* Bottom of target */
+        this.ctx.stroke(); /* Draw crack */
+    }
+
+    drawGoldenOutline(target, drawX, drawY) { /* Bright outline for bonus targets */
+        this.ctx.strokeStyle = CONFIG.COLORS.GOLDEN_OUTLINE; /* Outline color */
+        this.ctx.lineWidth = 3; /* Thick outline */
+        this.ctx.beginPath(); /* New outline path */
+        this.ctx.arc(drawX, drawY, target.radius + 2, 0, Math.PI * 2); /* Just outside the fill */
+        this.ctx.stroke(); /* Draw outline */
+    }
+
+    drawDecoyMark(target, drawX, drawY) { /* Cross warning not to shoot */
+        const armLength = target.radius * 0.5; /* Cross half-size */
+        this.ctx.strokeStyle = CONFIG.COLORS.DECOY_MARK; /* Cross color */
+        this.ctx.lineWidth = 3; /* Bold cross */
+        this.ctx.beginPath(); /* New cross path */
+        this.ctx.moveTo(drawX - armLength, drawY - armLength); /* Top-left */
+        this.ctx.lineTo(drawX + armLength, drawY + armLength); /* Bottom-right */
+        this.ctx.moveTo(drawX + armLength, drawY - armLength); /* Top-right */
+        this.ctx.lineTo(drawX - armLength, drawY + armLength); /* Bottom-left */
+        this.ctx.stroke(); /* Draw cross */
+    }
+
+    drawCircleBatch(circles, alpha = 1, countTargets = true) { /* Render one color's circles - one path per quantized opacity level, no per-frame allocation */
+        const levels = CONFIG.RENDERING.OPACITY_LEVELS; /* Opacity steps */
+        for (let i = 0; i < circles.length; i++) { /* File each circle under its opacity level */
+            this.opacityBuckets[this.opacityLevel(circles[i])].push(circles[i]); /* Reused list */
+        }
+        for (let level = 1; level <= levels; level++) { /* Level zero is invisible and skipped */
+            const bucket = this.opacityBuckets[level]; /* Circles at this opacity */
+            if (bucket.length === 0) continue; /* Nothing at this level */
+            this.ctx.globalAlpha = level / levels; /* Set opacity once for the group */
+            this.ctx.beginPath(); /* Start a single path for all circles in this group */
+            for (let i = 0; i < bucket.length; i++) { /* Add each circle to the current path */
+                const circle = bucket[i]; /* Current circle */
+                const drawX = this.interpolate(circle.previousX, circle.x, alpha); /* Interpolated X between steps */
+                const drawY = this.interpolate(circle.previousY, circle.y, alpha); /* Interpolated Y between steps */
+                this.ctx.moveTo(drawX + circle.radius, drawY); /* Move to right edge of circle */
+                this.ctx.arc(drawX, drawY, circle.radius, 0, Math.PI * 2); /* Draw circle */
+            }
+            this.ctx.fill(); /* Fill all circles in this opacity group at once */
+            this.batchStats.fills++; /* One draw call per level per color */
+            if (countTargets) this.batchStats.counts[level] += bucket.length; /* Histogram covers targets only */
+            bucket.length = 0; /* Empty without reallocating */
+        }
+        this.opacityBuckets[0].length = 0; /* Drop fully faded circles */
+    }
+
+    drawProjectiles(projectiles, alpha = 1) { /* Render all projectiles with batching - radius varies per weapon, color per owning player */
+        this.ctx.globalAlpha = 1; /* Ensure projectiles are fully opaque */
+        this.bucketProjectilesByColor(projectiles); /* One group per player */
+        for (let i = 0; i < this.projectileColors.length; i++) { /* Each color seen so far */
+            const bucket = this.projectileBuckets[this.projectileColors[i]]; /* Projectiles of this color */
+            if (bucket.length === 0) continue; /* Nothing to draw */
+            this.ctx.fillStyle = this.projectileColors[i]; /* Set color once per group */
+            this.ctx.beginPath(); /* Start a single path for the group */
+            for (let j = 0; j < bucket.length; j++) { /* Add each projectile to the path */
+                const projectile = bucket[j]; /* Current projectile */
+                const drawX = this.interpolate(projectile.previousX, projectile.x, alpha); /* Interpolated X between steps */
+                const drawY = this.interpolate(projectile.previousY, projectile.y, alpha); /* Interpolated Y between steps */
+                this.ctx.moveTo(drawX + projectile.radius, drawY); /* Move to right edge of projectile */
+                this.ctx.arc(drawX, drawY, projectile.radius, 0, Math.PI * 2); /* Draw projectile circle */
+            }
+            this.ctx.fill(); /* Fill the whole group at once for performance */
+        }
+    }
+
+    drawParticles(particles) { /* Render particles grouped by color - same opacity batching as targets */
+        this.bucketParticlesByColor(particles); /* Group by color */
+        for (let i = 0; i < this.particleColors.length; i++) { /* Each color seen so far */
+            const bucket = this.particleBuckets[this.particleColors[i]]; /* Particles of this color */
+            if (bucket.length === 0) continue; /* Nothing to draw */
+            this.ctx.fillStyle = this.particleColors[i]; /* Set color once per group */
+            this.drawCircleBatch(bucket, 1, false); /* Particles move per frame, so no interpolation */
+        }
+        this.ctx.globalAlpha = 1; /* Restore opacity for later draws */
+    }
+
+    drawScorePopups(popups) { /* Floating award text over destroyed targets - world layer */
+        if (popups.length === 0) return; /* Nothing to draw */
+        this.ctx.font = `bold ${CONFIG.EFFECTS.SCORE_POPUP.FONT_SIZE}px sans-serif`; /* Popup font */
+        this.ctx.textAlign = 'center'; /* Center on the target */
+        this.ctx.textBaseline = 'middle'; /* Center on the target */
+        for (let i = 0; i < popups.length; i++) { /* Indexed loop avoids closure allocation */
+            const popup = popups[i]; /* Current popup */
+            this.ctx.globalAlpha = popup.currentOpacity; /* Fade out */
+            this.ctx.fillStyle = popup.color; /* Award or penalty color */
+            this.ctx.fillText(popup.text, popup.x, popup.y); /* Cached label */
+        }
+        this.ctx.globalAlpha = 1; /* Restore opacity for later draws */
+    }
+
+    drawRoundHud(round) { /* Draw mode-specific round status in the top-right corner */
+        let statusText = null; /* Text for current mode - endless shows nothing */
+        if (round.timeRemaining !== Infinity) { /* Timed round */
+            statusText = `Time ${Math.ceil(round.timeRemaining / 1000)}s`; /* Whole seconds left */
+        } else if (round.ammoRemaining !== Infinity) { /* Ammo round */
+            statusText = `Ammo ${round.ammoRemaining}`; /* Shots left */
+        } else if (round.maxMisses !== Infinity) { /* Miss-limit round */
+            statusText = `Misses ${round.misses}/${round.maxMisses}`; /* Misses used */
+        }
+        if (statusText === null) return; /* Nothing to show */
+        this.ctx.globalAlpha = 1; /* HUD is fully opaque */
+        this.ctx.fillStyle = CONFIG.COLORS.HUD_TEXT; /* HUD text color */
+        this.ctx.font = '20px sans-serif'; /* HUD font */
+        this.ctx.textAlign = 'right'; /* Anchor to right edge */
+        this.ctx.textBaseline = 'top'; /* Anchor to top edge */
+        this.ctx.fillText(statusText, this.worldWidth - 10, 10); /* Draw in top-right corner */
+    }
+
+    drawComboHud(scoreKeeper) { /* Combo count and multiplier under the round status */
+        if (scoreKeeper.comboCount < 2) return; /* A single kill is not a combo */
+        const windowFraction = Math.max(0, scoreKeeper.comboTimeRemaining / CONFIG.SCORING.COMBO_WINDOW); /* Time left in combo */
+        this.ctx.globalAlpha = 0.4 + 0.6 * windowFraction; /* Fade as the combo is about to lapse */
+        this.ctx.fillStyle = CONFIG.COLORS.COMBO_TEXT; /* Combo color */
+        this.ctx.font = 'bold 20px sans-serif'; /* HUD font */
+        this.ctx.textAlign = 'right'; /* Anchor to right edge */
+        this.ctx.textBaseline = 'top'; /* Anchor to top edge */
+        this.ctx.fillText(`Combo x${scoreKeeper.comboCount}  (${scoreKeeper.multiplier}x)`, this.worldWidth - 10, 36); /* Below round status */
+        this.ctx.globalAlpha = 1; /* Restore opacity */
+    }
+
+    drawWeaponHud(weaponSystem) { /* Weapon slots and magazine in the bottom-left corner */
+        const weapon = weaponSystem.currentWeapon; /* Equipped weapon */
+        const magazine = weaponSystem.magazines[weaponSystem.currentWeaponId]; /* Rounds left */
+        const bottomY = this.worldHeight - 10; /* Baseline of the HUD */
+        this.ctx.globalAlpha = 1; /* HUD is fully opaque */
+        this.ctx.textAlign = 'left'; /* Anchor to left edge */
+        this.ctx.textBaseline = 'bottom'; /* Anchor to bottom edge */
+        this.ctx.font = '16px sans-serif'; /* Slot font */
+        weaponSystem.weaponIds.forEach((weaponId, index) => { /* One number per slot */
+            const isActive = weaponId === weaponSystem.currentWeaponId; /* Equipped slot */
+            this.ctx.fillStyle = isActive ? CONFIG.COLORS.WEAPON_HUD_ACTIVE : CONFIG.COLORS.WEAPON_HUD; /* Highlight equipped */
+            this.ctx.fillText(`${index + 1}`, 10 + index * 18, bottomY - 24); /* Slot number row */
+        });
+        const ammoText = weaponSystem.reloading ? 'Reloading...' : `${magazine}/${weapon.MAGAZINE}`; /* Magazine or reload state */
+        this.ctx.fillStyle = CONFIG.COLORS.WEAPON_HUD; /* HUD text color */
+        this.ctx.font = '20px sans-serif'; /* Weapon font */
+        this.ctx.fillText(`${weapon.LABEL}  ${ammoText}`, 10, bottomY); /* Weapon name and ammo */
+    }
+
+    drawScoreboard(players, names) { /* One column per player along the bottom edge - replaces the combo and weapon HUD when several play */
+        const columnWidth = this.worldWidth / players.length; /* Even split */
+        const bottomY = this.worldHeight - 10; /* Baseline of the HUD */
+        this.ctx.globalAlpha = 1; /* HUD is fully opaque */
+        this.ctx.textAlign = 'center'; /* Center in the column */
+        this.ctx.textBaseline = 'bottom'; /* Anchor to bottom edge */
+        for (let i = 0; i < players.length; i++) { /* Player 1 on the left */
+            const player = players[i]; /* Current player */
+            const scoreKeeper = player.scoreKeeper; /* Score and combo */
+            const weaponSystem = player.weaponSystem; /* Weapon and magazine */
+            const weapon = weaponSystem.currentWeapon; /* Equipped weapon */
+            const centerX = columnWidth * (i + 0.5); /* Column middle */
+            const comboText = scoreKeeper.comboCount >= 2 ? `  x${scoreKeeper.multiplier}` : ''; /* Multiplier while a combo runs */
+            const ammoText = weaponSystem.reloading ? 'Reloading...' : `${weaponSystem.magazines[weaponSystem.currentWeaponId]}/${weapon.MAGAZINE}`; /* Magazine or reload state */
+            const shotsText = player.ammoRemaining !== Infinity ? `  (${player.ammoRemaining} left)` : ''; /* Own share in ammo rounds */
+            this.ctx.fillStyle = player.color; /* Column in the player's color */
+            this.ctx.font = 'bold 20px sans-serif'; /* Score font */
+            this.ctx.fillText(`${names[i]}  ${scoreKeeper.score}${comboText}`, centerX, bottomY - 22); /* Name, score and combo */
+            this.ctx.font = '16px sans-serif'; /* Weapon font */
+            this.ctx.fillText(`${weapon.LABEL}  ${ammoText}${shotsText}`, centerX, bottomY); /* Weapon and ammo */
+        }
+    }
+
+    drawWaveBanner(waveDirector) { /* Show "Wave N" while the wave's banner timer runs */
+        if (waveDirector.bannerTimeRemaining <= 0) return; /* Banner finished */
+        const fadeOutTime = 500; /* Milliseconds over which the banner fades */
+        this.ctx.globalAlpha = Math.min(1, waveDirector.bannerTimeRemaining / fadeOutTime); /* Fade out at the end */
+        this.ctx.fillStyle = CONFIG.COLORS.WAVE_BANNER; /* Banner text color */
+        this.ctx.font = 'bold 56px sans-serif'; /* Large banner font */
+        this.ctx.textAlign = 'center'; /* Center horizontally */
+        this.ctx.textBaseline = 'middle'; /* Center vertically */
+        this.ctx.fillText(`Wave ${waveDirector.waveNumber}`, this.worldWidth / 2, this.worldHeight / 3); /* Banner in upper third */
+        this.ctx.globalAlpha = 1; /* Restore opacity for later draws */
+    }
+
+    drawOverlay() { /* Dim the frame behind a pause or results screen */
+        this.ctx.globalAlpha = 1; /* Overlay color carries its own alpha */
+        this.ctx.fillStyle = CONFIG.COLORS.OVERLAY; /* Translucent dimming color */
+        this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight); /* Cover whole canvas */
+    }
+
+    drawScreenText(lines, startY) { /* Draw centered lines - first line is the large title */
+        this.ctx.globalAlpha = 1; /* Text is fully opaque */
+        this.ctx.fillStyle = CONFIG.COLORS.SCREEN_TEXT; /* Screen text color */
+        this.ctx.textAlign = 'center'; /* Center horizontally */
+        this.ctx.textBaseline = 'middle'; /* Center each line on its y */
+        lines.forEach((line, index) => { /* Draw each line below the previous */
+            this.ctx.font = index === 0 ? 'bold 48px sans-serif' : '22px sans-serif'; /* Title larger than body */
+            this.ctx.fillText(line, this.worldWidth / 2, startY + index * 40); /* Fixed line spacing */
+        });
+    }
+
+    drawTouchJoystick(baseX, baseY, knobX, knobY, radius) { /* Virtual joystick ring and thumb in HUD space */
+        this.ctx.globalAlpha = 1; /* Colors carry their own alpha */
+        this.ctx.fillStyle = CONFIG.COLORS.JOYSTICK_BASE; /* Ring */
+        this.ctx.beginPath(); /* Travel area */
+        this.ctx.arc(baseX, baseY, radius, 0, Math.PI * 2); /* Full circle */
+        this.ctx.fill(); /* Draw ring */
+        this.ctx.fillStyle = CONFIG.COLORS.JOYSTICK_KNOB; /* Thumb */
+        this.ctx.beginPath(); /* Thumb disc */
+        this.ctx.arc(knobX, knobY, radius / 2, 0, Math.PI * 2); /* Half the travel */
+        this.ctx.fill(); /* Draw thumb */
+    }
+
+    drawMenuScreen(modeKeys, selectedMode, playerSetup) { /* Title screen with mode list and player setup */
+        this.ctx.globalAlpha = 1; /* Opaque background */
+        this.ctx.fillStyle = CONFIG.COLORS.BACKGROUND; /* Title screen background */
+        this.ctx.fillRect(0, 0, this.worldWidth, this.worldHeight); /* Fill canvas */
+        const modeLines = modeKeys.map((modeKey, index) => { /* One line per mode */
+            const marker = modeKey === selectedMode ? '>' : ' '; /* Mark selected mode */
+            return `${marker} ${index + 1}. ${CONFIG.ROUND_MODES[modeKey].LABEL}`; /* Numbered mode label */
+        });
+        const setupLine = `Players: ${CONFIG.PLAYER_SETUPS[playerSetup].LABEL} (V to change)`; /* Who plays */
+        this.drawScreenText(['Click & Fire', ...modeLines, '', setupLine, '', 'Enter or click to start'], this.worldHeight / 4 - 40); /* Title, modes, players, prompt */
+    }
+
+    drawPauseScreen() { /* Paused overlay */
+        this.drawOverlay(); /* Dim frozen frame */
+        this.drawScreenText(['Paused', 'Esc / P to resume', 'R to restart - M for menu'], this.worldHeight / 2 - 40); /* Pause options */
+    }
+
+    drawGameOverScreen(summary, names) { /* Results overlay with round stats - one line per player when several played */
+        const endReasons = { time: 'Time up', ammo: 'Out of ammo', misses: 'Too many misses' }; /* Human-readable end causes */
+        this.drawOverlay(); /* Dim final frame */
+        if (summary.players.length > 1) { /* Versus results */
+            const playerLines = summary.players.map(player => /* Score and hit rate per player */
+                `${names[player.index]}: ${player.score} - ${Math.round(player.accuracy * 100)}% (${player.shotsHit}/${player.shotsFired}) - best combo ${player.bestCombo}`);
+            this.drawScreenText([ /* Results lines */
+                'Game Over', /* Title */
+                endReasons[summary.endReason] ?? '', /* Why the round ended */
+                ...playerLines, /* Every player */
+                summary.winner === null ? 'Draw' : `${names[summary.winner]} wins - Wave ${summary.wave}`, /* Outcome */
+                'Enter / R to play again - M for menu' /* Next steps */
+            ], this.worldHeight / 2 - 120);
+            return; /* Solo lines below */
+        }
+        this.drawScreenText([ /* Results lines */
+            'Game Over', /* Title */
+            endReasons[summary.endReason] ?? '', /* Why the round ended */
+            `Score: ${summary.score}`, /* Final score */
+            `Accuracy ${Math.round(summary.accuracy * 100)}% (${summary.shotsHit}/${summary.shotsFired})`, /* Hit rate */
+            `Best combo ${summary.bestCombo} - Targets ${summary.targetsDestroyed} - Wave ${summary.wave}`, /* Streak, kills and progress */
+            'Enter / R to play again - M for menu' /* Next steps */
+        ], this.worldHeight / 2 - 120);
+    }
+
+    drawDebugGrid(grid) { /* Spatial grid cell borders, with occupied cells shaded by object count - world layer */
+        const cellSize = grid.cellSize; /* World units per cell */
+        this.ctx.globalAlpha = 1; /* Line color carries its own alpha */
+        this.ctx.strokeStyle = CONFIG.COLORS.DEBUG_GRID_LINE; /* Faint borders */
+        this.ctx.lineWidth = 1; /* Thin lines */
+        this.ctx.beginPath(); /* One path for every border */
+        for (let x = 0; x <= this.worldWidth; x += cellSize) { /* Vertical borders */
+            this.ctx.moveTo(x, 0); /* Top */
+            this.ctx.lineTo(x, this.worldHeight); /* Bottom */
+        }
+        for (let y = 0; y <= this.worldHeight; y += cellSize) { /* Horizontal borders */
+            this.ctx.moveTo(0, y); /* Left */
+            this.ctx.lineTo(this.worldWidth, y); /* Right */
+        }
+        this.ctx.stroke(); /* Draw borders */
+        this.ctx.fillStyle = CONFIG.COLORS.DEBUG_GRID_CELL; /* Occupied cell color */
+        for (let i = 0; i < grid.activeCells.length; i++) { /* Cells filled by the last collision pass */
+            const cell = grid.activeCells[i]; /* Cell storage with its coordinates */
+            this.ctx.globalAlpha = 0.5 * Math.min(1, cell.count / CONFIG.DEBUG.GRID_HEAT_COUNT); /* Busier cells are darker */
+            this.ctx.fillRect(cell.cellX * cellSize, cell.cellY * cellSize, cellSize, cellSize); /* Shade cell */
+        }
+        this.ctx.globalAlpha = 1; /* Restore opacity */
+    }
+
+    batchColor(level) { /* Outline color for an opacity level, faintest to opaque */
+        const palette = CONFIG.COLORS.DEBUG_BATCHES; /* Colors low to high */
+        const index = Math.floor((level - 1) / CONFIG.RENDERING.OPACITY_LEVELS * palette.length); /* Spread levels over palette */
+        return palette[Math.max(0, Math.min(palette.length - 1, index))]; /* Clamp */
+    }
+
+    drawDebugBatches(targets, alpha, quantized = true) { /* Outline each target in the color of the opacity batch it was drawn in - world layer */
+        this.ctx.globalAlpha = 1; /* Outlines stay visible on faded targets */
+        this.ctx.lineWidth = 2; /* Thin outline */
+        for (let i = 0; i < targets.length; i++) { /* Indexed loop avoids closure allocation */
+            const target = targets[i]; /* Current target */
+            const level = quantized ? this.opacityLevel(target) : CONFIG.RENDERING.OPACITY_LEVELS; /* Unquantized backends draw every target in one batch */
+            if (level === 0) continue; /* Invisible and not drawn */
+            this.ctx.strokeStyle = this.batchColor(level); /* Batch color */
+            this.ctx.beginPath(); /* New outline */
+            this.ctx.arc(this.interpolate(target.previousX, target.x, alpha), this.interpolate(target.previousY, target.y, alpha), /* Interpolated position */
+                target.radius + 3, 0, Math.PI * 2); /* Just outside type decorations */
+            this.ctx.stroke(); /* Draw outline */
+        }
+    }
+
+    drawDebugOverlay(profiler, stats, batchStats = this.batchStats) { /* Frame graph, entity, pool and batch figures in the top-left corner */
+        const padding = 8; /* Inner margin */
+        const lineHeight = 14; /* Text row height */
+        const histogramHeight = 24; /* Opacity batch bars */
+        const graphHeight = CONFIG.DEBUG.GRAPH_HEIGHT; /* Frame graph */
+        const panelWidth = CONFIG.DEBUG.PANEL_WIDTH; /* Panel width in world units */
+        let poolCount = 0; /* Pool rows */
+        for (const name in stats.pools) poolCount++; /* Count without allocating a key list */
+        const panelHeight = padding * 4 + graphHeight + (4 + poolCount) * lineHeight + histogramHeight; /* Fits every row */
+        const left = 10 + padding; /* Content left edge */
+        let y = 10 + padding; /* Content cursor */
+
+        this.ctx.globalAlpha = 1; /* Panel color carries its own alpha */
+        this.ctx.fillStyle = CONFIG.COLORS.DEBUG_PANEL; /* Backdrop */
+        this.ctx.fillRect(10, 10, panelWidth, panelHeight); /* Panel */
+        this.drawFrameGraph(profiler, left, y, panelWidth - padding * 2, graphHeight); /* Stacked timings */
+        y += graphHeight + padding; /* Below graph */
+
+        this.ctx.font = '11px monospace'; /* Fixed-width figures */
+        this.ctx.textAlign = 'left'; /* Anchor to left edge */
+        this.ctx.textBaseline = 'top'; /* Anchor to top edge */
+        this.drawTimingLegend(profiler, left, y); /* Colored section timings */
+        y += lineHeight; /* Next row */
+        this.ctx.fillStyle = CONFIG.COLORS.DEBUG_TEXT; /* Plain text */
+        this.ctx.fillText(`targets ${stats.targets}  projectiles ${stats.projectiles}  pairs ${stats.pairChecks}`, left, y); /* Entities and narrow-phase tests */
+        y += lineHeight; /* Next row */
+        this.ctx.fillText(`grid cells ${stats.gridCells}  particles ${stats.particles}  stress ${stats.stress ? 'on' : 'off'} (F4)`, left, y); /* Broad phase, effects and load */
+        y += lineHeight; /* Next row */
+        for (const name in stats.pools) { /* One row per pool */
+            const pool = stats.pools[name]; /* Counters */
+            const extra = (pool.refusals > 0 ? ` refused ${pool.refusals}` : '') + (pool.evictions > 0 ? ` evicted ${pool.evictions}` : ''); /* Overflow, when any */
+            this.ctx.fillText(`${name.padEnd(17)}${pool.inUse}/${pool.inUse + pool.available} peak ${pool.highWaterMark} alloc ${pool.allocations} miss ${pool.misses}${extra}`, left, y); /* Pool row */
+            y += lineHeight; /* Next row */
+        }
+        this.ctx.fillText(batchStats.quantized ? `opacity batches: ${batchStats.fills} fills` : /* Canvas 2D rounds opacity */
+            `opacity exact per instance: ${batchStats.fills} instanced draws`, left, y); /* WebGL does not batch by opacity */
+        y += lineHeight + padding / 2; /* Below label */
+        if (batchStats.quantized) this.drawBatchHistogram(batchStats, left, y, panelWidth - padding * 2, histogramHeight); /* Targets per level */
+    }
+
+    drawFrameGraph(profiler, left, top, width, height) { /* Stacked bars of section time per frame, newest on the right */
+        const frames = CONFIG.DEBUG.GRAPH_FRAMES; /* Bars across */
+        const barWidth = width / frames; /* World units per bar */
+        const budget = CONFIG.DEBUG.FRAME_BUDGET_MS; /* Budget line sits at half height */
+        const pixelsPerMs = height / (budget * 2); /* Vertical scale */
+        const sectionColors = [CONFIG.COLORS.DEBUG_UPDATE, CONFIG.COLORS.DEBUG_COLLISION, CONFIG.COLORS.DEBUG_RENDER]; /* Matches FrameProfiler.SECTIONS */
+        for (let framesAgo = 0; framesAgo < profiler.frames; framesAgo++) { /* Recorded frames only */
+            const x = left + width - (framesAgo + 1) * barWidth; /* Newest at the right edge */
+            let barBottom = top + height; /* Stack from the bottom */
+            for (let i = 0; i < FrameProfiler.SECTIONS.length; i++) { /* Stack each section */
+                const barHeight = Math.min(barBottom - top, profiler.sample(FrameProfiler.SECTIONS[i], framesAgo) * pixelsPerMs); /* Clip at graph top */
+                this.ctx.fillStyle = sectionColors[i]; /* Section color */
+                this.ctx.fillRect(x, barBottom - barHeight, barWidth, barHeight); /* Segment */
+                barBottom -= barHeight; /* Next segment sits on top */
+            }
+        }
+        this.ctx.strokeStyle = CONFIG.COLORS.DEBUG_BUDGET; /* Budget line */
+        this.ctx.lineWidth = 1; /* Thin line */
+        this.ctx.beginPath(); /* Line path */
+        this.ctx.moveTo(left, top + height / 2); /* Left end */
+        this.ctx.lineTo(left + width, top + height / 2); /* Right end */
+        this.ctx.stroke(); /* Draw budget line */
+    }
+
+    drawTimingLegend(profiler, left, y) { /* Last frame's section timings, each in its graph color */
+        const sectionColors = [CONFIG.COLORS.DEBUG_UPDATE, CONFIG.COLORS.DEBUG_COLLISION, CONFIG.COLORS.DEBUG_RENDER]; /* Matches FrameProfiler.SECTIONS */
+        let x = left; /* Text cursor */
+        for (let i = 0; i < FrameProfiler.SECTIONS.length; i++) { /* One label per section */
+            const label = `${FrameProfiler.SECTIONS[i]} ${profiler.sample(FrameProfiler.SECTIONS[i], 0).toFixed(2)}  `; /* Name and milliseconds */
+            this.ctx.fillStyle = sectionColors[i]; /* Section color */
+            this.ctx.fillText(label, x, y); /* Draw label */
+            x += this.ctx.measureText(label).width; /* Advance past it */
+        }
+        this.ctx.fillStyle = CONFIG.COLORS.DEBUG_TEXT; /* Plain text */
+        this.ctx.fillText(`= ${profiler.frameTime(0).toFixed(2)} ms`, x, y); /* Whole frame */
+    }
+
+    drawBatchHistogram(batchStats, left, top, width, height) { /* One bar per opacity level, height by target count */
+        const counts = batchStats.counts; /* Targets per level */
+        let maxCount = 1; /* Avoid dividing by zero */
+        for (let level = 1; level < counts.length; level++) maxCount = Math.max(maxCount, counts[level]); /* Tallest bar */
+        const barWidth = width / (counts.length - 1); /* Level zero is never drawn */
+        for (let level = 1; level < counts.length; level++) { /* Visible levels */
+            const barHeight = counts[level] / maxCount * height; /* Scaled count */
+            this.ctx.fillStyle = this.batchColor(level); /* Same color as the outlines */
+            this.ctx.fillRect(left + (level - 1) * barWidth, top + height - barHeight, barWidth - 1, barHeight); /* Bar */
+        }
+    }
+}
+
+GameRenderer.BACKENDS.canvas2d = Canvas2DRenderer; /* Register backend */
@@ -1,281 +1,529 @@
-class Game { /* Main game class that manages all game systems and state */
+class Game { /* Browser shell - owns DOM, input, rendering and the frame loop around a GameSimulation */
 
     configureCanvasAndDom() { /* Initialize canvas and DOM elements */
         this.canvas = document.getElementById('gameCanvas'); /* Get the main game canvas element */
         this.ctx = this.canvas.getContext('2d'); /* Get 2D rendering context for drawing */
         this.scoreElement = document.getElementById('score'); /* Get score display element */
         this.fpsElement = document.getElementById('fps'); /* Get FPS counter display element */
+        this.worldWidth = CONFIG.DISPLAY.WORLD_WIDTH; /* Logical world size - the canvas backing store follows the window instead */
+        this.worldHeight = CONFIG.DISPLAY.WORLD_HEIGHT; /* Logical world height */
+    }
+
+    initializeConfig() { /* Validate CONFIG and apply URL overrides before anything reads it */
+        this.configManager = new ConfigManager(); /* Schema, presets and live edits */
+        this.configQueryErrors = this.configManager.applyQuery(window.location.search); /* ?preset=, ?config= and ?PATH= overrides */
+        this.configQueryErrors.forEach(message => console.warn(`Config override ignored: ${message}`)); /* Bad links still load the game */
     }
 
     initializeState() { /* Set up initial game state variables */
-        this.running = true; /* Flag indicating if game is active */
-        this.score = 0; /* Player's current score */
-        this.lastUpdateTime = 0; /* Time of last game update for frame timing */
+        this.stateMachine = new GameStateMachine(); /* Boot -> menu -> playing -> paused -> game over */
+        this.modeKeys = Object.keys(CONFIG.ROUND_MODES); /* Round modes in title screen order */
+        this.selectedMode = CONFIG.DEFAULT_ROUND_MODE; /* Mode the next round uses */
+        this.setupKeys = Object.keys(CONFIG.PLAYER_SETUPS); /* Player setups in cycling order */
+        this.selectedSetup = CONFIG.DEFAULT_PLAYER_SETUP; /* Who plays the next round */
+        this.lastFrameTime = null; /* Timestamp of previous animation frame - null until first frame arrives */
+        this.accumulator = 0; /* Real time in seconds not yet consumed by fixed simulation steps */
         this.frameCount = 0; /* Number of frames rendered in current second */
         this.lastFpsUpdateTime = 0; /* Time of last FPS counter update */
         this.currentFps = 0; /* Current frames per second value */
-    
-        this.player = { /* Initialize player object with starting position and properties */
-            x: this.canvas.width / 2, /* Center player horizontally */
-            y: this.canvas.height - 50, /* Position player near bottom of screen */
-            size: CONFIG.PLAYER.SIZE, /* Player circle radius */
-            color: CONFIG.COLORS.PLAYER, /* Player color from config */
-            velocity: { /* Player movement velocity vector */
-                x: 0, /* Horizontal velocity - starts at 0 */
-                y: 0  /* Vertical velocity - starts at 0 */
-            }
+        this.displayedScores = []; /* Scores currently shown in the DOM, by player - avoids rewriting unchanged text */
+        this.roundSummary = null; /* Stats of the last finished round - set on game over */
+        this.canSaveScore = false; /* Whether the finished round may still be added to the leaderboard */
+        this.stressedRound = false; /* Whether the stress test ran during the current round - such rounds are not ranked */
+        this.playerName = CONFIG.LEADERBOARD.DEFAULT_NAME; /* Name prefilled in the leaderboard entry */
+        this.poolStats = {}; /* Pool counters, refreshed in place by getPoolStats */
+        this.joystickBase = { x: 0, y: 0 }; /* Reused joystick ring position in HUD space */
+        this.joystickKnob = { x: 0, y: 0 }; /* Reused joystick thumb position in HUD space */
+        this.debugOverlayVisible = false; /* Performance overlay toggled with F3 */
+        this.debugStats = { /* Figures handed to the overlay, refreshed in place each frame */
+            targets: 0, /* Live targets */
+            projectiles: 0, /* Live projectiles */
+            particles: 0, /* Live effect particles */
+            pairChecks: 0, /* Narrow-phase tests this frame */
+            gridCells: 0, /* Occupied spatial grid cells */
+            stress: false, /* Whether the stress test is running */
+            pools: this.poolStats /* Pool counters */
         };
 
-        this.projectiles = []; /* Array to store active projectiles */
-        this.targets = []; /* Array to store active targets */
+        this.inputFrames = []; /* One input frame per player, handed to the simulation each step */
+        this.playerSchemes = []; /* Input scheme per player - an InputManager.SCHEMES key or 'bot' */
+        this.bots = []; /* BotController per player, null for people */
+        this.playerNames = []; /* HUD and results label per player */
+    }
 
-        /**
-         * Tracks currently pressed keys for movement */
-        this.inputState = { /* Track keyboard state for player movement */
-            left: false, /* Is left movement key pressed */
-            right: false, /* Is right movement key pressed */
-            up: false, /* Is up movement key pressed */
-            down: false /* Is down movement key pressed */
+    createInputFrame() { /* Device-independent input for one player's next step - filled from InputManager or a bot */
+        return { /* Reused for the whole round */
+            moveX: 0, /* Horizontal move axis, -1 (left) to 1 (right) */
+            moveY: 0, /* Vertical move axis, -1 (up) to 1 (down) */
+            fireRequested: false, /* Was fire pressed since the last step */
+            fireHeld: false, /* Is any fire input held - drives automatic weapons */
+            aimX: 0, /* Aim point X in world units */
+            aimY: 0, /* Aim point Y in world units */
+            weaponSlot: 0, /* Weapon slot picked since the last step - 0 for none */
+            reloadRequested: false /* Was reload pressed since the last step */
         };
     }
 
-    initializePools() { /* Set up object pools for entity recycling */
-        this.projectilePool = new ObjectPool(() => ({ /* Create projectile pool with factory function */
-            x: 0, /* Starting x position */
-            y: 0, /* Starting y position */
-            radius: CONFIG.PROJECTILE.RADIUS, /* Projectile size */
-            color: CONFIG.COLORS.PROJECTILE, /* Projectile color */
-            velocity: { x: 0, y: 0 } /* Initial velocity vector */
-        }), CONFIG.POOLS.INITIAL_SIZE);
+    get setupSchemes() { /* Input scheme per player for the selected setup */
+        return CONFIG.PLAYER_SETUPS[this.selectedSetup].PLAYERS; /* One entry per player */
+    }
 
-        this.targetPool = new ObjectPool(() => ({ /* Create target pool with factory function */
-            x: 0, /* Starting x position */
-            y: 0, /* Starting y position */
-            radius: 0, /* Will be set when spawned */
-            color: CONFIG.COLORS.TARGET, /* Target color */
-            creationTime: 0, /* Will track when target was created */
-            currentOpacity: 1 /* Full opacity when spawned */
-        }), CONFIG.POOLS.INITIAL_SIZE);
+    configurePlayers(schemes) { /* Give each simulated player an input frame and a human scheme or a bot - after every simulation reset */
+        schemes.forEach(scheme => { /* Fail before the round starts, not on its first step */
+            if (scheme !== 'bot' && !InputManager.SCHEMES[scheme]) throw new Error(`Unknown input scheme "${scheme}"`); /* Typo in CONFIG.PLAYER_SETUPS */
+        });
+        this.playerSchemes = schemes; /* Routing for presses and held input */
+        this.bots = schemes.map((scheme, index) => scheme === 'bot' ? new BotController(this.simulation, this.simulation.players[index]) : null); /* Fresh bots follow the new seed */
+        while (this.inputFrames.length < schemes.length) this.inputFrames.push(this.createInputFrame()); /* Grow once, reuse after */
+        this.inputFrames.length = schemes.length; /* Drop frames of players who left */
+        this.namePlayers(schemes); /* Labels */
     }
 
-    initializeCollisionSystem() { /* Set up spatial partitioning for collision detection */
-        this.collisionGrid = new SpatialGrid(CONFIG.PERFORMANCE.GRID_CELL_SIZE); /* Create grid with configured cell size */
+    namePlayers(schemes) { /* HUD labels - P1, P2 for people, Bot N for bots, P1 for everyone when schemes are unknown */
+        this.playerNames = this.simulation.players.map((player, index) => (schemes && schemes[index] === 'bot' ? 'Bot ' : 'P') + (index + 1)); /* One per player */
     }
 
-    setupEventListeners() { /* Configure input handling */
-        this.canvas.addEventListener('click', (event) => { /* Listen for mouse clicks */
-            const rect = this.canvas.getBoundingClientRect(); /* Get canvas position */
-            const clickX = event.clientX - rect.left; /* Calculate click X relative to canvas */
-            const clickY = event.clientY - rect.top; /* Calculate click Y relative to canvas */
-            this.createProjectile(clickX, clickY); /* Create projectile at click position */
-        });
-        
-        window.addEventListener('keydown', (event) => { /* Listen for key presses */
-            this.handleKeyInput(event.key, true); /* Update input state for key press */
-        });
-        
-        window.addEventListener('keyup', (event) => { /* Listen for key releases */
-            this.handleKeyInput(event.key, false); /* Update input state for key release */
+    cyclePlayerSetup() { /* Select the next player setup on the title screen */
+        const index = this.setupKeys.indexOf(this.selectedSetup); /* Current position */
+        this.selectedSetup = this.setupKeys[(index + 1) % this.setupKeys.length]; /* Wrap around */
+    }
+
+    gamepadPlayer() { /* Player the gamepad's right stick aims around - the first one reading the gamepad, else player 1 */
+        const index = this.playerSchemes.findIndex(scheme => scheme === 'gamepad' || scheme === 'any'); /* Schemes that read the pad */
+        return this.simulation.players[Math.max(0, index)] ?? this.simulation.player; /* Replays may hold fewer players than the setup */
+    }
+
+    initializeSimulation() { /* Create the DOM-free game logic */
+        this.simulation = new GameSimulation({ /* Simulation sized to the canvas */
+            width: this.worldWidth, /* Logical world width */
+            height: this.worldHeight, /* Logical world height */
+            seed: this.createSeed(), /* Fresh seed per page load */
+            mode: this.selectedMode, /* Round rules */
+            players: this.setupSchemes.length /* Local players */
         });
+        this.configurePlayers(this.setupSchemes); /* Frames and bots */
     }
 
-    handleKeyInput(key, isPressed) { /* Process keyboard input */
-        if (CONFIG.KEYBOARD_CONTROLS.LEFT.includes(key)) { /* Check if left movement key */
-            this.inputState.left = isPressed; /* Update left movement state */
-        }
-        if (CONFIG.KEYBOARD_CONTROLS.RIGHT.includes(key)) { /* Check if right movement key */
-            this.inputState.right = isPressed; /* Update right movement state */
+    createSeed() { /* Pick a random seed for a live run - the only Math.random left outside the simulation */
+        return Math.floor(Math.random() * 0xFFFFFFFF); /* Unsigned 32-bit seed */
+    }
+
+    initializeReplay() { /* Set up input recording and replay playback */
+        this.replayRecorder = new ReplayRecorder(); /* Records every live run */
+        this.replayRecorder.start(this.simulation); /* Begin recording immediately */
+        this.replayPlayer = null; /* Active replay - null during live play */
+    }
+
+    setupEventListeners() { /* Configure input handling */
+        this.input = new InputManager(this.canvas, (clientX, clientY, out) => this.clientToWorld(clientX, clientY, out)); /* Keyboard, mouse, gamepad and touch */
+        this.input.onAction((action, device) => this.handleAction(action, device)); /* Presses from every device */
+        window.addEventListener('resize', () => this.resizeCanvas()); /* Refit on window and zoom changes */
+    }
+
+    clientToWorld(clientX, clientY, out) { /* Convert a pointer position to world coordinates */
+        this.renderer.clientToView(clientX, clientY, out); /* Undo scaling and letterbox */
+        return this.camera.screenToWorld(out.x, out.y, out); /* Undo camera */
+    }
+
+    resizeCanvas() { /* Fill the window with the canvas at device resolution */
+        this.renderer.resize(window.innerWidth, window.innerHeight, window.devicePixelRatio); /* Backing store and fit */
+    }
+
+    handleAction(action, device) { /* Route an action press by game state - a key bound to several actions sends each */
+        if (this.handleToolAction(action)) return; /* Panels and debug tools work in every state */
+        const STATES = GameStateMachine.STATES; /* State names */
+        const state = this.stateMachine.state; /* Current state */
+        const slot = action.startsWith('SLOT_') ? parseInt(action.slice(5), 10) : 0; /* Slot actions carry their number */
+
+        if (state === STATES.MENU) { /* Title screen */
+            if (slot >= 1 && slot <= this.modeKeys.length) this.selectedMode = this.modeKeys[slot - 1]; /* Slots pick a mode */
+            if (action === 'PLAYER_SETUP') this.cyclePlayerSetup(); /* Next setup */
+            if (action === 'CONFIRM' || action === 'FIRE') this.restartRound(); /* Start round - clicks and taps too */
+        } else if (state === STATES.PLAYING) { /* Round in progress */
+            if (action === 'PAUSE') this.togglePlayingPause(); /* Pause round or replay */
+            if (this.replayPlayer) return; /* Remaining actions drive live play only */
+            this.handlePlayerAction(action, device); /* Fire, reload and weapon picks */
+        } else if (state === STATES.PAUSED) { /* Round frozen */
+            if (action === 'PAUSE') this.stateMachine.transition(STATES.PLAYING); /* Resume */
+            else if (action === 'RESTART') this.restartRound(); /* Restart */
+            else if (action === 'MENU') this.showMenu(); /* Quit to title */
+        } else if (state === STATES.GAME_OVER) { /* Results screen */
+            if (action === 'CONFIRM' || action === 'RESTART') this.restartRound(); /* Play again */
+            else if (action === 'MENU') this.showMenu(); /* Quit to title */
         }
-        if (CONFIG.KEYBOARD_CONTROLS.UP.includes(key)) { /* Check if up movement key */
-            this.inputState.up = isPressed; /* Update up movement state */
+    }
+
+    handlePlayerAction(action, device) { /* Apply a press to the first player whose scheme reads its device */
+        for (let index = 0; index < this.playerSchemes.length; index++) { /* Player 1 first */
+            const playerAction = InputManager.schemeAction(this.playerSchemes[index], action, device); /* P2_ prefix removed */
+            if (playerAction === null) continue; /* Not this player's press */
+            const frame = this.inputFrames[index]; /* Player's next step */
+            const slot = playerAction.startsWith('SLOT_') ? parseInt(playerAction.slice(5), 10) : 0; /* Slot actions carry their number */
+            if (playerAction === 'FIRE') this.queueFire(frame); /* Fire on the next simulation step */
+            else if (playerAction === 'RELOAD') frame.reloadRequested = true; /* Applied on next step */
+            else if (playerAction === 'WEAPON_PREV') this.cycleWeapon(index, -1); /* Applied on next step */
+            else if (playerAction === 'WEAPON_NEXT') this.cycleWeapon(index, 1); /* Applied on next step */
+            else if (slot >= 1) frame.weaponSlot = slot; /* Applied on next step */
+            return; /* One player per press */
         }
-        if (CONFIG.KEYBOARD_CONTROLS.DOWN.includes(key)) { /* Check if down movement key */
-            this.inputState.down = isPressed; /* Update down movement state */
+    }
+
+    handleToolAction(action) { /* Toggle a panel or debug tool - returns whether the action was one */
+        if (action === 'DEBUG_OVERLAY') this.toggleDebugOverlay(); /* Show or hide overlay */
+        else if (action === 'STRESS_TEST') this.toggleStressTest(); /* Start or stop load */
+        else if (action === 'CONFIG_PANEL') this.configPanel.toggle(); /* Show or hide config editor */
+        else if (action === 'CONTROLS_PANEL') this.controlsPanel.toggle(); /* Show or hide controls editor */
+        else if (action === 'MUTE') this.toggleMute(); /* Sound on or off */
+        else return false; /* Game action */
+        return true; /* Handled */
+    }
+
+    toggleMute() { /* Flip mute and show it on the volume controls */
+        this.audio.toggleMute(); /* Saved */
+        this.audioControls.refresh(); /* Button label */
+    }
+
+    togglePlayingPause() { /* Pause the live round, or playback during a replay */
+        if (this.replayPlayer) this.toggleReplayPause(); /* Replays use their own pause */
+        else this.stateMachine.transition(GameStateMachine.STATES.PAUSED); /* Freeze round */
+    }
+
+    cycleWeapon(index, direction) { /* Queue a player's previous or next weapon slot, wrapping around */
+        const weaponSystem = this.simulation.players[index].weaponSystem; /* Slot order and equipped weapon */
+        const frame = this.inputFrames[index]; /* Player's next step */
+        const count = weaponSystem.weaponIds.length; /* Slots */
+        const current = frame.weaponSlot || weaponSystem.weaponIds.indexOf(weaponSystem.currentWeaponId) + 1; /* Pending pick or equipped slot */
+        frame.weaponSlot = ((current - 1 + direction + count) % count) + 1; /* 1-based wrap */
+    }
+
+    toggleStressTest() { /* Start or stop the stress load - a stressed round neither replays nor ranks */
+        if (!this.stressTest.toggle()) return; /* Switched off - the round stays marked */
+        if (this.replayPlayer || this.simulation.round.over) return; /* No live round - restartRound checks again */
+        this.stressedRound = true; /* Extra targets are worth points */
+        this.replayRecorder.stop('stress test'); /* Stress spawns are not recorded and shift the simulation's RNG */
+    }
+
+    toggleDebugOverlay() { /* Show or hide the performance overlay */
+        this.debugOverlayVisible = !this.debugOverlayVisible; /* Flip */
+        this.simulation.profiler = this.debugOverlayVisible ? this.profiler : null; /* Collision timing only while visible */
+    }
+
+    restartRound() { /* Start a fresh round in the selected mode without reloading the page */
+        this.replayPlayer = null; /* Live play replaces any replay */
+        this.replayControls.setReplayMode(null); /* Disable playback controls */
+        const schemes = this.setupSchemes; /* Who plays */
+        this.simulation.reset(this.createSeed(), this.selectedMode, schemes.length); /* Recycle entities and reset state */
+        this.configurePlayers(schemes); /* Frames and fresh bots */
+        this.replayRecorder.start(this.simulation); /* Record the new round */
+        this.stressedRound = this.stressTest.enabled; /* Load left running from the last round */
+        if (this.stressedRound) this.replayRecorder.stop('stress test'); /* Nothing reproducible to record */
+        this.clearOneShotInputs(); /* Drop clicks and keys from before the round */
+        this.accumulator = 0; /* Drop banked time */
+        this.camera.reset(); /* Default view */
+        this.effects.clear(); /* No bursts left over from the last round */
+        this.stateMachine.transition(GameStateMachine.STATES.PLAYING); /* Round on */
+    }
+
+    showMenu() { /* Return to the title screen */
+        this.replayPlayer = null; /* Leave any replay */
+        this.replayControls.setReplayMode(null); /* Disable playback controls */
+        this.stateMachine.transition(GameStateMachine.STATES.MENU); /* Show title screen */
+    }
+
+    clearOneShotInputs() { /* Reset inputs that apply to a single step */
+        for (let i = 0; i < this.inputFrames.length; i++) { /* Every player */
+            const frame = this.inputFrames[i]; /* Player's frame */
+            frame.fireRequested = false; /* Each click fires at most once */
+            frame.weaponSlot = 0; /* Each number key switches once */
+            frame.reloadRequested = false; /* Each reload key press reloads once */
         }
     }
 
-    startTargetGeneration() { /* Begin periodic target creation */
-        setInterval(() => this.createTarget(), CONFIG.TARGET.SPAWN_INTERVAL); /* Create new target at fixed intervals */
+    queueFire(frame) { /* Request a shot for the next simulation step - aim is read with the held inputs just before it */
+        frame.fireRequested = true; /* Consumed by the next step */
+    }
+
+    readHeldInputs() { /* Fill every player's next input frame - people from their scheme's devices, bots from the world */
+        const players = this.simulation.players; /* Simulated players, same order as the frames */
+        for (let i = 0; i < this.inputFrames.length; i++) { /* Player 1 first */
+            if (this.bots[i]) this.bots[i].update(this.inputFrames[i]); /* Target, lead and trigger */
+            else this.input.readHeld(this.playerSchemes[i], players[i], this.inputFrames[i]); /* Axes, trigger and aim */
+        }
     }
 
     setupGameSystems() { /* Initialize game subsystems */
-        this.renderer = new GameRenderer(this.canvas); /* Create rendering system */
-        this.startTargetGeneration(); /* Start spawning targets */
+        this.renderer = GameRenderer.create(this.canvas, this.worldWidth, this.worldHeight); /* Configured backend, or Canvas 2D if it cannot start */
+        this.camera = new Camera(this.worldWidth, this.worldHeight); /* World view - offset, zoom and shake */
+        this.effects = new EffectsSystem(this.camera); /* Particles, score popups and shake */
+        this.simulation.effects = this.effects; /* Shots, hits and blasts feed the effects */
+        this.audio = new AudioSystem(this.worldWidth); /* Sound effects - silent until the first click or key */
+        this.simulation.audio = this.audio; /* Same events feed the sounds */
+        this.resizeCanvas(); /* Initial fit */
+        this.replayControls = new ReplayControls(this); /* Hook up replay panel */
+        this.leaderboard = new Leaderboard(); /* Saved top scores */
+        this.leaderboardPanel = new LeaderboardPanel(this); /* Hook up results panel */
+        this.profiler = new FrameProfiler(); /* Section timings for the debug overlay */
+        this.stressTest = new StressTest(this.simulation); /* Fixed load for profiling */
+        this.configPanel = new ConfigPanel(this); /* Hook up config editor */
+        this.controlsPanel = new ControlsPanel(this); /* Hook up binding editor */
+        this.audioControls = new AudioControls(this); /* Hook up volume controls */
+        this.configManager.onChange(paths => this.applyConfigChange(paths)); /* Live edits reach the running game */
+        if (this.configQueryErrors.length > 0) this.configPanel.showStatus(`Ignored URL overrides: ${this.configQueryErrors.join('; ')}`); /* Explain bad links */
+        const STATES = GameStateMachine.STATES; /* State names */
+        this.stateMachine.onEnter(STATES.GAME_OVER, () => this.showResults()); /* Stats and leaderboard */
+        this.stateMachine.onEnter(STATES.PLAYING, () => this.leaderboardPanel.hide()); /* Panel only on results */
+        this.stateMachine.onEnter(STATES.MENU, () => this.leaderboardPanel.hide()); /* Panel only on results */
     }
 
     constructor() { /* Initialize game instance */
+        this.initializeConfig(); /* Apply config overrides first */
         this.configureCanvasAndDom(); /* Set up canvas and DOM elements */
         this.initializeState(); /* Initialize game state */
-        this.initializePools(); /* Set up object pools */
-        this.initializeCollisionSystem(); /* Set up collision detection */
+        this.initializeSimulation(); /* Create game logic */
+        this.initializeReplay(); /* Start recording inputs */
         this.setupEventListeners(); /* Configure input handling */
         this.setupGameSystems(); /* Initialize subsystems */
-    }  
-
-    updateTargets() { /* Update all active targets */
-        const currentTime = Date.now(); /* Get current timestamp */
-        
-        for (let i = this.targets.length - 1; i >= 0; i--) { /* Iterate targets backwards */
-            const target = this.targets[i]; /* Get current target */
-            const targetAge = currentTime - target.creationTime; /* Calculate target lifetime */
-            
-            if (targetAge >= CONFIG.TARGET.MAX_LIFESPAN) { /* Check if target expired */
-                this.targetPool.release(target); /* Return to pool */
-                this.targets.splice(i, 1); /* Remove from active targets */
-            } 
-            else if (targetAge > CONFIG.TARGET.MAX_LIFESPAN * CONFIG.TARGET.FADE_START_PERCENT) { /* Check if target should start fading */
-                const fadeTimeTotal = CONFIG.TARGET.MAX_LIFESPAN * (1 - CONFIG.TARGET.FADE_START_PERCENT); /* Calculate total fade duration */
-                const fadeTimeElapsed = targetAge - (CONFIG.TARGET.MAX_LIFESPAN * CONFIG.TARGET.FADE_START_PERCENT); /* Calculate elapsed fade time */
-                target.currentOpacity = 1 - (fadeTimeElapsed / fadeTimeTotal); /* Update target opacity */
-            }
+        this.stateMachine.transition(GameStateMachine.STATES.MENU); /* Boot finished - show title screen */
+    }
+
+    stepSimulation() { /* Run one fixed-size simulation step */
+        if (this.replayPlayer) { /* Replay drives the simulation instead of live input */
+            this.replayPlayer.advance(); /* Play next recorded step */
+            return; /* Live input is ignored during playback */
         }
+        if (this.simulation.round.over) return; /* Round ended earlier this frame - step() would do nothing, so nothing is recorded either */
+        this.stressTest.update(); /* Top up stress load - not recorded, so stressed runs do not replay */
+        this.readHeldInputs(); /* Axes, trigger and aim as of this frame */
+        this.replayRecorder.recordStep(this.inputFrames); /* Record inputs before they are consumed - bot frames too, so replays need no bots */
+        this.simulation.step(this.inputFrames); /* Advance game logic with current inputs */
+        this.clearOneShotInputs(); /* Clicks and key presses apply to one step only */
     }
 
-    updateProjectiles() { /* Update all active projectiles */
-        for (let i = this.projectiles.length - 1; i >= 0; i--) { /* Iterate projectiles backwards */
-            const projectile = this.projectiles[i]; /* Get current projectile */
-            
-            projectile.x += projectile.velocity.x; /* Update X position */
-            projectile.y += projectile.velocity.y; /* Update Y position */
-            
-            if (projectile.x < 0 || projectile.x > this.canvas.width || 
-                projectile.y < 0 || projectile.y > this.canvas.height) { /* Check if out of bounds */
-                this.projectilePool.release(projectile); /* Return to pool */
-                this.projectiles.splice(i, 1); /* Remove from active projectiles */
-            }
+    getTimeScale() { /* Multiplier applied to real time before it reaches the simulation */
+        if (!this.replayPlayer) return 1; /* Live play runs in real time */
+        return this.replayPlayer.paused || this.replayPlayer.finished ? 0 : this.replayPlayer.speed; /* Replay speed or frozen */
+    }
+
+    collectDebugStats() { /* Refresh the figures shown by the debug overlay */
+        const stats = this.debugStats; /* Reused object */
+        stats.targets = this.simulation.targets.length; /* Live targets */
+        stats.projectiles = this.simulation.projectiles.length; /* Live projectiles */
+        stats.particles = this.effects.particles.length; /* Live effect particles */
+        stats.pairChecks = this.profiler.lastCounters.pairChecks ?? 0; /* Summed over this frame's steps */
+        stats.gridCells = this.simulation.collisionGrid.activeCells.length; /* Cells the last pass filled */
+        stats.stress = this.stressTest.enabled; /* Load running */
+        this.getPoolStats(); /* Refreshes stats.pools in place */
+        return stats; /* Same object every frame */
+    }
+
+    getPoolStats() { /* Counters for every pool the simulation and effects own - for the debug overlay */
+        this.simulation.getPoolStats(this.poolStats); /* Projectiles and targets, filled in place */
+        return this.effects.getPoolStats(this.poolStats); /* Particles and popups - no per-frame allocation */
+    }
+
+    exportReplay() { /* Download the live run's recording */
+        this.replayRecorder.exportToFile(); /* Serialize and download */
+    }
+
+    loadReplay(jsonText) { /* Switch from live play to playing back a replay file */
+        try { /* Bad files must not break the running game */
+            this.replayPlayer = ReplayPlayer.fromJSON(jsonText, this.simulation); /* Validate and rewind simulation */
+        } catch (error) { /* Invalid JSON or unsupported version */
+            this.replayControls.showError(`Replay import failed: ${error.message}`); /* Tell the user why */
+            return; /* Stay in current mode */
+        }
+        this.accumulator = 0; /* Drop banked live time */
+        this.namePlayers(null); /* Replays do not record who was a bot */
+        this.effects.clear(); /* Live-play effects do not belong to the replay */
+        this.replayControls.setReplayMode(this.replayPlayer); /* Enable playback controls */
+        if (!this.stateMachine.is(GameStateMachine.STATES.PLAYING)) { /* Replays play inside the playing state */
+            this.stateMachine.transition(GameStateMachine.STATES.PLAYING); /* Show the replay */
         }
     }
 
-    updatePlayer() { /* Update player position using physics-based movement */
-        // Apply acceleration based on input
-        if (this.inputState.left) { /* If moving left */
-            this.player.velocity.x -= CONFIG.PLAYER.ACCELERATION; /* Accelerate left */
+    toggleReplayPause() { /* Pause or resume replay playback */
+        if (this.replayPlayer) this.replayPlayer.togglePause(); /* Only meaningful during replay */
+    }
+
+    setReplaySpeed(speed) { /* Change replay playback speed */
+        if (this.replayPlayer) this.replayPlayer.setSpeed(speed); /* Only meaningful during replay */
+    }
+
+    seekReplay(step) { /* Jump replay to a specific step */
+        if (!this.replayPlayer) return; /* Only meaningful during replay */
+        this.simulation.audio = null; /* Fast-forwarded events stay silent */
+        this.replayPlayer.seek(step); /* Re-simulate to requested step */
+        this.simulation.audio = this.audio; /* Sound again from the sought step */
+        this.accumulator = 0; /* Render exactly the sought step */
+        this.effects.clear(); /* Drop bursts emitted while fast-forwarding */
+    }
+
+    exitReplay() { /* Leave playback and return to the title screen */
+        this.showMenu(); /* Next live round starts from the menu */
+    }
+
+    showResults() { /* Capture round stats and open the leaderboard panel */
+        this.roundSummary = this.simulation.getRoundSummary(); /* Freeze stats for the results screen */
+        const ranked = this.simulation.playerCount === 1 && !this.bots[0] && !this.stressedRound; /* Versus, bot and stressed rounds are not ranked */
+        this.canSaveScore = ranked && this.leaderboard.qualifies(this.roundSummary.mode, this.roundSummary.score); /* Offer entry only when it would place */
+        this.leaderboardPanel.show(this.leaderboard, this.roundSummary.mode, this.canSaveScore, this.playerName); /* Open panel */
+    }
+
+    saveLeaderboardEntry(name) { /* Record the finished round under a player name */
+        if (!this.canSaveScore) return; /* One entry per qualifying round */
+        this.canSaveScore = false; /* Block double submits */
+        this.playerName = this.leaderboard.sanitizeName(name); /* Prefill next time */
+        const entry = this.leaderboard.addEntry(this.playerName, this.roundSummary); /* Insert and persist */
+        this.leaderboardPanel.entrySaved(this.leaderboard, entry); /* Show updated board */
+    }
+
+    exportLeaderboard() { /* Download the saved top scores */
+        this.leaderboard.exportToFile(); /* Serialize and download */
+    }
+
+    importLeaderboard(jsonText) { /* Merge a leaderboard file into the saved scores */
+        try { /* Bad files must not break the results screen */
+            const added = this.leaderboard.importJSON(jsonText); /* Validate and merge */
+            this.leaderboardPanel.showStatus(`Imported ${added} new score${added === 1 ? '' : 's'}`); /* Report result */
+        } catch (error) { /* Invalid JSON or unsupported version */
+            this.leaderboardPanel.showStatus(`Leaderboard import failed: ${error.message}`); /* Tell the user why */
+            return; /* Keep current board */
         }
-        if (this.inputState.right) { /* If moving right */
-            this.player.velocity.x += CONFIG.PLAYER.ACCELERATION; /* Accelerate right */
+        this.leaderboardPanel.renderRows(this.leaderboard.getEntries(this.roundSummary.mode), null); /* Show merged board */
+    }
+
+    applyConfigChange(paths) { /* Push changed CONFIG values into objects that copied them */
+        this.simulation.applyConfigChange(paths); /* Spawner, grid and player */
+        const STATES = GameStateMachine.STATES; /* State names */
+        const roundLive = !this.replayPlayer && (this.stateMachine.is(STATES.PLAYING) || this.stateMachine.is(STATES.PAUSED)); /* Recording in progress */
+        if (roundLive) this.replayRecorder.stop('config change'); /* Replays run under one CONFIG - steps after the edit would diverge */
+        if (paths.includes('DISPLAY.FIT_MODE')) this.renderer.setFitMode(CONFIG.DISPLAY.FIT_MODE); /* Refit world */
+        if (paths.includes('CAMERA.ZOOM')) this.camera.setZoom(CONFIG.CAMERA.ZOOM); /* New default view */
+        if (paths.includes('EFFECTS.ENABLED') && !CONFIG.EFFECTS.ENABLED) this.effects.clear(); /* Switching off hides effects at once */
+        this.configPanel.refresh(this.configManager); /* Show applied and derived values */
+    }
+
+    setConfigValue(path, value) { /* Apply one edited field */
+        try { /* Out-of-range input must not reach the game */
+            this.configManager.set(path, value); /* Validate, apply and notify */
+            this.configPanel.showStatus(`${path} = ${this.configManager.get(path)}`); /* Confirm */
+        } catch (error) { /* Wrong type or out of range */
+            this.configPanel.showStatus(error.message); /* Tell the user why */
+            this.configPanel.refresh(this.configManager); /* Put the field back */
         }
-        if (this.inputState.up) { /* If moving up */
-            this.player.velocity.y -= CONFIG.PLAYER.ACCELERATION; /* Accelerate up */
+    }
+
+    loadConfigPreset(name) { /* Switch to a built-in or saved preset */
+        try { /* Saved presets may have gone stale */
+            this.configManager.loadPreset(name); /* Defaults plus preset */
+            this.configPanel.showStatus(`Loaded preset "${name}"`); /* Confirm */
+        } catch (error) { /* Unknown or invalid preset */
+            this.configPanel.showStatus(error.message); /* Tell the user why */
         }
-        if (this.inputState.down) { /* If moving down */
-            this.player.velocity.y += CONFIG.PLAYER.ACCELERATION; /* Accelerate down */
+    }
+
+    saveConfigPreset(name) { /* Store the current values as a named preset */
+        try { /* Empty or built-in names are refused */
+            const savedName = this.configManager.savePreset(name); /* Persist differences from defaults */
+            this.configPanel.refresh(this.configManager); /* List the new preset */
+            this.configPanel.selectPreset(savedName); /* Select it */
+            this.configPanel.showStatus(`Saved preset "${savedName}"`); /* Confirm */
+        } catch (error) { /* Bad name */
+            this.configPanel.showStatus(error.message); /* Tell the user why */
         }
-        
-        // Apply speed limit
-        const currentSpeed = Math.sqrt( /* Calculate current speed magnitude */
-            this.player.velocity.x * this.player.velocity.x + 
-            this.player.velocity.y * this.player.velocity.y
-        );
-        
-        if (currentSpeed > CONFIG.PLAYER.MAX_SPEED) { /* If exceeding max speed */
-            const ratio = CONFIG.PLAYER.MAX_SPEED / currentSpeed; /* Calculate scaling ratio */
-            this.player.velocity.x *= ratio; /* Scale down x velocity */
-            this.player.velocity.y *= ratio; /* Scale down y velocity */
+    }
+
+    deleteConfigPreset(name) { /* Forget a saved preset */
+        try { /* Built-ins are refused */
+            this.configManager.deletePreset(name); /* Persist removal */
+            this.configPanel.refresh(this.configManager); /* Drop it from the list */
+            this.configPanel.showStatus(`Deleted preset "${name}"`); /* Confirm */
+        } catch (error) { /* Built-in preset */
+            this.configPanel.showStatus(error.message); /* Tell the user why */
         }
-        
-        // Apply friction
-        this.player.velocity.x *= CONFIG.PLAYER.FRICTION; /* Apply horizontal friction */
-        this.player.velocity.y *= CONFIG.PLAYER.FRICTION; /* Apply vertical friction */
-        
-        // Very small velocities should be zeroed out to prevent endless tiny movement
-        if (Math.abs(this.player.velocity.x) < 0.01) this.player.velocity.x = 0; /* Stop tiny x movement */
-        if (Math.abs(this.player.velocity.y) < 0.01) this.player.velocity.y = 0; /* Stop tiny y movement */
-        
-        // Update position
-        this.player.x += this.player.velocity.x; /* Apply x velocity to position */
-        this.player.y += this.player.velocity.y; /* Apply y velocity to position */
-        
-        // Apply boundary constraints
-        const padding = CONFIG.PLAYER.BOUNDARY_PADDING; /* Get boundary padding */
-        
-        // Handle x boundaries with momentum conservation
-        if (this.player.x < padding) { /* If beyond left boundary */
-            this.player.x = padding; /* Move to boundary */
-            this.player.velocity.x *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
-        } else if (this.player.x > this.canvas.width - padding) { /* If beyond right boundary */
-            this.player.x = this.canvas.width - padding; /* Move to boundary */
-            this.player.velocity.x *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+    }
+
+    exportConfigPreset(name) { /* Download a preset as JSON */
+        this.configManager.exportToFile(name); /* Serialize and download */
+    }
+
+    importConfigPresets(jsonText) { /* Add presets from a file */
+        try { /* Bad files must not break the editor */
+            const stored = this.configManager.importJSON(jsonText); /* Validate and merge */
+            this.configPanel.refresh(this.configManager); /* List imported presets */
+            this.configPanel.showStatus(`Imported ${stored} preset${stored === 1 ? '' : 's'}`); /* Report result */
+        } catch (error) { /* Invalid JSON, version or values */
+            this.configPanel.showStatus(`Config import failed: ${error.message}`); /* Tell the user why */
         }
-        
-        // Handle y boundaries with momentum conservation
-        if (this.player.y < padding) { /* If beyond top boundary */
-            this.player.y = padding; /* Move to boundary */
-            this.player.velocity.y *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
-        } else if (this.player.y > this.canvas.height - padding) { /* If beyond bottom boundary */
-            this.player.y = this.canvas.height - padding; /* Move to boundary */
-            this.player.velocity.y *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+    }
+
+    resetConfig() { /* Restore gameConfig.js values */
+        this.configManager.resetToDefaults(); /* Apply and notify */
+        this.configPanel.showStatus('Defaults restored'); /* Confirm */
+    }
+
+    checkRoundOver() { /* Switch to results once the live round ends */
+        if (this.simulation.round.over && !this.replayPlayer) { /* Replays stay on screen at their end */
+            this.stateMachine.transition(GameStateMachine.STATES.GAME_OVER); /* Show results */
         }
     }
 
-    updateGameState() { /* Update game state for current frame */
-        this.updatePlayer(); /* Update player position with physics */
-        this.updateTargets(); /* Update all targets */
-        this.updateProjectiles(); /* Update all projectiles */
-    }
-
-    createProjectile(clickX, clickY) { /* Create new projectile with momentum transfer */
-        // Get projectile from pool and calculate angle
-        const projectile = this.projectilePool.get(); /* Get recycled or new projectile */
-        const angleToTarget = Math.atan2(clickY - this.player.y, clickX - this.player.x); /* Calculate firing angle */
-        
-        // Set initial position to player position
-        projectile.x = this.player.x; /* Start at player's X position */
-        projectile.y = this.player.y; /* Start at player's Y position */
-        
-        // Calculate base velocity components
-        const baseVelocityX = Math.cos(angleToTarget) * CONFIG.PROJECTILE.SPEED; /* Base X velocity from aim */
-        const baseVelocityY = Math.sin(angleToTarget) * CONFIG.PROJECTILE.SPEED; /* Base Y velocity from aim */
-        
-        // Add player momentum with transfer factor
-        const momentumTransferFactor = CONFIG.PROJECTILE.MOMENTUM_TRANSFER; /* How much player momentum affects projectile */
-        projectile.velocity.x = baseVelocityX + (this.player.velocity.x * momentumTransferFactor); /* Combined X velocity */
-        projectile.velocity.y = baseVelocityY + (this.player.velocity.y * momentumTransferFactor); /* Combined Y velocity */
-        
-        this.projectiles.push(projectile); /* Add to active projectiles list */
-    }
-
-    createTarget() { /* Create new target */
-        const target = this.targetPool.get(); /* Get target from pool */
-        
-        target.radius = Math.random() * CONFIG.TARGET.SIZE_VARIATION + CONFIG.TARGET.MIN_SIZE; /* Set random size */
-        target.x = Math.random() * (this.canvas.width - target.radius * 2) + target.radius; /* Set random X position */
-        target.y = Math.random() * (this.canvas.height / 2) + target.radius; /* Set random Y position */
-        target.creationTime = Date.now(); /* Set creation timestamp */
-        target.currentOpacity = 1; /* Set initial opacity */
-        
-        this.targets.push(target); /* Add to active targets */
-    }
-
-    checkCollisions() { /* Check for collisions between projectiles and targets */
-        this.collisionGrid.clear(); /* Reset collision grid */
-        this.targets.forEach((target, index) => this.collisionGrid.addObject(target, index)); /* Add targets to grid */
-
-        for (let i = this.projectiles.length - 1; i >= 0; i--) { /* Check each projectile */
-            const projectile = this.projectiles[i]; /* Get current projectile */
-            const nearbyTargets = this.collisionGrid.getNearbyObjects(projectile.x, projectile.y); /* Get potential collisions */
-
-            for (const targetData of nearbyTargets) { /* Check each nearby target */
-                const target = targetData.obj; /* Get target object */
-                const distance = Math.hypot(projectile.x - target.x, projectile.y - target.y); /* Calculate distance */
-
-                if (distance < projectile.radius + target.radius) { /* Check for collision */
-                    this.targetPool.release(target); /* Return target to pool */
-                    this.targets.splice(targetData.index, 1); /* Remove target */
-                    this.projectilePool.release(projectile); /* Return projectile to pool */
-                    this.projectiles.splice(i, 1); /* Remove projectile */
-                    this.score += CONFIG.TARGET.SCORE_VALUE; /* Increase score */
-                    this.scoreElement.textContent = `Score: ${this.score}`; /* Update score display */
-                    break; /* Exit loop after collision */
-                }
-            }
+    updateScoreDisplay() { /* Mirror simulation scores into the DOM */
+        const players = this.simulation.players; /* Every player */
+        let changed = players.length !== this.displayedScores.length; /* Player count changed */
+        for (let i = 0; i < players.length && !changed; i++) { /* Only touch DOM when a score changed */
+            changed = players[i].scoreKeeper.score !== this.displayedScores[i]; /* Compare with shown value */
         }
+        if (!changed) return; /* Nothing new */
+        this.displayedScores = players.map(player => player.scoreKeeper.score); /* Remember displayed values */
+        this.scoreElement.textContent = players.length === 1 /* Update score display */
+            ? `Score: ${this.displayedScores[0]}` /* Solo */
+            : this.displayedScores.map((score, index) => `${this.playerNames[index]}: ${score}`).join('  '); /* Versus */
     }
 
-    render() { /* Render current game state */
+    render(interpolationAlpha) { /* Render current state's screen */
+        const STATES = GameStateMachine.STATES; /* State names */
         this.renderer.clear(); /* Clear previous frame */
-        this.renderer.drawPlayer(this.player); /* Draw player */
-        this.renderer.drawTargets(this.targets); /* Draw all targets */
-        this.renderer.drawProjectiles(this.projectiles); /* Draw all projectiles */
+        if (this.stateMachine.is(STATES.MENU) || this.stateMachine.is(STATES.BOOT)) { /* No round to show */
+            this.renderer.drawMenuScreen(this.modeKeys, this.selectedMode, this.selectedSetup); /* Title screen */
+            return; /* Nothing else on the title screen */
+        }
+        this.renderer.beginWorld(this.camera); /* Camera applies to the world layer only */
+        const players = this.simulation.players; /* Every player */
+        for (let i = 0; i < players.length; i++) { /* Indexed loop avoids closure allocation */
+            this.renderer.drawPlayer(players[i], interpolationAlpha); /* Draw player */
+        }
+        this.renderer.drawTargets(this.simulation.targets, interpolationAlpha, this.simulation.targetTypes); /* Draw all targets by type */
+        this.renderer.drawProjectiles(this.simulation.projectiles, interpolationAlpha); /* Draw all projectiles */
+        this.renderer.drawParticles(this.effects.particles); /* Bursts, sparks and trails over the entities */
+        this.renderer.drawScorePopups(this.effects.popups); /* Floating awards on top */
+        if (this.debugOverlayVisible) { /* World-space debug layers */
+            this.renderer.drawDebugGrid(this.simulation.collisionGrid); /* Cells the last collision pass used */
+            this.renderer.drawDebugBatches(this.simulation.targets, interpolationAlpha); /* Opacity batch per target */
+        }
+        this.renderer.endWorld(); /* HUD is drawn in fixed world-sized screen space */
+        this.renderer.drawRoundHud(this.simulation.round); /* Timer, ammo or misses */
+        if (players.length > 1) { /* Versus */
+            this.renderer.drawScoreboard(players, this.playerNames); /* Score, combo and weapon per player */
+        } else { /* Solo */
+            this.renderer.drawComboHud(this.simulation.scoreKeeper); /* Combo streak and multiplier */
+            this.renderer.drawWeaponHud(this.simulation.weaponSystem); /* Weapon slots, magazine and reload */
+        }
+        this.renderer.drawWaveBanner(this.simulation.waveDirector); /* "Wave N" at each wave start */
+        this.drawTouchJoystick(); /* Thumb stick while held */
+        if (this.stateMachine.is(STATES.PAUSED)) { /* Frozen round */
+            this.renderer.drawPauseScreen(); /* Pause overlay */
+        } else if (this.stateMachine.is(STATES.GAME_OVER)) { /* Finished round */
+            this.renderer.drawGameOverScreen(this.roundSummary, this.playerNames); /* Results overlay */
+        }
+    }
+
+    drawTouchJoystick() { /* Show the virtual joystick where the thumb landed */
+        const joystick = this.input.joystick; /* Client-pixel stick state */
+        if (joystick.touchId === null) return; /* Not held */
+        const base = this.renderer.clientToView(joystick.originX, joystick.originY, this.joystickBase); /* Ring center in HUD space */
+        const knob = this.renderer.clientToView(joystick.x, joystick.y, this.joystickKnob); /* Thumb in HUD space */
+        this.renderer.drawTouchJoystick(base.x, base.y, knob.x, knob.y, CONFIG.INPUT.JOYSTICK_RADIUS / this.renderer.viewport.scale); /* Travel in world units */
     }
 
     update(timestamp) { /* Main game loop */
@@ -287,20 +535,39 @@ class Game { /* Main game class that manages all game systems and state */
             this.lastFpsUpdateTime = timestamp; /* Update FPS timer */
         }
 
-        if (timestamp - this.lastUpdateTime < CONFIG.PERFORMANCE.FRAME_TIME) { /* Check frame timing */
-            requestAnimationFrame((t) => this.update(t)); /* Schedule next frame */
-            return; /* Skip update if too soon */
+        if (this.lastFrameTime === null) { /* First frame has no previous timestamp */
+            this.lastFrameTime = timestamp; /* Start measuring from here */
         }
-        this.lastUpdateTime = timestamp; /* Update frame timer */
+        const frameDelta = Math.min((timestamp - this.lastFrameTime) / 1000, CONFIG.PERFORMANCE.MAX_FRAME_DELTA); /* Real seconds since last frame, clamped after hitches or throttled tabs */
+        this.lastFrameTime = timestamp; /* Update frame timer */
 
-        if (!this.running) { /* Check if game is paused */
-            requestAnimationFrame((t) => this.update(t)); /* Keep animation loop running */
-            return; /* Skip update if paused */
+        this.input.update(this.gamepadPlayer()); /* Poll gamepad - its presses act before this frame's steps */
+        const fixedStep = CONFIG.PERFORMANCE.FIXED_TIMESTEP; /* Seconds per simulation step */
+        const profiling = this.debugOverlayVisible; /* Time this frame for the overlay */
+        if (profiling) this.profiler.beginFrame(); /* Zero frame timings */
+        if (this.stateMachine.is(GameStateMachine.STATES.PLAYING)) { /* Only simulate during play - pause freezes spawning and aging */
+            this.accumulator += frameDelta * this.getTimeScale(); /* Bank real time for simulation, scaled for replay speed */
+            if (profiling) this.profiler.begin('update'); /* Collision time is split out by the simulation */
+            while (this.accumulator >= fixedStep) { /* Consume banked time in fixed steps */
+                this.stepSimulation(); /* Advance simulation one step */
+                this.accumulator -= fixedStep; /* Spend the step's time */
+                if (profiling) this.profiler.count('pairChecks', this.simulation.pairChecks); /* Narrow-phase tests this step */
+            }
+            this.effects.update(frameDelta * 1000 * this.getTimeScale(), this.simulation.projectiles); /* Trails, then age particles at game speed */
+            if (profiling) this.profiler.end('update'); /* Steps and effects done */
+            this.checkRoundOver(); /* End round if its rules say so */
         }
 
-        this.updateGameState(); /* Update game entities */
-        this.checkCollisions(); /* Check for collisions */
-        this.render(); /* Render frame */
+        this.camera.update(frameDelta * 1000); /* Decay shake */
+        this.updateScoreDisplay(); /* Reflect score changes from this frame's steps */
+        this.replayControls.update(this.replayPlayer, this.replayRecorder); /* Refresh replay progress */
+        if (profiling) this.profiler.begin('render'); /* Time drawing */
+        this.render(this.accumulator / fixedStep); /* Render with leftover fraction of a step for smooth motion */
+        if (profiling) { /* Finish the frame and show it */
+            this.profiler.end('render'); /* Drawing done */
+            this.profiler.endFrame(); /* Store in graph history */
+            this.renderer.drawDebugOverlay(this.profiler, this.collectDebugStats()); /* Panel on top of everything */
+        }
 
         requestAnimationFrame((t) => this.update(t)); /* Schedule next frame */
     }
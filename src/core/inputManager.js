@@ -0,0 +1,437 @@
+class InputManager { /* Maps keyboard, mouse, gamepad and touch to named actions and analog axes - bindings are remappable and saved locally */
+
+    static SECOND_PLAYER_PREFIX = 'P2_'; /* Actions with this prefix belong to the right half of a split keyboard */
+
+    static SCHEMES = { /* Input scheme -> devices it reads - CONFIG.PLAYER_SETUPS gives one per human player */
+        any: { devices: ['keys', 'pointer', 'touch', 'gamepad'], prefix: '', facingAim: false }, /* Everything drives one player */
+        keyboardMouse: { devices: ['keys', 'pointer', 'touch'], prefix: '', facingAim: false }, /* Everything but the gamepad */
+        keyboardLeft: { devices: ['keys'], prefix: '', facingAim: true }, /* Keys no P2_ action claims - aims where it last moved */
+        keyboardRight: { devices: ['keys'], prefix: 'P2_', facingAim: true }, /* P2_ actions only - aims where it last moved */
+        gamepad: { devices: ['gamepad'], prefix: '', facingAim: false }, /* Sticks and buttons only */
+    };
+
+    static normalizeKey(key) { /* 'A' and 'a' are one binding, so releasing Shift first cannot leave a key held */
+        return key.length === 1 ? key.toLowerCase() : key; /* Named keys such as 'ArrowLeft' are already unique */
+    }
+
+    static isTypingTarget(element) { /* Whether a key event belongs to a form field */
+        return !!element && (element.tagName === 'INPUT' || element.tagName === 'SELECT' || element.tagName === 'TEXTAREA'); /* Text and choice fields */
+    }
+
+    static validate(bindingData) { /* Check stored data is a binding set this build understands */
+        if (!bindingData || bindingData.format !== 'click-fire-bindings') { /* Wrong or missing marker */
+            throw new Error('Not a Click & Fire bindings record'); /* Reject foreign JSON */
+        }
+        if (bindingData.version !== CONFIG.INPUT.FORMAT_VERSION) { /* Layout mismatch */
+            throw new Error(`Unsupported bindings version ${bindingData.version} (expected ${CONFIG.INPUT.FORMAT_VERSION})`); /* Reject old/new formats */
+        }
+        if (!bindingData.keys || !bindingData.buttons) { /* Missing payload */
+            throw new Error('Bindings record is missing keys or buttons'); /* Reject truncated data */
+        }
+        return bindingData; /* Valid bindings */
+    }
+
+    static defaultBindings() { /* Fresh copy of the CONFIG bindings - keys normalized and de-duplicated */
+        const keys = {}; /* Action -> keys */
+        Object.keys(CONFIG.KEYBOARD_CONTROLS).forEach(action => { /* Every action has a keyboard entry */
+            keys[action] = [...new Set(CONFIG.KEYBOARD_CONTROLS[action].map(InputManager.normalizeKey))]; /* 'r' and 'R' collapse */
+        });
+        const buttons = {}; /* Action -> gamepad button indices */
+        Object.keys(CONFIG.KEYBOARD_CONTROLS).forEach(action => { /* Same action list */
+            buttons[action] = [...(CONFIG.GAMEPAD_CONTROLS[action] ?? [])]; /* Unbound actions get an empty list */
+        });
+        return { keys, buttons }; /* Owned copy - safe to edit */
+    }
+
+    localpreinput(canvas, pointerToWorld, storage) { /* Class local predeclaring, just for readability */
+        this.canvas = canvas; /* Receives mouse and touch events */
+        this.pointerToWorld = pointerToWorld; /* (clientX, clientY, out) -> world point - supplied by Game, which owns renderer and camera */
+        this.storage = storage; /* Persistence backend - null keeps remaps in memory only */
+        this.bindings = InputManager.defaultBindings(); /* { keys, buttons } by action */
+        this.keyActions = {}; /* Normalized key -> actions, rebuilt from bindings */
+        this.buttonActions = []; /* Button index -> actions, rebuilt from bindings */
+        this.heldKeys = new Set(); /* Normalized keys currently down */
+        this.secondPlayerKeys = new Set(); /* Keys bound to any P2_ action - the left keyboard half ignores them */
+        this.buttonsDown = []; /* Button index -> pressed at the last poll */
+        this.actionHandlers = []; /* Called with an action name on each press */
+        this.capture = null; /* { action, done } while waiting for a new binding */
+
+        this.moveX = 0; /* Combined horizontal move axis, -1 to 1 */
+        this.moveY = 0; /* Combined vertical move axis, -1 to 1 */
+        this.aimX = 0; /* Aim point X in world units */
+        this.aimY = 0; /* Aim point Y in world units */
+        this.aimPoint = { x: 0, y: 0 }; /* Reused pointer-to-world conversion result */
+        this.pointerAimX = 0; /* Last mouse or touch aim X - aimX also follows the right stick */
+        this.pointerAimY = 0; /* Last mouse or touch aim Y */
+        this.padAimX = 0; /* Last right stick aim X around the gamepad's player */
+        this.padAimY = 0; /* Last right stick aim Y around the gamepad's player */
+        this.facing = {}; /* Scheme -> { x, y } unit direction of last movement, for keyboard-only aiming */
+        this.pointerHeld = false; /* Primary mouse button down */
+        this.stickFiring = false; /* Right stick pushed past the fire threshold */
+        this.padMoveX = 0; /* Left stick X after deadzone */
+        this.padMoveY = 0; /* Left stick Y after deadzone */
+        this.fireTouchId = null; /* Touch aiming and firing - null when none */
+        this.joystick = { /* Virtual joystick in client pixels */
+            touchId: null, /* Touch driving it - null when inactive */
+            originX: 0, /* Where the touch started */
+            originY: 0, /* Where the touch started */
+            x: 0, /* Thumb position, clamped to JOYSTICK_RADIUS */
+            y: 0 /* Thumb position, clamped to JOYSTICK_RADIUS */
+        };
+    }
+
+    setupListeners() { /* Listen to every input device */
+        window.addEventListener('keydown', (event) => this.handleKeyDown(event)); /* Key presses */
+        window.addEventListener('keyup', (event) => this.heldKeys.delete(InputManager.normalizeKey(event.key))); /* Key releases */
+        window.addEventListener('blur', () => this.clear()); /* Releases happen elsewhere while unfocused */
+        document.addEventListener('visibilitychange', () => { /* Tab switches may not blur the window */
+            if (document.hidden) this.clear(); /* Drop held state */
+        });
+
+        this.canvas.addEventListener('mousedown', (event) => { /* Fire with the primary button */
+            if (event.button !== 0) return; /* Primary button only */
+            this.aimAtClient(event.clientX, event.clientY); /* Aim where the press happened */
+            this.pointerHeld = true; /* Automatic weapons keep firing until mouseup */
+            this.emit('FIRE', 'pointer'); /* Start, fire or ignore depending on state */
+        });
+        this.canvas.addEventListener('mousemove', (event) => this.aimAtClient(event.clientX, event.clientY)); /* Follow pointer */
+        window.addEventListener('mouseup', (event) => { /* Release anywhere stops automatic fire */
+            if (event.button === 0) this.pointerHeld = false; /* Trigger released */
+        });
+
+        const touchOptions = { passive: false }; /* preventDefault stops scrolling and emulated mouse events */
+        this.canvas.addEventListener('touchstart', (event) => this.handleTouches(event, true), touchOptions); /* Finger down */
+        this.canvas.addEventListener('touchmove', (event) => this.handleTouches(event, true), touchOptions); /* Finger moved */
+        this.canvas.addEventListener('touchend', (event) => this.handleTouches(event, false), touchOptions); /* Finger lifted */
+        this.canvas.addEventListener('touchcancel', (event) => this.handleTouches(event, false), touchOptions); /* Touch interrupted */
+    }
+
+    constructor(canvas, pointerToWorld, storage = InputManager.defaultStorage()) { /* Attach to the canvas and window and load saved bindings */
+        this.localpreinput(canvas, pointerToWorld, storage); /* Class local predeclaring, just for readability */
+        this.load(); /* Saved remaps over the defaults */
+        this.setupListeners(); /* Attach handlers */
+    }
+
+    static defaultStorage() { /* Browser localStorage when available and permitted */
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null; /* Missing outside browsers */
+        } catch (error) {
+            return null; /* Access can throw when storage is disabled */
+        }
+    }
+
+    load() { /* Read saved bindings, keeping defaults for actions the save does not mention */
+        if (this.storage) { /* Nothing persisted without storage */
+            try {
+                const savedText = this.storage.getItem(CONFIG.INPUT.STORAGE_KEY); /* Saved JSON */
+                if (savedText) this.mergeBindings(InputManager.validate(JSON.parse(savedText))); /* Restore remaps */
+            } catch (error) {
+                this.bindings = InputManager.defaultBindings(); /* Corrupt or outdated data falls back to defaults */
+            }
+        }
+        this.indexBindings(); /* Lookup tables for the bindings now in effect */
+    }
+
+    save() { /* Write bindings to storage */
+        if (!this.storage) return; /* Nothing to persist to */
+        try {
+            this.storage.setItem(CONFIG.INPUT.STORAGE_KEY, JSON.stringify({ /* Versioned so future layouts can be rejected cleanly */
+                format: 'click-fire-bindings', /* Record type marker */
+                version: CONFIG.INPUT.FORMAT_VERSION, /* Layout version */
+                keys: this.bindings.keys, /* Keyboard bindings */
+                buttons: this.bindings.buttons /* Gamepad bindings */
+            }));
+        } catch (error) {
+            /* Quota exceeded or storage disabled - keep the in-memory bindings */
+        }
+    }
+
+    mergeBindings(saved) { /* Take saved lists for known actions only */
+        Object.keys(this.bindings.keys).forEach(action => { /* Actions this build knows */
+            const keys = saved.keys[action]; /* Saved keys */
+            const buttons = saved.buttons[action]; /* Saved buttons */
+            if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) this.bindings.keys[action] = keys.map(InputManager.normalizeKey); /* Keyboard remap */
+            if (Array.isArray(buttons) && buttons.every(Number.isInteger)) this.bindings.buttons[action] = buttons; /* Gamepad remap */
+        });
+    }
+
+    indexBindings() { /* Rebuild key and button lookups after a remap */
+        this.keyActions = {}; /* Key -> actions */
+        this.buttonActions = []; /* Button -> actions */
+        this.secondPlayerKeys.clear(); /* Rebuilt below */
+        Object.keys(this.bindings.keys).forEach(action => { /* Several actions may share a key - R restarts or reloads by state */
+            this.bindings.keys[action].forEach(key => (this.keyActions[key] = this.keyActions[key] ?? []).push(action)); /* Key lookup */
+            if (action.startsWith(InputManager.SECOND_PLAYER_PREFIX)) this.bindings.keys[action].forEach(key => this.secondPlayerKeys.add(key)); /* Split keyboard right half */
+            this.bindings.buttons[action].forEach(button => (this.buttonActions[button] = this.buttonActions[button] ?? []).push(action)); /* Button lookup */
+        });
+    }
+
+    onAction(handler) { /* Register handler(action, device) called once per press - device is 'keys', 'pointer', 'touch' or 'gamepad' */
+        this.actionHandlers.push(handler); /* Called in registration order */
+    }
+
+    emit(action, device) { /* Report a press and the device it came from */
+        this.actionHandlers.forEach(handler => handler(action, device)); /* Every listener */
+    }
+
+    static schemeAction(scheme, action, device) { /* Action as a player on this scheme sees it, with any P2_ prefix removed - null when the scheme ignores the press */
+        const settings = InputManager.SCHEMES[scheme]; /* Devices and prefix */
+        if (!settings || !settings.devices.includes(device)) return null; /* Other device, or a bot */
+        const prefixed = action.startsWith(InputManager.SECOND_PLAYER_PREFIX); /* Right keyboard half */
+        if (settings.prefix) return prefixed ? action.slice(settings.prefix.length) : null; /* Prefixed schemes take only their own actions */
+        return prefixed ? null : action; /* Everyone else ignores them */
+    }
+
+    handleKeyDown(event) { /* Dispatch a key press to its actions */
+        if (event.ctrlKey || event.metaKey || event.altKey) return; /* Leave browser shortcuts such as Ctrl+R alone */
+        if (InputManager.isTypingTarget(event.target)) return; /* Typing a name or config value is not game input */
+        const key = InputManager.normalizeKey(event.key); /* Binding form */
+        if (this.capture) { /* Rebinding - the next key is the new binding */
+            event.preventDefault(); /* Key must not act on the page */
+            if (key === 'Escape') this.cancelCapture(); /* Keep the old binding */
+            else this.finishCapture('keys', key); /* Store the new one */
+            return; /* Not game input */
+        }
+        const actions = this.keyActions[key]; /* Bound actions */
+        if (!actions) return; /* Unbound key */
+        event.preventDefault(); /* F1-F4 open browser features, Space scrolls */
+        this.heldKeys.add(key); /* Held until keyup or blur */
+        if (!event.repeat) actions.forEach(action => this.emit(action, 'keys')); /* Auto-repeat must not toggle pause back and forth */
+    }
+
+    handleTouches(event, isDown) { /* Route changed touches to the joystick or to aiming and firing */
+        event.preventDefault(); /* No scrolling, zooming or emulated mouse events */
+        const rect = this.canvas.getBoundingClientRect(); /* Displayed canvas box */
+        const zoneRight = rect.left + rect.width * CONFIG.INPUT.JOYSTICK_ZONE; /* Joystick area edge */
+        for (let i = 0; i < event.changedTouches.length; i++) { /* Indexed loop - TouchList is not an array */
+            const touch = event.changedTouches[i]; /* One finger */
+            const joystick = this.joystick; /* Virtual stick */
+            if (touch.identifier === joystick.touchId) { /* Finger driving the joystick */
+                if (isDown) this.moveJoystick(touch.clientX, touch.clientY); /* Follow thumb */
+                else joystick.touchId = null; /* Released - stick recenters */
+            } else if (touch.identifier === this.fireTouchId) { /* Finger aiming */
+                if (isDown) this.aimAtClient(touch.clientX, touch.clientY); /* Follow finger */
+                else this.fireTouchId = null; /* Released - stop automatic fire */
+            } else if (isDown && event.type === 'touchstart') { /* New finger */
+                if (joystick.touchId === null && touch.clientX < zoneRight) { /* Left side starts the joystick where the thumb lands */
+                    joystick.touchId = touch.identifier; /* Claim finger */
+                    joystick.originX = touch.clientX; /* Stick center */
+                    joystick.originY = touch.clientY; /* Stick center */
+                    this.moveJoystick(touch.clientX, touch.clientY); /* Centered thumb */
+                } else if (this.fireTouchId === null) { /* Elsewhere taps fire at the finger */
+                    this.fireTouchId = touch.identifier; /* Claim finger */
+                    this.aimAtClient(touch.clientX, touch.clientY); /* Aim at the tap */
+                    this.emit('FIRE', 'touch'); /* Start, fire or ignore depending on state */
+                }
+            }
+        }
+    }
+
+    moveJoystick(clientX, clientY) { /* Place the thumb, clamped to the stick's travel */
+        const joystick = this.joystick; /* Virtual stick */
+        const radius = CONFIG.INPUT.JOYSTICK_RADIUS; /* Full deflection distance */
+        const offsetX = clientX - joystick.originX; /* From center */
+        const offsetY = clientY - joystick.originY; /* From center */
+        const scale = Math.min(1, radius / (Math.hypot(offsetX, offsetY) || 1)); /* Shrink offsets past the rim */
+        joystick.x = joystick.originX + offsetX * scale; /* Clamped thumb X */
+        joystick.y = joystick.originY + offsetY * scale; /* Clamped thumb Y */
+    }
+
+    aimAtClient(clientX, clientY) { /* Aim at a pointer position */
+        this.pointerToWorld(clientX, clientY, this.aimPoint); /* Undo fit and camera */
+        this.aimX = this.aimPoint.x; /* Pointer X in world units */
+        this.aimY = this.aimPoint.y; /* Pointer Y in world units */
+        this.pointerAimX = this.aimX; /* Kept apart from stick aim for keyboard-and-mouse players */
+        this.pointerAimY = this.aimY; /* Kept apart from stick aim for keyboard-and-mouse players */
+    }
+
+    isKeyHeld(action, ignoredKeys = null) { /* Whether any key bound to an action is down, skipping keys in ignoredKeys */
+        const keys = this.bindings.keys[action]; /* Bound keys */
+        for (let i = 0; i < keys.length; i++) { /* Indexed loop avoids closure allocation */
+            if (this.heldKeys.has(keys[i]) && !(ignoredKeys && ignoredKeys.has(keys[i]))) return true; /* Held and not claimed elsewhere */
+        }
+        return false; /* No bound key is down */
+    }
+
+    isButtonHeld(action) { /* Whether any gamepad button bound to an action is down */
+        const buttons = this.bindings.buttons[action]; /* Bound buttons */
+        for (let i = 0; i < buttons.length; i++) if (this.buttonsDown[buttons[i]]) return true; /* Indexed loop avoids closure allocation */
+        return false; /* No bound button is down */
+    }
+
+    isHeld(action) { /* Whether any key or gamepad button bound to an action is down */
+        return this.isKeyHeld(action) || this.isButtonHeld(action); /* Either device */
+    }
+
+    readHeld(scheme, player, out) { /* Fill moveX, moveY, fireHeld, aimX and aimY of an input frame from the devices a scheme reads */
+        if (scheme === 'any') { /* Every device combined - the single-player path */
+            out.moveX = this.moveX; /* Analog horizontal */
+            out.moveY = this.moveY; /* Analog vertical */
+            out.fireHeld = this.fireHeld; /* Any device holding fire */
+            out.aimX = this.aimX; /* Latest aim from mouse, touch or right stick */
+            out.aimY = this.aimY; /* Latest aim from mouse, touch or right stick */
+            return out; /* Filled frame */
+        }
+        const settings = InputManager.SCHEMES[scheme]; /* Devices and prefix */
+        if (!settings) throw new Error(`Unknown input scheme "${scheme}"`); /* Typos in CONFIG.PLAYER_SETUPS must fail loudly */
+        const devices = settings.devices; /* Devices read */
+        const prefix = settings.prefix; /* P2_ for the right keyboard half */
+        const ignoredKeys = prefix ? null : this.secondPlayerKeys; /* Unprefixed keyboard players leave P2_ keys to player 2 */
+        let moveX = 0; /* Summed horizontal */
+        let moveY = 0; /* Summed vertical */
+        let fireHeld = false; /* Any read device holding fire */
+        if (devices.includes('keys')) { /* Keyboard */
+            moveX += (this.isKeyHeld(`${prefix}RIGHT`, ignoredKeys) ? 1 : 0) - (this.isKeyHeld(`${prefix}LEFT`, ignoredKeys) ? 1 : 0); /* Digital axis */
+            moveY += (this.isKeyHeld(`${prefix}DOWN`, ignoredKeys) ? 1 : 0) - (this.isKeyHeld(`${prefix}UP`, ignoredKeys) ? 1 : 0); /* Digital axis */
+            fireHeld = fireHeld || this.isKeyHeld(`${prefix}FIRE`, ignoredKeys); /* Fire key */
+        }
+        if (devices.includes('pointer')) fireHeld = fireHeld || this.pointerHeld; /* Mouse button */
+        if (devices.includes('touch')) { /* Virtual joystick and fire finger */
+            const joystick = this.joystick; /* Virtual stick */
+            if (joystick.touchId !== null) { /* Held */
+                moveX += (joystick.x - joystick.originX) / CONFIG.INPUT.JOYSTICK_RADIUS; /* Virtual stick X */
+                moveY += (joystick.y - joystick.originY) / CONFIG.INPUT.JOYSTICK_RADIUS; /* Virtual stick Y */
+            }
+            fireHeld = fireHeld || this.fireTouchId !== null; /* Fire finger down */
+        }
+        if (devices.includes('gamepad')) { /* Sticks, D-pad and trigger */
+            moveX += this.padMoveX + (this.isButtonHeld('RIGHT') ? 1 : 0) - (this.isButtonHeld('LEFT') ? 1 : 0); /* Stick and D-pad */
+            moveY += this.padMoveY + (this.isButtonHeld('DOWN') ? 1 : 0) - (this.isButtonHeld('UP') ? 1 : 0); /* Stick and D-pad */
+            fireHeld = fireHeld || this.stickFiring || this.isButtonHeld('FIRE'); /* Twin-stick or trigger */
+        }
+        out.moveX = Math.max(-1, Math.min(1, moveX)); /* Devices add, full deflection caps */
+        out.moveY = Math.max(-1, Math.min(1, moveY)); /* Devices add, full deflection caps */
+        out.fireHeld = fireHeld; /* Drives automatic weapons */
+        if (settings.facingAim) { /* No pointer - shoot where the player heads */
+            this.aimAlongFacing(scheme, player, out); /* Ahead of the player */
+        } else if (devices.includes('gamepad')) { /* Right stick */
+            out.aimX = this.padAimX; /* Around the gamepad's player */
+            out.aimY = this.padAimY; /* Around the gamepad's player */
+        } else { /* Mouse or touch */
+            out.aimX = this.pointerAimX; /* Pointer in world units */
+            out.aimY = this.pointerAimY; /* Pointer in world units */
+        }
+        return out; /* Filled frame */
+    }
+
+    aimAlongFacing(scheme, player, out) { /* Aim a fixed distance ahead along the last movement direction - straight up until the player first moves */
+        const facing = this.facing[scheme] ?? (this.facing[scheme] = { x: 0, y: -1 }); /* Targets spawn above the start line */
+        const length = Math.hypot(out.moveX, out.moveY); /* Current deflection */
+        if (length > 0) { /* Moving - turn to face the new heading */
+            facing.x = out.moveX / length; /* Unit X */
+            facing.y = out.moveY / length; /* Unit Y */
+        }
+        out.aimX = player.x + facing.x * CONFIG.INPUT.AIM_DISTANCE; /* Same reach as stick aiming */
+        out.aimY = player.y + facing.y * CONFIG.INPUT.AIM_DISTANCE; /* Same reach as stick aiming */
+    }
+
+    get fireHeld() { /* Whether any device is holding the trigger - drives automatic weapons */
+        return this.pointerHeld || this.fireTouchId !== null || this.stickFiring || this.isHeld('FIRE'); /* Mouse, touch, stick, key or trigger */
+    }
+
+    update(player) { /* Poll the gamepad and combine every device into the move axes - call once per frame before stepping, with the player the gamepad drives */
+        this.pollGamepad(player); /* Sticks, triggers and button presses */
+        const joystick = this.joystick; /* Virtual stick */
+        const radius = CONFIG.INPUT.JOYSTICK_RADIUS; /* Full deflection distance */
+        const touchX = joystick.touchId === null ? 0 : (joystick.x - joystick.originX) / radius; /* Virtual stick X */
+        const touchY = joystick.touchId === null ? 0 : (joystick.y - joystick.originY) / radius; /* Virtual stick Y */
+        const keyX = (this.isHeld('RIGHT') ? 1 : 0) - (this.isHeld('LEFT') ? 1 : 0); /* Keys and D-pad */
+        const keyY = (this.isHeld('DOWN') ? 1 : 0) - (this.isHeld('UP') ? 1 : 0); /* Keys and D-pad */
+        this.moveX = Math.max(-1, Math.min(1, keyX + this.padMoveX + touchX)); /* Devices add, full deflection caps */
+        this.moveY = Math.max(-1, Math.min(1, keyY + this.padMoveY + touchY)); /* Devices add, full deflection caps */
+    }
+
+    activeGamepad() { /* First connected gamepad, or null */
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null; /* Gamepad API unavailable */
+        const gamepads = navigator.getGamepads(); /* Snapshot - must be re-read every frame */
+        for (let i = 0; i < gamepads.length; i++) { /* Slots may hold null */
+            if (gamepads[i] && gamepads[i].connected) return gamepads[i]; /* First live pad */
+        }
+        return null; /* None connected */
+    }
+
+    pollGamepad(player) { /* Read sticks and buttons, emitting actions for new presses */
+        const gamepad = this.activeGamepad(); /* Pad to read */
+        if (!gamepad) { /* Unplugged - release everything it held */
+            this.padMoveX = 0; /* Centered */
+            this.padMoveY = 0; /* Centered */
+            this.stickFiring = false; /* Not firing */
+            this.buttonsDown.length = 0; /* Nothing held */
+            return; /* Nothing to read */
+        }
+        const settings = CONFIG.INPUT; /* Deadzones and thresholds */
+        const moveX = gamepad.axes[0] ?? 0; /* Left stick X */
+        const moveY = gamepad.axes[1] ?? 0; /* Left stick Y */
+        const moveLength = Math.hypot(moveX, moveY); /* Deflection */
+        const moveScale = moveLength > settings.STICK_DEADZONE /* Radial deadzone, rescaled so output still reaches 1 */
+            ? Math.min(1, (moveLength - settings.STICK_DEADZONE) / (1 - settings.STICK_DEADZONE)) / moveLength
+            : 0;
+        this.padMoveX = moveX * moveScale; /* Analog X */
+        this.padMoveY = moveY * moveScale; /* Analog Y */
+
+        const aimX = gamepad.axes[2] ?? 0; /* Right stick X */
+        const aimY = gamepad.axes[3] ?? 0; /* Right stick Y */
+        const aimLength = Math.hypot(aimX, aimY); /* Deflection */
+        if (aimLength > settings.AIM_DEADZONE) { /* Stick pushed - aim around the player */
+            this.padAimX = player.x + (aimX / aimLength) * settings.AIM_DISTANCE; /* Direction only - distance is fixed */
+            this.padAimY = player.y + (aimY / aimLength) * settings.AIM_DISTANCE; /* Direction only - distance is fixed */
+            this.aimX = this.padAimX; /* Latest aim for players on every device */
+            this.aimY = this.padAimY; /* Latest aim for players on every device */
+        }
+        const stickFiring = aimLength >= settings.AIM_FIRE_THRESHOLD; /* Twin-stick firing */
+        if (stickFiring && !this.stickFiring) this.emit('FIRE', 'gamepad'); /* Pushing the stick out is a trigger pull */
+        this.stickFiring = stickFiring; /* Held while pushed */
+
+        for (let i = 0; i < gamepad.buttons.length; i++) { /* Every button */
+            const button = gamepad.buttons[i]; /* Button state */
+            const pressed = button.pressed || button.value > settings.TRIGGER_THRESHOLD; /* Analog triggers report value */
+            if (pressed && !this.buttonsDown[i]) { /* New press */
+                if (this.capture) this.finishCapture('buttons', i); /* Rebinding - store the new button */
+                else if (this.buttonActions[i]) this.buttonActions[i].forEach(action => this.emit(action, 'gamepad')); /* Bound actions */
+            }
+            this.buttonsDown[i] = pressed; /* Remember for edge detection */
+        }
+    }
+
+    clear() { /* Release keys, mouse, touches and axes - called on blur so the player does not keep drifting */
+        this.heldKeys.clear(); /* Keyups are lost while unfocused */
+        this.pointerHeld = false; /* Mouseup may happen elsewhere */
+        this.fireTouchId = null; /* Touches are cancelled */
+        this.joystick.touchId = null; /* Stick recenters */
+        this.moveX = 0; /* Stop at once, not at the next update */
+        this.moveY = 0; /* Stop at once, not at the next update */
+    }
+
+    beginCapture(action, done) { /* Wait for the next key or gamepad button and bind it to an action - done(device, input) or done(null) on cancel */
+        this.cancelCapture(); /* One capture at a time */
+        this.heldKeys.clear(); /* The new key must not count as held by an old binding */
+        this.capture = { action, done }; /* Consumed by the next press */
+    }
+
+    cancelCapture() { /* Stop waiting and keep the old binding */
+        if (!this.capture) return; /* Not capturing */
+        const done = this.capture.done; /* Callback */
+        this.capture = null; /* Stop waiting */
+        done(null, null); /* Report cancel */
+    }
+
+    finishCapture(device, input) { /* Store a captured key or button */
+        const { action, done } = this.capture; /* Pending rebind */
+        this.capture = null; /* Stop waiting */
+        this.rebind(action, device, input); /* Replace and persist */
+        done(device, input); /* Report result */
+    }
+
+    rebind(action, device, input) { /* Replace an action's keys or buttons with one input - device is 'keys' or 'buttons' */
+        if (!this.bindings[device] || !this.bindings[device][action]) throw new Error(`Unknown input binding ${device}.${action}`); /* Surface typos */
+        this.bindings[device][action] = [device === 'keys' ? InputManager.normalizeKey(input) : input]; /* Other actions keep theirs - sharing is allowed */
+        this.indexBindings(); /* Refresh lookups */
+        this.save(); /* Persist */
+    }
+
+    resetBindings() { /* Back to CONFIG bindings */
+        this.bindings = InputManager.defaultBindings(); /* Fresh copy */
+        this.indexBindings(); /* Refresh lookups */
+        this.save(); /* Persist */
+    }
+}
@@ -1,68 +1,172 @@
-class GameRenderer { /* Handles all rendering operations for the game */
-    
-    constructor(canvas) { /* Initialize the renderer with a canvas */
-        this.canvas = canvas; /* Store reference to the game canvas */
-        this.ctx = canvas.getContext('2d'); /* Get the 2D rendering context */
-    }
-
-    clear() { /* Clear the entire canvas for a new frame */
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height); /* Remove all previously drawn content */
-    }
-
-    drawPlayer(player) { /* Render the player entity */
-        this.ctx.globalAlpha = 1; /* Ensure player is fully opaque */
-        this.ctx.fillStyle = player.color; /* Set fill color from player properties */
-        this.ctx.beginPath(); /* Start a new path for drawing */
-        this.ctx.arc(player.x, player.y, player.size, 0, Math.PI * 2); /* Draw circle at player position */
-        this.ctx.fill(); /* Fill the player circle */
-    }
-
-    drawTargets(targets) { /* Render all target entities with batch optimization */
-        const uniqueOpacities = new Set(targets.map(t => 
-            Math.round(t.currentOpacity * 100) / 100 /* Round opacity to 2 decimal places */
-        )).size; /* Count number of unique opacity values */
-
-        this.ctx.fillStyle = CONFIG.COLORS.TARGET; /* Set target color from config */
-        
-        if (uniqueOpacities > targets.length / 3) { /* Check if batching would be beneficial */
-            // Individual drawing for many different opacities
-            targets.forEach(target => { /* Draw each target separately */
-                this.ctx.globalAlpha = target.currentOpacity; /* Set opacity for fading effect */
-                this.ctx.beginPath(); /* Start new path for each target */
-                this.ctx.arc(target.x, target.y, target.radius, 0, Math.PI * 2); /* Draw target circle */
-                this.ctx.fill(); /* Fill the individual target */
-            });
-        } else {
-            // Batch by opacity
-            const targetsByOpacity = {}; /* Object to group targets by opacity */
-            targets.forEach(target => { /* Organize targets into opacity groups */
-                const opacityKey = Math.round(target.currentOpacity * 100) / 100; /* Round to 2 decimal places */
-                if (!targetsByOpacity[opacityKey]) { /* Check if group exists */
-                    targetsByOpacity[opacityKey] = []; /* Create new group if needed */
-                }
-                targetsByOpacity[opacityKey].push(target); /* Add target to appropriate group */
-            });
-
-            Object.entries(targetsByOpacity).forEach(([opacity, targetsGroup]) => { /* Process each opacity group */
-                this.ctx.globalAlpha = parseFloat(opacity); /* Set opacity once for the entire group */
-                this.ctx.beginPath(); /* Start a single path for all targets in this group */
-                targetsGroup.forEach(target => { /* Add each target to the current path */
-                    this.ctx.moveTo(target.x + target.radius, target.y); /* Move to right edge of target */
-                    this.ctx.arc(target.x, target.y, target.radius, 0, Math.PI * 2); /* Draw target circle */
-                });
-                this.ctx.fill(); /* Fill all targets in this opacity group at once */
-            });
+class GameRenderer { /* Backend-neutral renderer base - viewport fitting, pointer mapping and the draw interface every backend implements */
+
+    static BACKENDS = {}; /* Backend name -> class, filled in by each backend script */
+
+    static create(canvas, worldWidth, worldHeight, backend = CONFIG.RENDERING.BACKEND) { /* Build the configured backend, falling back when it cannot start */
+        const backends = GameRenderer.BACKENDS; /* Backend name -> class */
+        if (!backends[backend]) { /* Reject typos loudly */
+            throw new Error(`Unknown renderer backend "${backend}"`); /* Surface bad config */
+        }
+        try {
+            return new backends[backend](canvas, worldWidth, worldHeight); /* Preferred backend */
+        } catch (error) { /* WebGL missing, blocked or failed to compile */
+            const fallback = CONFIG.RENDERING.FALLBACK_BACKEND; /* Backend that always works */
+            if (backend === fallback) throw error; /* Nothing left to try */
+            console.warn(`Renderer backend "${backend}" unavailable (${error.message}) - using "${fallback}"`); /* Explain degraded mode */
+            return new backends[fallback](canvas, worldWidth, worldHeight); /* Fallback backend */
+        }
+    }
+
+    constructor(canvas, worldWidth, worldHeight) { /* Store the canvas and the logical world size */
+        this.canvas = canvas; /* Canvas sized and measured by the viewport code */
+        this.worldWidth = worldWidth; /* World width in world units - all drawing uses these, never canvas pixels */
+        this.worldHeight = worldHeight; /* World height in world units */
+        this.fitMode = CONFIG.DISPLAY.FIT_MODE; /* How the world is fitted to the canvas */
+        this.viewport = { /* World-to-CSS-pixel mapping, recomputed on resize */
+            cssWidth: worldWidth, /* Canvas width in CSS pixels */
+            cssHeight: worldHeight, /* Canvas height in CSS pixels */
+            pixelRatio: 1, /* Backing store pixels per CSS pixel */
+            scale: 1, /* CSS pixels per world unit */
+            offsetX: 0, /* CSS pixels from canvas left to world left */
+            offsetY: 0 /* CSS pixels from canvas top to world top */
+        };
+        this.targetBuckets = {}; /* Reusable per-type target lists, refilled each frame */
+        this.particleBuckets = {}; /* Reusable per-color particle lists, refilled each frame */
+        this.particleColors = []; /* Colors with a bucket, in first-seen order */
+        this.projectileBuckets = {}; /* Reusable per-color projectile lists - one color per player */
+        this.projectileColors = []; /* Colors with a bucket, in first-seen order */
+        this.batchStats = { /* How the last frame's targets were batched - shown by the debug overlay */
+            quantized: true, /* Whether opacity is rounded to CONFIG.RENDERING.OPACITY_LEVELS */
+            fills: 0, /* Target and particle draw calls this frame */
+            counts: new Uint32Array(CONFIG.RENDERING.OPACITY_LEVELS + 1) /* Targets drawn per opacity level */
+        };
+    }
+
+    resize(cssWidth, cssHeight, devicePixelRatio) { /* Size the backing store for the displayed size and refit the world */
+        const viewport = this.viewport; /* Mapping being updated */
+        viewport.cssWidth = cssWidth; /* Displayed width */
+        viewport.cssHeight = cssHeight; /* Displayed height */
+        viewport.pixelRatio = Math.min(devicePixelRatio || 1, CONFIG.DISPLAY.MAX_PIXEL_RATIO); /* Sharp on high-DPI screens, bounded memory */
+        this.canvas.width = Math.round(cssWidth * viewport.pixelRatio); /* Backing store width in device pixels */
+        this.canvas.height = Math.round(cssHeight * viewport.pixelRatio); /* Backing store height in device pixels */
+        this.canvas.style.width = `${cssWidth}px`; /* Displayed width */
+        this.canvas.style.height = `${cssHeight}px`; /* Displayed height */
+        this.updateViewport(); /* Refit world */
+    }
+
+    setFitMode(fitMode) { /* Switch between contain, cover and fixed */
+        if (!CONFIG.DISPLAY.FIT_MODES.includes(fitMode)) { /* Reject typos loudly */
+            throw new Error(`Unknown fit mode "${fitMode}"`); /* Surface bad config */
         }
+        this.fitMode = fitMode; /* Remember mode */
+        this.updateViewport(); /* Refit world */
+    }
+
+    updateViewport() { /* Compute world scale and centering offsets for the fit mode */
+        const viewport = this.viewport; /* Mapping being updated */
+        const scaleX = viewport.cssWidth / this.worldWidth; /* Scale that fits width */
+        const scaleY = viewport.cssHeight / this.worldHeight; /* Scale that fits height */
+        if (this.fitMode === 'cover') viewport.scale = Math.max(scaleX, scaleY); /* Fill canvas, crop overflow */
+        else if (this.fitMode === 'fixed') viewport.scale = 1; /* One world unit per CSS pixel */
+        else viewport.scale = Math.min(scaleX, scaleY); /* Whole world visible, letterboxed */
+        viewport.offsetX = (viewport.cssWidth - this.worldWidth * viewport.scale) / 2; /* Center horizontally */
+        viewport.offsetY = (viewport.cssHeight - this.worldHeight * viewport.scale) / 2; /* Center vertically */
     }
 
-    drawProjectiles(projectiles) { /* Render all projectiles with batching */
-        this.ctx.globalAlpha = 1; /* Ensure projectiles are fully opaque */
-        this.ctx.fillStyle = CONFIG.COLORS.PROJECTILE; /* Set projectile color from config */
-        this.ctx.beginPath(); /* Start a single path for all projectiles */
-        projectiles.forEach(projectile => { /* Add each projectile to the path */
-            this.ctx.moveTo(projectile.x + projectile.radius, projectile.y); /* Move to right edge of projectile */
-            this.ctx.arc(projectile.x, projectile.y, projectile.radius, 0, Math.PI * 2); /* Draw projectile circle */
+    clientToView(clientX, clientY, out) { /* Map a pointer position to unshaken world-layer coordinates (before camera) */
+        const rect = this.canvas.getBoundingClientRect(); /* Displayed canvas box */
+        const viewport = this.viewport; /* Current mapping */
+        const cssX = (clientX - rect.left) * (viewport.cssWidth / (rect.width || viewport.cssWidth)); /* Canvas CSS X - survives CSS transforms */
+        const cssY = (clientY - rect.top) * (viewport.cssHeight / (rect.height || viewport.cssHeight)); /* Canvas CSS Y */
+        out.x = (cssX - viewport.offsetX) / viewport.scale; /* Undo letterbox offset and scale */
+        out.y = (cssY - viewport.offsetY) / viewport.scale; /* Undo letterbox offset and scale */
+        return out; /* Caller-supplied point - no allocation */
+    }
+
+    interpolate(previous, current, alpha) { /* Blend between last and current step positions */
+        return previous + (current - previous) * alpha; /* Linear interpolation by step fraction */
+    }
+
+    resetBatchStats() { /* Start counting a new frame's batches - called from clear() */
+        this.batchStats.fills = 0; /* No draw calls yet */
+        this.batchStats.counts.fill(0); /* No targets yet */
+    }
+
+    opacityLevel(target) { /* Quantized opacity level a target is batched under */
+        return Math.round(Math.max(0, Math.min(1, target.currentOpacity)) * CONFIG.RENDERING.OPACITY_LEVELS); /* Nearest level */
+    }
+
+    bucketTargetsByType(targets, targetTypes) { /* Sort targets into reusable per-type lists */
+        targetTypes.typeIds.forEach(typeId => { /* Reset every bucket */
+            if (!this.targetBuckets[typeId]) this.targetBuckets[typeId] = []; /* Create bucket on first use */
+            this.targetBuckets[typeId].length = 0; /* Empty without reallocating */
         });
-        this.ctx.fill(); /* Fill all projectiles at once for performance */
+        for (let i = 0; i < targets.length; i++) { /* Indexed loop avoids closure allocation */
+            this.targetBuckets[targets[i].type].push(targets[i]); /* File target under its type */
+        }
+    }
+
+    bucketByColor(items, buckets, colors) { /* Sort anything with a color field into reusable per-color lists */
+        for (let i = 0; i < colors.length; i++) { /* Reset every bucket */
+            buckets[colors[i]].length = 0; /* Empty without reallocating */
+        }
+        for (let i = 0; i < items.length; i++) { /* Indexed loop avoids closure allocation */
+            const color = items[i].color; /* Batch key */
+            if (!buckets[color]) { /* Create bucket on first use - colors come from a small fixed set */
+                buckets[color] = []; /* New list */
+                colors.push(color); /* Remember for resets */
+            }
+            buckets[color].push(items[i]); /* File item under its color */
+        }
+    }
+
+    bucketParticlesByColor(particles) { /* Sort particles into reusable per-color lists */
+        this.bucketByColor(particles, this.particleBuckets, this.particleColors); /* Effect colors */
+    }
+
+    bucketProjectilesByColor(projectiles) { /* Sort projectiles into reusable per-color lists */
+        this.bucketByColor(projectiles, this.projectileBuckets, this.projectileColors); /* One color per player */
+    }
+
+    /*
+     * Backend interface - called by Game once per frame in this order:
+     * clear(), then for rounds beginWorld(camera), drawPlayer, drawTargets, drawProjectiles, drawParticles, drawScorePopups, endWorld(),
+     * with drawPlayer once per player. Then HUD hooks (drawRoundHud, then drawComboHud and drawWeaponHud for a lone player
+     * or drawScoreboard for several, then drawWaveBanner) and screens
+     * (drawMenuScreen, drawPauseScreen, drawGameOverScreen). Screen shake reaches beginWorld through the camera.
+     * While a touch joystick is held, drawTouchJoystick runs after the HUD hooks, in HUD space.
+     * With the debug overlay open, drawDebugGrid and drawDebugBatches run before endWorld() and drawDebugOverlay runs last.
+     */
+
+    clear() { /* Start a frame - letterbox, playfield and world transform */
+        throw new Error(`${this.constructor.name} does not implement clear()`); /* Backend must override */
+    }
+
+    beginWorld(camera) { /* Apply camera to the world layer */
+        throw new Error(`${this.constructor.name} does not implement beginWorld()`); /* Backend must override */
+    }
+
+    endWorld() { /* Finish the world layer and return to HUD space */
+        throw new Error(`${this.constructor.name} does not implement endWorld()`); /* Backend must override */
+    }
+
+    drawPlayer(player, alpha) { /* Render the player */
+        throw new Error(`${this.constructor.name} does not implement drawPlayer()`); /* Backend must override */
+    }
+
+    drawTargets(targets, alpha, targetTypes) { /* Render all targets */
+        throw new Error(`${this.constructor.name} does not implement drawTargets()`); /* Backend must override */
+    }
+
+    drawProjectiles(projectiles, alpha) { /* Render all projectiles */
+        throw new Error(`${this.constructor.name} does not implement drawProjectiles()`); /* Backend must override */
+    }
+
+    drawParticles(particles) { /* Render effect particles - already at their current positions */
+        throw new Error(`${this.constructor.name} does not implement drawParticles()`); /* Backend must override */
+    }
+
+    drawScorePopups(popups) { /* Render floating score text in world space */
+        throw new Error(`${this.constructor.name} does not implement drawScorePopups()`); /* Backend must override */
     }
 }
@@ -0,0 +1,685 @@
+class GameSimulation { /* DOM-free game logic - player physics, projectiles, targets, collisions and scoring */
+    static IDLE_INPUTS = Object.freeze({}); /* Frame for players step() was given no input for - no movement, no trigger */
+
+    configureWorld(options) { /* Store world bounds and injected time/randomness sources */
+        this.width = options.width ?? CONFIG.DISPLAY.WORLD_WIDTH; /* World width in world units */
+        this.height = options.height ?? CONFIG.DISPLAY.WORLD_HEIGHT; /* World height in world units */
+        this.clock = options.clock ?? new SimulationClock(); /* Time source - advanced only by step() */
+        this.seed = options.seed ?? 1; /* Seed this run started from - recorded by replays */
+        this.random = options.random ?? new SeededRandom(this.seed); /* Seeded RNG replaces Math.random for reproducible runs */
+        this.mode = options.mode ?? CONFIG.DEFAULT_ROUND_MODE; /* Round rules key into CONFIG.ROUND_MODES */
+        this.playerCount = GameSimulation.checkPlayerCount(options.players ?? 1); /* Local players sharing the world */
+        this.targetTypes = options.targetTypes ?? TargetTypeRegistry.createDefault(); /* Target behaviors and factories */
+        this.effects = options.effects ?? null; /* Optional EffectsSystem told about shots, hits and blasts - cosmetic only, absent headless */
+        this.audio = options.audio ?? null; /* Optional AudioSystem told about the same events plus expiries, bounces and combos - browser only */
+    }
+
+    static checkPlayerCount(count) { /* Validate a local player count - one color pair per player */
+        const maxPlayers = CONFIG.COLORS.OTHER_PLAYERS.length + 1; /* Player 1 plus one entry per extra color */
+        if (!Number.isInteger(count) || count < 1 || count > maxPlayers) throw new Error(`Player count must be 1 to ${maxPlayers}, got ${count}`); /* Bad option or replay */
+        return count; /* Valid */
+    }
+
+    createPlayer(index) { /* Player entity with its own score, weapons and ammo - player 1 keeps the classic colors */
+        const spawnX = this.width * (index + 1) / (this.playerCount + 1); /* Spread players evenly - a lone player starts centered */
+        const player = { /* Initialize player object with starting position and properties */
+            index, /* Position in this.players - names the player in HUDs, results and replays */
+            x: spawnX, /* Starting column */
+            y: this.height - 50, /* Position player near bottom of world */
+            previousX: spawnX, /* X position at start of last step for interpolation */
+            previousY: this.height - 50, /* Y position at start of last step for interpolation */
+            size: CONFIG.PLAYER.SIZE, /* Player circle radius */
+            color: index === 0 ? CONFIG.COLORS.PLAYER : CONFIG.COLORS.OTHER_PLAYERS[index - 1], /* Player color from config */
+            projectileColor: index === 0 ? CONFIG.COLORS.PROJECTILE : CONFIG.COLORS.OTHER_PROJECTILES[index - 1], /* Color of this player's rounds */
+            velocity: { /* Player movement velocity vector */
+                x: 0, /* Horizontal velocity - starts at 0 */
+                y: 0  /* Vertical velocity - starts at 0 */
+            },
+            ammoRemaining: Infinity, /* Own share of round ammo - set by initializeRound */
+            scoreKeeper: new ScoreKeeper(), /* Score, combo and accuracy credited to this player */
+            weaponSystem: null /* Set below - needs the player object */
+        };
+        player.weaponSystem = new WeaponSystem(this, player); /* Fire modes, magazines and reloads */
+        return player; /* Ready to step */
+    }
+
+    initializeState() { /* Set up initial simulation state variables */
+        this.stepCount = 0; /* Number of fixed steps simulated so far */
+        this.players = []; /* Fresh players - each with zero score and full magazines */
+        for (let i = 0; i < this.playerCount; i++) { /* Player 1 first */
+            this.players.push(this.createPlayer(i)); /* Index i */
+        }
+
+        this.initializeRound(); /* Reset round rules for the current mode */
+    }
+
+    initializeRound() { /* Set up round counters for the current mode */
+        const modeSettings = CONFIG.ROUND_MODES[this.mode]; /* Rules for selected mode */
+        const shotsPerPlayer = modeSettings.SHOTS ?? Infinity; /* Every player gets the mode's full allowance */
+        this.players.forEach(player => { /* Split ammo by player so one cannot spend the other's */
+            player.ammoRemaining = shotsPerPlayer; /* Own shots */
+        });
+        this.round = { /* Round progress - read by HUD and game over screen */
+            mode: this.mode, /* Active mode id */
+            timeRemaining: modeSettings.DURATION ?? Infinity, /* Milliseconds left in timed rounds */
+            ammoRemaining: shotsPerPlayer * this.playerCount, /* Shots left across all players in ammo rounds */
+            misses: 0, /* Targets that expired unhit */
+            maxMisses: modeSettings.MAX_MISSES ?? Infinity, /* Misses allowed before losing */
+            over: false, /* Round finished flag - step() does nothing once set */
+            endReason: null /* Why the round ended: 'time', 'ammo' or 'misses' */
+        };
+    }
+
+    endRound(reason) { /* Finish the round */
+        this.round.over = true; /* Stop further steps */
+        this.round.endReason = reason; /* Record cause for results screen */
+    }
+
+    initializePools() { /* Set up object pools for entity recycling */
+        this.projectilePool = new ObjectPool(() => ({ /* Create projectile pool with factory function */
+            x: 0, /* Starting x position */
+            y: 0, /* Starting y position */
+            previousX: 0, /* X position at start of last step for interpolation */
+            previousY: 0, /* Y position at start of last step for interpolation */
+            radius: CONFIG.PROJECTILE.RADIUS, /* Projectile size - set per weapon on spawn */
+            color: CONFIG.COLORS.PROJECTILE, /* Projectile color - the owner's projectileColor on spawn */
+            owner: null, /* Player who fired it - credited with its hits and misses */
+            velocity: { x: 0, y: 0 }, /* Initial velocity vector */
+            pierceRemaining: 0, /* Further targets this projectile may pass through */
+            explosionRadius: 0, /* Area damage radius on impact - 0 for plain rounds */
+            hitTargets: [], /* Handles of targets already pierced, so overlapping steps do not hit twice */
+            hasHit: false /* Whether this projectile has landed - drives accuracy */
+        }), { /* Sized from expected peak */
+            initialSize: CONFIG.POOLS.PROJECTILES.PEAK, /* Pre-warm */
+            maxSize: CONFIG.POOLS.PROJECTILES.MAX_SIZE, /* Capacity */
+            overflow: CONFIG.POOLS.PROJECTILES.OVERFLOW, /* Behavior when full */
+            reset: projectile => this.resetProjectile(projectile), /* Clean state on release */
+            onEvict: projectile => this.projectileStore.detach(projectile), /* Oldest round reclaimed in flight */
+            debugChecks: CONFIG.POOLS.DEBUG_CHECKS /* Lifecycle assertions */
+        });
+        this.pools = { projectiles: this.projectilePool }; /* Every pool by name - read by getPoolStats */
+
+        this.targetPools = {}; /* One pool per target type so recycled objects keep type-specific fields */
+        this.targetTypes.typeIds.forEach(typeId => { /* Create each type's pool */
+            const type = this.targetTypes.get(typeId); /* Type definition */
+            this.targetPools[typeId] = new ObjectPool(type.create, { /* Pool with type factory */
+                initialSize: CONFIG.POOLS.TARGETS.PEAKS[typeId] ?? CONFIG.POOLS.TARGETS.DEFAULT_PEAK, /* Pre-warm to expected peak */
+                maxSize: CONFIG.POOLS.TARGETS.MAX_SIZE, /* Capacity */
+                overflow: CONFIG.POOLS.TARGETS.OVERFLOW, /* Behavior when full */
+                reset: type.reset, /* Type's reset hook */
+                onEvict: target => this.targetStore.detach(target), /* Oldest target reclaimed */
+                debugChecks: CONFIG.POOLS.DEBUG_CHECKS /* Lifecycle assertions */
+            });
+            this.pools[`targets.${typeId}`] = this.targetPools[typeId]; /* Listed for stats */
+        });
+
+        this.projectileStore = new EntityStore(projectile => this.projectilePool.release(projectile)); /* Live projectiles - ids and deferred removal */
+        this.targetStore = new EntityStore(target => this.releaseTarget(target)); /* Live targets - ids and deferred removal */
+    }
+
+    initializeCollisionSystem() { /* Set up spatial partitioning for collision detection */
+        this.collisionGrid = new SpatialGrid(CONFIG.PERFORMANCE.GRID_CELL_SIZE); /* Create grid with configured cell size */
+        this.collisionCandidates = []; /* Reused query results for projectile hits */
+        this.blastCandidates = []; /* Reused query results for explosions - separate so a blast cannot clobber the hit loop */
+        this.sweepHits = []; /* Targets one projectile touched this step, earliest first */
+        this.sweepTimes = []; /* Time of impact (0-1 of the step) for each entry in sweepHits */
+        this.pairChecks = 0; /* Exact projectile/target tests in the last collision pass - debug overlay */
+        this.profiler = null; /* Optional FrameProfiler timing the collision pass - set by the debug overlay */
+    }
+
+    constructor(options = {}) { /* Initialize simulation - options: width, height, seed, mode, players, clock, random, targetTypes, effects, audio */
+        this.configureWorld(options); /* Set bounds, clock and RNG */
+        this.initializePools(); /* Set up object pools and entity stores */
+        this.initializeState(); /* Initialize game state */
+        this.initializeCollisionSystem(); /* Set up collision detection */
+        this.waveDirector = new WaveDirector(this); /* Validates waves and schedules spawns */
+        this.soloInputs = [null]; /* Reused wrapper when step() is given a single frame */
+    }
+
+    reset(seed = this.seed, mode = this.mode, playerCount = this.playerCount) { /* Restart the run from a seed without reallocating pools */
+        this.projectileStore.clear(); /* Recycle live projectiles */
+        this.targetStore.clear(); /* Recycle live targets */
+        this.seed = seed; /* Remember new seed */
+        this.mode = mode; /* Remember round mode */
+        this.playerCount = GameSimulation.checkPlayerCount(playerCount); /* Remember player count */
+        this.random.setSeed(seed); /* Restart random sequence */
+        this.clock.reset(); /* Rewind game time */
+        this.initializeState(); /* Fresh players, scores and weapons */
+        this.waveDirector.reset(); /* Back to wave 1 */
+    }
+
+    applyConfigChange(paths) { /* Pick up CONFIG values that are copied at construction - paths come from ConfigManager.apply */
+        if (paths.some(path => path.startsWith('TARGET.'))) this.waveDirector.restartSpawner(); /* Spawn defaults and scales */
+        if (paths.includes('PERFORMANCE.GRID_CELL_SIZE')) this.collisionGrid = new SpatialGrid(CONFIG.PERFORMANCE.GRID_CELL_SIZE); /* Grid is refilled every pass */
+        if (paths.includes('PLAYER.SIZE')) this.players.forEach(player => { player.size = CONFIG.PLAYER.SIZE; }); /* Resize the live players */
+    }
+
+    resetProjectile(projectile) { /* Restore a released projectile to factory values - pool reset hook */
+        projectile.velocity.x = 0; /* Stopped */
+        projectile.velocity.y = 0; /* Stopped */
+        projectile.radius = CONFIG.PROJECTILE.RADIUS; /* Default size */
+        projectile.pierceRemaining = 0; /* No pierce */
+        projectile.explosionRadius = 0; /* Plain round */
+        projectile.color = CONFIG.COLORS.PROJECTILE; /* Default color */
+        projectile.owner = null; /* Do not keep a finished round's player alive */
+        projectile.hitTargets.length = 0; /* Forget targets pierced in this life */
+        projectile.hasHit = false; /* Not landed */
+    }
+
+    getPoolStats(out = {}) { /* Counters for every pool keyed by name - pass the same object each frame to avoid allocating */
+        for (const name in this.pools) { /* Projectile pool and each target type's pool */
+            out[name] = this.pools[name].getStats(out[name]); /* Reuses the previous frame's entry */
+        }
+        return out; /* Same object passed in */
+    }
+
+    releaseTarget(target) { /* Return a target to its type's pool */
+        this.targetPools[target.type].release(target); /* Pool matching the target's factory */
+    }
+
+    get projectiles() { /* Dense projectile list for iteration - may hold removed entries until the store is flushed */
+        return this.projectileStore.active; /* Owned by the store - do not push or splice */
+    }
+
+    get targets() { /* Dense target list for iteration - may hold removed entries until the store is flushed */
+        return this.targetStore.active; /* Owned by the store - do not push or splice */
+    }
+
+    get player() { /* Player 1 - the only player in solo rounds */
+        return this.players[0]; /* First entry */
+    }
+
+    get scoreKeeper() { /* Player 1's score, combo and accuracy */
+        return this.players[0].scoreKeeper; /* Owned by the player */
+    }
+
+    get weaponSystem() { /* Player 1's weapons */
+        return this.players[0].weaponSystem; /* Owned by the player */
+    }
+
+    get score() { /* Current score - player 1's */
+        return this.scoreKeeper.score; /* ScoreKeeper owns the total */
+    }
+
+    scoreKill(target, basePoints, shooter = this.player) { /* Award points for a destroyed target to the player whose shot destroyed it - called by target types */
+        const scoreKeeper = shooter.scoreKeeper; /* Shooter's tally */
+        const previousMultiplier = scoreKeeper.multiplier; /* Before this kill */
+        const points = scoreKeeper.recordKill(basePoints, target.radius, this.clock.now() - target.creationTime); /* Size, speed and combo scaled */
+        if (this.audio && scoreKeeper.multiplier > previousMultiplier) this.audio.comboRaised(scoreKeeper.multiplier, target.x); /* Multiplier stepped up */
+        return points; /* Points awarded */
+    }
+
+    scorePenalty(points, breaksCombo, shooter = this.player) { /* Deduct points for hitting a target that should be avoided - called by target types */
+        shooter.scoreKeeper.recordPenalty(points, breaksCombo); /* Penalty and optional combo break */
+    }
+
+    leadingPlayerIndex() { /* Index of the player with the highest score, or null when the lead is shared */
+        let leader = 0; /* Best so far */
+        let tied = false; /* Whether another player matches the best */
+        for (let i = 1; i < this.players.length; i++) { /* Compare the rest */
+            const score = this.players[i].scoreKeeper.score; /* Candidate score */
+            const best = this.players[leader].scoreKeeper.score; /* Current best */
+            if (score > best) { /* New leader */
+                leader = i; /* Remember */
+                tied = false; /* Clean lead */
+            } else if (score === best) { /* Level */
+                tied = true; /* Shared lead */
+            }
+        }
+        return tied ? null : leader; /* Solo rounds always lead */
+    }
+
+    getRoundSummary() { /* End-of-round stats for results screen and leaderboard - top-level stats are player 1's */
+        return { /* Plain data */
+            ...this.scoreKeeper.getSummary(), /* Score, accuracy and combo stats */
+            mode: this.mode, /* Round mode */
+            wave: this.waveDirector.waveNumber, /* Wave reached */
+            duration: this.clock.now(), /* Round length in milliseconds */
+            endReason: this.round.endReason, /* Why the round ended */
+            winner: this.leadingPlayerIndex(), /* Top scorer's index, or null on a tie */
+            players: this.players.map(player => ({ /* Every player's stats, player 1 first */
+                index: player.index, /* Player number minus one */
+                color: player.color, /* Shown beside the player's line */
+                ...player.scoreKeeper.getSummary() /* Score, accuracy and combo stats */
+            }))
+        };
+    }
+
+    get time() { /* Current game time in milliseconds */
+        return this.clock.now(); /* Delegate to injected clock */
+    }
+
+    moveTarget(target, targetAge, deltaSeconds) { /* Advance a target along its movement path */
+        const ageSeconds = targetAge / 1000; /* Path formulas use seconds */
+        switch (target.movementType) { /* Path kind chosen by the wave */
+            case 'linear': /* Straight drift */
+                target.x += target.velocity.x * deltaSeconds; /* Drift X */
+                target.y += target.velocity.y * deltaSeconds; /* Drift Y */
+                break;
+            case 'sine': { /* Drift with a perpendicular weave */
+                target.anchorX += target.velocity.x * deltaSeconds; /* Drift anchor X */
+                target.anchorY += target.velocity.y * deltaSeconds; /* Drift anchor Y */
+                const speed = Math.hypot(target.velocity.x, target.velocity.y) || 1; /* Avoid divide by zero for still anchors */
+                const offset = Math.sin(target.phase + ageSeconds * target.frequency * Math.PI * 2) * target.amplitude; /* Weave distance */
+                target.x = target.anchorX - (target.velocity.y / speed) * offset; /* Offset along perpendicular X */
+                target.y = target.anchorY + (target.velocity.x / speed) * offset; /* Offset along perpendicular Y */
+                break;
+            }
+            case 'orbit': { /* Circle a fixed anchor */
+                const orbitAngle = target.phase + ageSeconds * target.angularSpeed; /* Current angle */
+                target.x = target.anchorX + Math.cos(orbitAngle) * target.orbitRadius; /* Orbit X */
+                target.y = target.anchorY + Math.sin(orbitAngle) * target.orbitRadius; /* Orbit Y */
+                break;
+            }
+            case 'bounce': /* Drift and reflect off walls */
+                target.x += target.velocity.x * deltaSeconds; /* Drift X */
+                target.y += target.velocity.y * deltaSeconds; /* Drift Y */
+                if (target.x < target.radius || target.x > this.width - target.radius) { /* Hit side wall */
+                    target.velocity.x = -target.velocity.x; /* Reflect horizontally */
+                    target.x = Math.max(target.radius, Math.min(this.width - target.radius, target.x)); /* Push back inside */
+                }
+                if (target.y < target.radius || target.y > this.height - target.radius) { /* Hit top or bottom wall */
+                    target.velocity.y = -target.velocity.y; /* Reflect vertically */
+                    target.y = Math.max(target.radius, Math.min(this.height - target.radius, target.y)); /* Push back inside */
+                }
+                break;
+        }
+    }
+
+    isOutsideWorld(target) { /* Whether a drifting target has fully left the world */
+        return target.x < -target.radius || target.x > this.width + target.radius || /* Off left or right edge */
+            target.y < -target.radius || target.y > this.height + target.radius; /* Off top or bottom edge */
+    }
+
+    updateTargets(deltaSeconds) { /* Move, fade and expire all active targets */
+        const currentTime = this.clock.now(); /* Age targets by game time so lifespans ignore refresh rate and hitches */
+
+        for (let i = this.targets.length - 1; i >= 0; i--) { /* Iterate targets backwards */
+            const target = this.targets[i]; /* Get current target */
+            const targetAge = currentTime - target.creationTime; /* Calculate target lifetime */
+            const fadeStart = target.lifespan * CONFIG.TARGET.FADE_START_PERCENT; /* Age at which fading begins */
+
+            this.moveTarget(target, targetAge, deltaSeconds); /* Follow movement path */
+
+            if (targetAge >= target.lifespan || this.isOutsideWorld(target)) { /* Expired or escaped */
+                if (this.targetTypes.get(target.type).countsAsMiss) { /* Decoys are meant to be left alone */
+                    this.round.misses++; /* Expired unhit target counts as a miss */
+                    if (this.audio) this.audio.targetExpired(target); /* Missed-target cue */
+                }
+                this.targetStore.remove(target); /* Dropped at the flush below, so indices stay valid mid-loop */
+            }
+            else if (targetAge > fadeStart) { /* Check if target should start fading */
+                const fadeTimeTotal = target.lifespan - fadeStart; /* Calculate total fade duration */
+                const fadeTimeElapsed = targetAge - fadeStart; /* Calculate elapsed fade time */
+                target.currentOpacity = 1 - (fadeTimeElapsed / fadeTimeTotal); /* Update target opacity */
+            }
+        }
+        this.targetStore.flush(); /* Release expired targets */
+    }
+
+    updateProjectiles(deltaSeconds) { /* Move all active projectiles - collisions sweep from previous to new position */
+        for (let i = 0; i < this.projectiles.length; i++) { /* Indexed loop avoids closure allocation */
+            const projectile = this.projectiles[i]; /* Get current projectile */
+            projectile.x += projectile.velocity.x * deltaSeconds; /* Advance X by per-second velocity */
+            projectile.y += projectile.velocity.y * deltaSeconds; /* Advance Y by per-second velocity */
+        }
+    }
+
+    removeEscapedProjectiles() { /* Drop projectiles that left the world - after collisions so a round leaving this step can still hit on its way out */
+        for (let i = this.projectiles.length - 1; i >= 0; i--) { /* Iterate projectiles backwards */
+            const projectile = this.projectiles[i]; /* Get current projectile */
+            if (projectile.x < 0 || projectile.x > this.width ||
+                projectile.y < 0 || projectile.y > this.height) { /* Check if out of bounds */
+                if (!projectile.hasHit) projectile.owner.scoreKeeper.recordProjectileMiss(); /* Clean miss, charged to the shooter */
+                this.projectileStore.remove(projectile); /* Dropped at the flush below */
+            }
+        }
+        this.projectileStore.flush(); /* Release escaped projectiles */
+    }
+
+    updatePlayer(player, inputs, deltaSeconds) { /* Update one player's position using physics-based movement */
+        // Apply acceleration based on input
+        const velocityChange = CONFIG.PLAYER.ACCELERATION * deltaSeconds; /* Speed gained this step at full deflection */
+        player.velocity.x += velocityChange * (inputs.moveX ?? 0); /* Analog -1 (left) to 1 (right) */
+        player.velocity.y += velocityChange * (inputs.moveY ?? 0); /* Analog -1 (up) to 1 (down) */
+
+        // Apply speed limit
+        const currentSpeed = Math.sqrt( /* Calculate current speed magnitude */
+            player.velocity.x * player.velocity.x +
+            player.velocity.y * player.velocity.y
+        );
+
+        if (currentSpeed > CONFIG.PLAYER.MAX_SPEED) { /* If exceeding max speed */
+            const ratio = CONFIG.PLAYER.MAX_SPEED / currentSpeed; /* Calculate scaling ratio */
+            player.velocity.x *= ratio; /* Scale down x velocity */
+            player.velocity.y *= ratio; /* Scale down y velocity */
+        }
+
+        // Apply friction
+        const frictionFactor = Math.exp(-CONFIG.PLAYER.FRICTION * deltaSeconds); /* Exponential decay keeps damping identical at any step size */
+        player.velocity.x *= frictionFactor; /* Apply horizontal friction */
+        player.velocity.y *= frictionFactor; /* Apply vertical friction */
+
+        // Very small velocities should be zeroed out to prevent endless tiny movement
+        if (Math.abs(player.velocity.x) < CONFIG.PLAYER.STOP_SPEED) player.velocity.x = 0; /* Stop tiny x movement */
+        if (Math.abs(player.velocity.y) < CONFIG.PLAYER.STOP_SPEED) player.velocity.y = 0; /* Stop tiny y movement */
+
+        // Update position
+        player.x += player.velocity.x * deltaSeconds; /* Apply x velocity to position */
+        player.y += player.velocity.y * deltaSeconds; /* Apply y velocity to position */
+
+        // Apply boundary constraints
+        const padding = CONFIG.PLAYER.BOUNDARY_PADDING; /* Get boundary padding */
+
+        // Handle x boundaries with momentum conservation
+        if (player.x < padding) { /* If beyond left boundary */
+            player.x = padding; /* Move to boundary */
+            player.velocity.x *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+            if (this.audio) this.audio.wallBounce(player.x, Math.abs(player.velocity.x)); /* Thud scaled by rebound speed */
+        } else if (player.x > this.width - padding) { /* If beyond right boundary */
+            player.x = this.width - padding; /* Move to boundary */
+            player.velocity.x *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+            if (this.audio) this.audio.wallBounce(player.x, Math.abs(player.velocity.x)); /* Thud scaled by rebound speed */
+        }
+
+        // Handle y boundaries with momentum conservation
+        if (player.y < padding) { /* If beyond top boundary */
+            player.y = padding; /* Move to boundary */
+            player.velocity.y *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+            if (this.audio) this.audio.wallBounce(player.x, Math.abs(player.velocity.y)); /* Thud scaled by rebound speed */
+        } else if (player.y > this.height - padding) { /* If beyond bottom boundary */
+            player.y = this.height - padding; /* Move to boundary */
+            player.velocity.y *= -CONFIG.PLAYER.BOUNCE_ENERGY_LOSS; /* Bounce with energy loss */
+            if (this.audio) this.audio.wallBounce(player.x, Math.abs(player.velocity.y)); /* Thud scaled by rebound speed */
+        }
+    }
+
+    storePreviousPositions() { /* Remember positions before a step so rendering can interpolate between steps */
+        for (let i = 0; i < this.players.length; i++) { /* Every player */
+            const player = this.players[i]; /* Get current player */
+            player.previousX = player.x; /* Save player X */
+            player.previousY = player.y; /* Save player Y */
+        }
+        for (let i = 0; i < this.projectiles.length; i++) { /* Indexed loop avoids closure allocation */
+            const projectile = this.projectiles[i]; /* Get current projectile */
+            projectile.previousX = projectile.x; /* Save projectile X */
+            projectile.previousY = projectile.y; /* Save projectile Y */
+        }
+        for (let i = 0; i < this.targets.length; i++) { /* Targets move too */
+            const target = this.targets[i]; /* Get current target */
+            target.previousX = target.x; /* Save target X */
+            target.previousY = target.y; /* Save target Y */
+        }
+    }
+
+    hasPlayerProjectiles() { /* Whether any player's round is still in flight - stress-test rounds belong to no player */
+        for (let i = 0; i < this.projectiles.length; i++) { /* Indexed loop avoids closure allocation */
+            const owner = this.projectiles[i].owner; /* Shooter */
+            if (this.players[owner.index] === owner) return true; /* Fired by a player */
+        }
+        return false; /* Only foreign rounds, or none */
+    }
+
+    updateRound(deltaMilliseconds) { /* Check mode-specific end conditions */
+        this.round.timeRemaining = Math.max(0, this.round.timeRemaining - deltaMilliseconds); /* Count down timed rounds */
+        if (this.round.timeRemaining === 0) { /* Clock ran out */
+            this.endRound('time'); /* Timed round complete */
+        } else if (this.round.misses >= this.round.maxMisses) { /* Too many expired targets */
+            this.endRound('misses'); /* Miss limit reached */
+        } else if (this.round.ammoRemaining === 0 && !this.hasPlayerProjectiles()) { /* Last shot has landed or left */
+            this.endRound('ammo'); /* Ammo round complete */
+        }
+    }
+
+    createProjectile(angleToTarget, weapon, owner = this.player, originX = owner.x, originY = owner.y) { /* Create new projectile along an angle with the weapon's momentum transfer - owner is credited with it; returns whether it spawned */
+        // Get projectile from pool and apply weapon settings
+        const projectile = this.projectilePool.get(); /* Get recycled or new projectile - reset on release */
+        if (!projectile) return false; /* Pool full and refusing - shot fizzles */
+        const speed = weapon.SPEED ?? CONFIG.PROJECTILE.SPEED; /* Weapon muzzle speed */
+        projectile.radius = weapon.RADIUS ?? CONFIG.PROJECTILE.RADIUS; /* Weapon round size */
+        projectile.pierceRemaining = weapon.PIERCE ?? 0; /* Extra targets it may pass through */
+        projectile.explosionRadius = weapon.EXPLOSION_RADIUS ?? 0; /* Area damage on impact */
+        projectile.owner = owner; /* Hits, kills and misses go to this player */
+        projectile.color = owner.projectileColor; /* Rounds show whose they are */
+        owner.scoreKeeper.recordShot(); /* Count for accuracy */
+
+        // Set initial position to player position
+        projectile.x = originX; /* Start at player's X position unless an origin was given */
+        projectile.y = originY; /* Start at player's Y position unless an origin was given */
+        projectile.previousX = projectile.x; /* No interpolation trail from recycled position */
+        projectile.previousY = projectile.y; /* No interpolation trail from recycled position */
+
+        // Calculate base velocity components
+        const baseVelocityX = Math.cos(angleToTarget) * speed; /* Base X velocity from aim */
+        const baseVelocityY = Math.sin(angleToTarget) * speed; /* Base Y velocity from aim */
+
+        // Add player momentum with transfer factor
+        const momentumTransferFactor = weapon.MOMENTUM_TRANSFER ?? CONFIG.PROJECTILE.MOMENTUM_TRANSFER; /* How much player momentum affects this weapon's rounds */
+        projectile.velocity.x = baseVelocityX + (owner.velocity.x * momentumTransferFactor); /* Combined X velocity */
+        projectile.velocity.y = baseVelocityY + (owner.velocity.y * momentumTransferFactor); /* Combined Y velocity */
+
+        this.projectileStore.add(projectile); /* Add to live projectiles with a fresh id */
+        return true; /* In flight */
+    }
+
+    spawnTarget(x, y, radius, lifespan, movement, heading, speedMultiplier, typeId = 'normal') { /* Create target placed by the wave director */
+        const type = this.targetTypes.get(typeId); /* Behavior for this target */
+        const target = this.targetPools[typeId].get(); /* Get target from its type's pool - reset on release */
+        if (!target) return; /* Pool full and refusing - skip this spawn */
+        const speed = (movement.SPEED ?? 0) * speedMultiplier; /* Escalated movement speed */
+
+        target.radius = radius; /* Set size */
+        target.x = x; /* Set X position */
+        target.y = y; /* Set Y position */
+        target.previousX = x; /* No interpolation trail from recycled position */
+        target.previousY = y; /* No interpolation trail from recycled position */
+        target.creationTime = this.clock.now(); /* Stamp with game time so aging follows the simulation clock */
+        target.lifespan = lifespan; /* Wave-defined lifetime */
+        target.currentOpacity = 1; /* Set initial opacity */
+
+        target.movementType = movement.TYPE; /* Path kind */
+        target.anchorX = x; /* Path origin X */
+        target.anchorY = y; /* Path origin Y */
+        target.velocity.x = Math.cos(heading) * speed; /* Travel X velocity */
+        target.velocity.y = Math.sin(heading) * speed; /* Travel Y velocity */
+        target.amplitude = movement.AMPLITUDE ?? 0; /* Sine offset */
+        target.frequency = movement.FREQUENCY ?? 0; /* Sine rate */
+        target.orbitRadius = movement.RADIUS ?? 0; /* Orbit radius */
+        target.angularSpeed = target.orbitRadius > 0 ? speed / target.orbitRadius : 0; /* Convert linear speed to radians per second */
+        target.phase = this.random.next() * Math.PI * 2; /* Desynchronize paths within a group */
+        if (target.movementType === 'orbit') { /* Orbit starts on its circle, not at the center */
+            target.anchorX = x - Math.cos(target.phase) * target.orbitRadius; /* Center so that phase 0 lands on spawn X */
+            target.anchorY = y - Math.sin(target.phase) * target.orbitRadius; /* Center so that phase 0 lands on spawn Y */
+        }
+        type.onSpawn(this, target); /* Type-specific setup */
+
+        this.targetStore.add(target); /* Add to live targets with a fresh id */
+    }
+
+    damageTarget(target, shooter = this.player) { /* Apply one hit through the target's type and remove it if destroyed - shooter gets the score */
+        if (!this.targetStore.isAlive(target)) { /* Destroyed earlier this step, or a stale reference */
+            this.targetPools[target.type].assertInUse(target); /* Debug builds catch references kept past release */
+            return; /* Nothing left to hit */
+        }
+        const type = this.targetTypes.get(target.type); /* Behavior and color */
+        const destroyed = type.onHit(this, target, shooter); /* Type decides score and survival */
+        if (this.effects) this.effects.targetHit(target, type.color, destroyed, destroyed ? shooter.scoreKeeper.lastAward : 0); /* Burst, popup and shake */
+        if (this.audio) this.audio.targetHit(target, destroyed, destroyed ? shooter.scoreKeeper.lastAward : 0); /* Hit, clank or buzz */
+        if (destroyed) { /* Type says the target is gone */
+            this.targetStore.remove(target); /* Released when the collision pass flushes */
+        }
+    }
+
+    explode(x, y, radius, shooter = this.player) { /* Damage every target within radius of an impact point */
+        if (this.effects) this.effects.explosion(x, y, radius); /* Fireball and shake */
+        if (this.audio) this.audio.explosion(x); /* Rumble */
+        const blastTargets = this.collisionGrid.queryCircle(x, y, radius, this.blastCandidates); /* Every target the blast reaches, however large the radius */
+        for (let i = 0; i < blastTargets.length; i++) { /* Indexed loop avoids iterator allocation */
+            this.damageTarget(blastTargets[i], shooter); /* Apply blast hit */
+        }
+    }
+
+    removeProjectile(projectile) { /* Mark a spent projectile for release when the collision pass flushes */
+        this.projectileStore.remove(projectile); /* Deferred - the pass keeps iterating by index */
+    }
+
+    timeOfImpact(projectile, target) { /* Fraction of this step at which a projectile first touches a target, or -1 - both may be moving */
+        const startOffsetX = projectile.previousX - target.previousX; /* Projectile relative to target at step start */
+        const startOffsetY = projectile.previousY - target.previousY; /* Projectile relative to target at step start */
+        const relativeMoveX = (projectile.x - target.x) - startOffsetX; /* Projectile motion as seen from the target */
+        const relativeMoveY = (projectile.y - target.y) - startOffsetY; /* Projectile motion as seen from the target */
+        return SpatialGrid.entryTime(startOffsetX, startOffsetY, relativeMoveX, relativeMoveY, projectile.radius + target.radius); /* Segment vs enlarged circle */
+    }
+
+    collectSweepHits(projectile) { /* Targets touched along the projectile's path this step, sorted by time of impact */
+        const candidates = this.collisionGrid.querySwept(projectile.previousX, projectile.previousY, /* Broad phase over the whole path */
+            projectile.x, projectile.y, projectile.radius, this.collisionCandidates);
+        const hits = this.sweepHits; /* Reused hit list */
+        const times = this.sweepTimes; /* Reused times, parallel to hits */
+        hits.length = 0; /* New projectile */
+        times.length = 0; /* New projectile */
+        for (let i = 0; i < candidates.length; i++) { /* Exact sweep test */
+            const target = candidates[i]; /* Candidate */
+            if (!this.targetStore.isAlive(target)) continue; /* Destroyed by an earlier projectile this step */
+            if (projectile.hitTargets.includes(this.targetStore.handleOf(target))) continue; /* Piercing round already passed through it */
+            this.pairChecks++; /* Count narrow-phase work */
+            const impactTime = this.timeOfImpact(projectile, target); /* When they touch */
+            if (impactTime < 0) continue; /* Paths never meet this step */
+            let insertAt = hits.length; /* Insertion sort - lists are short */
+            while (insertAt > 0 && times[insertAt - 1] > impactTime) { /* Shift later hits right */
+                hits[insertAt] = hits[insertAt - 1]; /* Move target */
+                times[insertAt] = times[insertAt - 1]; /* Move time */
+                insertAt--; /* Continue scan */
+            }
+            hits[insertAt] = target; /* Place target */
+            times[insertAt] = impactTime; /* Place time */
+        }
+        return hits; /* Earliest first */
+    }
+
+    checkCollisions() { /* Sweep each projectile's path this step against targets and resolve hits in time order */
+        this.pairChecks = 0; /* New pass */
+        this.collisionGrid.clear(); /* Reset collision grid */
+        for (let i = 0; i < this.targets.length; i++) { /* Indexed loop avoids closure allocation */
+            this.collisionGrid.addSweptObject(this.targets[i]); /* Insert along the target's own move this step */
+        }
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) { /* Check each projectile */
+            const projectile = this.projectiles[i]; /* Get current projectile */
+            const pathTargets = this.collectSweepHits(projectile); /* Targets on the path, earliest first */
+
+            for (let j = 0; j < pathTargets.length; j++) { /* Resolve hits in the order they happen */
+                const target = pathTargets[j]; /* Get target object */
+                if (!projectile.hasHit) { /* First hit for this projectile */
+                    projectile.hasHit = true; /* Count once even for piercing rounds */
+                    projectile.owner.scoreKeeper.recordProjectileHit(); /* Count for the shooter's accuracy */
+                }
+                if (projectile.explosionRadius > 0) { /* Explosive round */
+                    const impactTime = this.sweepTimes[j]; /* Fraction of the step at impact */
+                    const impactX = projectile.previousX + (projectile.x - projectile.previousX) * impactTime; /* Where the rocket was on contact */
+                    const impactY = projectile.previousY + (projectile.y - projectile.previousY) * impactTime; /* Where the rocket was on contact */
+                    this.explode(impactX, impactY, projectile.explosionRadius, projectile.owner); /* Area damage includes this target */
+                    this.removeProjectile(projectile); /* Rocket is spent */
+                    break; /* Exit loop after collision */
+                }
+                this.damageTarget(target, projectile.owner); /* Single-target hit */
+                if (projectile.pierceRemaining > 0) { /* Piercing round keeps going */
+                    projectile.pierceRemaining--; /* Use up one pierce */
+                    projectile.hitTargets.push(this.targetStore.handleOf(target)); /* Do not hit it again while overlapping - handle goes stale if the object is recycled */
+                    continue; /* Check later targets on the path */
+                }
+                this.removeProjectile(projectile); /* Round is spent */
+                break; /* Exit loop after collision */
+            }
+        }
+        this.targetStore.flush(); /* Release destroyed targets now that no loop holds indices */
+        this.projectileStore.flush(); /* Release spent projectiles */
+    }
+
+    inputsFor(frames, index) { /* One player's frame - missing frames leave the player idle */
+        return frames[index] ?? GameSimulation.IDLE_INPUTS; /* Bots and absent pads may skip steps */
+    }
+
+    step(inputs) { /* Advance simulation one fixed step - inputs: { moveX, moveY, fireRequested, fireHeld, aimX, aimY, weaponSlot, reloadRequested } for player 1, or an array of such frames by player index */
+        const deltaSeconds = CONFIG.PERFORMANCE.FIXED_TIMESTEP; /* Fixed step length in seconds */
+        const deltaMilliseconds = deltaSeconds * 1000; /* Same step in milliseconds to match CONFIG lifespans */
+        if (this.round.over) return; /* Finished rounds are frozen */
+
+        let frames = inputs; /* Per-player frames */
+        if (!Array.isArray(inputs)) { /* Single frame drives player 1 */
+            this.soloInputs[0] = inputs; /* Reused wrapper - no allocation per step */
+            frames = this.soloInputs; /* Treat as a one-entry list */
+        }
+
+        this.storePreviousPositions(); /* Capture interpolation start points */
+        this.clock.advance(deltaMilliseconds); /* Advance game clock */
+        this.stepCount++; /* Count simulated steps */
+
+        for (let i = 0; i < this.players.length; i++) { /* Fire before movement so a new projectile travels this step */
+            this.players[i].weaponSystem.update(this.inputsFor(frames, i), deltaMilliseconds); /* Player 1 first so ties resolve the same way every run */
+        }
+        this.waveDirector.update(deltaMilliseconds); /* Spawn any due targets */
+        for (let i = 0; i < this.players.length; i++) { /* Same physics for every player */
+            this.updatePlayer(this.players[i], this.inputsFor(frames, i), deltaSeconds); /* Update player position with physics */
+        }
+        this.updateTargets(deltaSeconds); /* Move, fade and expire targets */
+        this.updateProjectiles(deltaSeconds); /* Update all projectiles */
+        if (this.profiler) this.profiler.begin('collision'); /* Time the pass when the overlay is open */
+        this.checkCollisions(); /* Resolve hits and scoring */
+        if (this.profiler) this.profiler.end('collision'); /* Stop timing */
+        this.removeEscapedProjectiles(); /* Recycle projectiles that left the world */
+        for (let i = 0; i < this.players.length; i++) { /* Every player's combo runs on its own */
+            this.players[i].scoreKeeper.update(deltaMilliseconds); /* Let combos lapse */
+        }
+        this.updateRound(deltaMilliseconds); /* Apply round end conditions */
+    }
+
+    getSnapshot() { /* Copy current state into plain data for tests and comparisons */
+        return { /* Snapshot owns its data so later steps cannot mutate it */
+            stepCount: this.stepCount, /* Steps simulated so far */
+            time: this.clock.now(), /* Game time in milliseconds */
+            score: this.score, /* Current score */
+            combo: this.scoreKeeper.comboCount, /* Current combo length */
+            accuracy: this.scoreKeeper.accuracy, /* Hit fraction */
+            wave: this.waveDirector.waveNumber, /* Active wave */
+            weapon: { /* Equipped weapon state */
+                id: this.weaponSystem.currentWeaponId, /* Weapon id */
+                magazine: this.weaponSystem.magazines[this.weaponSystem.currentWeaponId], /* Rounds left in magazine */
+                reloading: this.weaponSystem.reloading /* Reload in progress */
+            },
+            round: { ...this.round }, /* Round counters and end state */
+            player: { /* Player position and velocity */
+                x: this.player.x, /* Player X */
+                y: this.player.y, /* Player Y */
+                velocityX: this.player.velocity.x, /* Player X velocity */
+                velocityY: this.player.velocity.y  /* Player Y velocity */
+            },
+            players: this.players.map(player => ({ /* Every player, player 1 first */
+                x: player.x, /* Player X */
+                y: player.y, /* Player Y */
+                velocityX: player.velocity.x, /* Player X velocity */
+                velocityY: player.velocity.y, /* Player Y velocity */
+                score: player.scoreKeeper.score, /* Player's score */
+                ammoRemaining: player.ammoRemaining, /* Player's shots left */
+                weapon: player.weaponSystem.currentWeaponId /* Equipped weapon */
+            })),
+            targets: this.targets.map(target => ({ /* Active targets */
+                x: target.x, /* Target X */
+                y: target.y, /* Target Y */
+                radius: target.radius, /* Target radius */
+                creationTime: target.creationTime, /* Spawn time */
+                type: target.type, /* Target type id */
+                health: target.health, /* Remaining hits for armored targets */
+                movementType: target.movementType, /* Path kind */
+                opacity: target.currentOpacity /* Current fade */
+            })),
+            projectiles: this.projectiles.map(projectile => ({ /* Active projectiles */
+                x: projectile.x, /* Projectile X */
+                y: projectile.y, /* Projectile Y */
+                velocityX: projectile.velocity.x, /* Projectile X velocity */
+                velocityY: projectile.velocity.y, /* Projectile Y velocity */
+                owner: projectile.owner.index /* Shooter's player index */
+            }))
+        };
+    }
+}
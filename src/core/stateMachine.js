@@ -0,0 +1,46 @@
+class GameStateMachine { /* Tracks the high-level game state and enforces legal transitions */
+
+    static STATES = { /* All game states */
+        BOOT: 'boot', /* Systems initializing */
+        MENU: 'menu', /* Title screen with mode selection */
+        PLAYING: 'playing', /* Round in progress */
+        PAUSED: 'paused', /* Round frozen - no spawning or target aging */
+        GAME_OVER: 'gameOver', /* Round ended - showing results */
+    };
+
+    static TRANSITIONS = { /* Allowed next states for each state */
+        boot: ['menu'], /* Boot only ever leads to the menu */
+        menu: ['playing'], /* Start a round */
+        playing: ['paused', 'gameOver', 'playing', 'menu'], /* Pause, end, restart or quit */
+        paused: ['playing', 'menu'], /* Resume/restart or quit */
+        gameOver: ['playing', 'menu'], /* Play again or quit */
+    };
+
+    constructor() { /* Start in BOOT state */
+        this.state = GameStateMachine.STATES.BOOT; /* Current state */
+        this.enterHandlers = {}; /* Callbacks run when a state is entered, keyed by state */
+    }
+
+    onEnter(state, handler) { /* Register callback for entering a state */
+        this.enterHandlers[state] = handler; /* One handler per state */
+    }
+
+    is(state) { /* Check current state */
+        return this.state === state; /* True if in given state */
+    }
+
+    canTransition(nextState) { /* Check whether a transition is legal */
+        return GameStateMachine.TRANSITIONS[this.state].includes(nextState); /* Look up allowed targets */
+    }
+
+    transition(nextState) { /* Move to a new state and run its enter handler */
+        if (!this.canTransition(nextState)) { /* Reject illegal moves loudly - they indicate a logic bug */
+            throw new Error(`Illegal state transition ${this.state} -> ${nextState}`); /* Surface bug */
+        }
+        const previousState = this.state; /* Remember origin for handler */
+        this.state = nextState; /* Switch state */
+        if (this.enterHandlers[nextState]) { /* Handler registered */
+            this.enterHandlers[nextState](previousState); /* Notify with origin state */
+        }
+    }
+}
@@ -0,0 +1,318 @@
+class WebGLRenderer extends GameRenderer { /* WebGL backend - every circle is one instance of a quad, HUD and decorations go to a Canvas 2D layer on top */
+
+    static VERTEX_SHADER = `
+        attribute vec2 a_corner;
+        attribute vec3 a_circle;
+        attribute vec4 a_color;
+        uniform vec2 u_scale;
+        uniform vec2 u_offset;
+        uniform float u_pixelsPerUnit;
+        varying vec2 v_local;
+        varying vec4 v_color;
+        varying float v_edge;
+        void main() {
+            v_local = a_corner;
+            v_color = a_color;
+            v_edge = a_circle.z * u_pixelsPerUnit;
+            gl_Position = vec4((a_circle.xy + a_corner * a_circle.z) * u_scale + u_offset, 0.0, 1.0);
+        }
+    `; /* Expands a unit quad to each circle's bounds - a_circle is x, y, radius */
+
+    static FRAGMENT_SHADER = `
+        precision mediump float;
+        varying vec2 v_local;
+        varying vec4 v_color;
+        varying float v_edge;
+        void main() {
+            float coverage = clamp((1.0 - length(v_local)) * v_edge, 0.0, 1.0);
+            if (coverage <= 0.0) discard;
+            float alpha = v_color.a * coverage;
+            gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+        }
+    `; /* Round, antialiased edge with per-instance alpha - output is premultiplied */
+
+    static FLOATS_PER_INSTANCE = 7; /* x, y, radius, r, g, b, a */
+
+    constructor(hudCanvas, worldWidth, worldHeight) { /* GL layer is inserted under the game canvas, which becomes the HUD layer */
+        const glCanvas = document.createElement('canvas'); /* Dedicated surface - a canvas holds only one context type */
+        glCanvas.className = 'gl-layer'; /* Positioned under the HUD canvas by CSS */
+        super(glCanvas, worldWidth, worldHeight); /* Viewport code sizes the GL surface */
+        hudCanvas.parentNode.insertBefore(glCanvas, hudCanvas); /* Below HUD in document order */
+        try {
+            this.initializeContext(); /* Context, instancing and shaders */
+        } catch (error) { /* Leave the page as it was so the fallback backend starts clean */
+            glCanvas.remove(); /* Drop unused surface */
+            throw error; /* Let GameRenderer.create fall back */
+        }
+        this.hud = new Canvas2DRenderer(hudCanvas, worldWidth, worldHeight, { transparent: true }); /* Text, screens and decorations */
+        this.colorCache = new Map(); /* CSS color -> [r, g, b, a] */
+        this.instanceCount = 0; /* Circles queued this frame */
+        this.instanceData = new Float32Array(CONFIG.RENDERING.INITIAL_INSTANCES * WebGLRenderer.FLOATS_PER_INSTANCE); /* Reused instance buffer */
+        this.batchStats.quantized = false; /* Opacity is per instance - fills counts instanced draws */
+    }
+
+    initializeContext() { /* Acquire WebGL with instancing, compile shaders and set up buffers */
+        const options = { alpha: false, antialias: false, premultipliedAlpha: true }; /* Opaque surface - shader antialiases edges */
+        const gl = this.canvas.getContext('webgl2', options) || this.canvas.getContext('webgl', options); /* Prefer WebGL 2 */
+        if (!gl) throw new Error('WebGL is not available'); /* Disabled or unsupported */
+        this.gl = gl; /* Keep context */
+        if (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) { /* Instancing is core in WebGL 2 */
+            this.vertexAttribDivisor = (index, divisor) => gl.vertexAttribDivisor(index, divisor); /* Per-instance attributes */
+            this.drawArraysInstanced = (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances); /* Instanced draw */
+        } else {
+            const instancing = gl.getExtension('ANGLE_instanced_arrays'); /* WebGL 1 extension */
+            if (!instancing) throw new Error('WebGL instancing is not available'); /* Too old to batch */
+            this.vertexAttribDivisor = (index, divisor) => instancing.vertexAttribDivisorANGLE(index, divisor); /* Per-instance attributes */
+            this.drawArraysInstanced = (mode, first, count, instances) => instancing.drawArraysInstancedANGLE(mode, first, count, instances); /* Instanced draw */
+        }
+        this.program = this.createProgram(WebGLRenderer.VERTEX_SHADER, WebGLRenderer.FRAGMENT_SHADER); /* Circle program */
+        gl.useProgram(this.program); /* Only program in use */
+        this.uniforms = { /* Uniform locations */
+            scale: gl.getUniformLocation(this.program, 'u_scale'), /* World to clip scale */
+            offset: gl.getUniformLocation(this.program, 'u_offset'), /* World to clip offset */
+            pixelsPerUnit: gl.getUniformLocation(this.program, 'u_pixelsPerUnit') /* Edge softness */
+        };
+        this.createBuffers(); /* Quad and instance buffers */
+        gl.enable(gl.BLEND); /* Per-instance alpha */
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); /* Premultiplied alpha blending */
+    }
+
+    compileShader(type, source) { /* Compile one shader stage */
+        const gl = this.gl; /* Context */
+        const shader = gl.createShader(type); /* New shader */
+        gl.shaderSource(shader, source); /* Attach source */
+        gl.compileShader(shader); /* Compile */
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) { /* Driver rejected it */
+            throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`); /* Report driver message */
+        }
+        return shader; /* Compiled stage */
+    }
+
+    createProgram(vertexSource, fragmentSource) { /* Link vertex and fragment stages */
+        const gl = this.gl; /* Context */
+        const program = gl.createProgram(); /* New program */
+        gl.attachShader(program, this.compileShader(gl.VERTEX_SHADER, vertexSource)); /* Vertex stage */
+        gl.attachShader(program, this.compileShader(gl.FRAGMENT_SHADER, fragmentSource)); /* Fragment stage */
+        gl.linkProgram(program); /* Link */
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) { /* Stages do not fit together */
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`); /* Report driver message */
+        }
+        return program; /* Linked program */
+    }
+
+    createBuffers() { /* Static quad corners and the dynamic per-instance buffer */
+        const gl = this.gl; /* Context */
+        const stride = WebGLRenderer.FLOATS_PER_INSTANCE * 4; /* Bytes per instance */
+        const cornerLocation = gl.getAttribLocation(this.program, 'a_corner'); /* Quad corner attribute */
+        const circleLocation = gl.getAttribLocation(this.program, 'a_circle'); /* Position and radius attribute */
+        const colorLocation = gl.getAttribLocation(this.program, 'a_color'); /* Color attribute */
+
+        this.cornerBuffer = gl.createBuffer(); /* Unit quad */
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer); /* Select quad buffer */
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW); /* Triangle strip corners */
+        gl.enableVertexAttribArray(cornerLocation); /* Enable corner attribute */
+        gl.vertexAttribPointer(cornerLocation, 2, gl.FLOAT, false, 0, 0); /* Two floats per corner */
+
+        this.instanceBuffer = gl.createBuffer(); /* Circles for this frame */
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer); /* Select instance buffer - stays bound */
+        gl.enableVertexAttribArray(circleLocation); /* Enable circle attribute */
+        gl.vertexAttribPointer(circleLocation, 3, gl.FLOAT, false, stride, 0); /* x, y, radius */
+        this.vertexAttribDivisor(circleLocation, 1); /* Advance once per instance */
+        gl.enableVertexAttribArray(colorLocation); /* Enable color attribute */
+        gl.vertexAttribPointer(colorLocation, 4, gl.FLOAT, false, stride, 12); /* r, g, b, a after the circle */
+        this.vertexAttribDivisor(colorLocation, 1); /* Advance once per instance */
+    }
+
+    resize(cssWidth, cssHeight, devicePixelRatio) { /* Size both layers identically */
+        super.resize(cssWidth, cssHeight, devicePixelRatio); /* GL surface */
+        this.hud.resize(cssWidth, cssHeight, devicePixelRatio); /* HUD surface */
+    }
+
+    setFitMode(fitMode) { /* Keep both layers on the same fit */
+        super.setFitMode(fitMode); /* GL viewport */
+        this.hud.setFitMode(fitMode); /* HUD viewport */
+    }
+
+    parseColor(color) { /* Resolve any CSS color to normalized RGBA once, using the HUD context as the parser */
+        let rgba = this.colorCache.get(color); /* Cached result */
+        if (rgba) return rgba; /* Seen before */
+        const ctx = this.hud.ctx; /* 2D context normalizes fillStyle to #rrggbb or rgba() */
+        ctx.fillStyle = '#000000'; /* Known value in case the color is invalid */
+        ctx.fillStyle = color; /* Browser parses named, hex and functional colors */
+        const normalized = String(ctx.fillStyle); /* Normalized form */
+        if (normalized[0] === '#') { /* Opaque color */
+            rgba = [1, 3, 5].map(start => parseInt(normalized.slice(start, start + 2), 16) / 255); /* Hex channels */
+            rgba.push(1); /* Fully opaque */
+        } else { /* rgba(r, g, b, a) */
+            const channels = normalized.slice(normalized.indexOf('(') + 1, -1).split(',').map(parseFloat); /* Numeric channels */
+            rgba = [channels[0] / 255, channels[1] / 255, channels[2] / 255, channels[3] ?? 1]; /* Normalize */
+        }
+        this.colorCache.set(color, rgba); /* Remember */
+        return rgba; /* Normalized color */
+    }
+
+    pushCircle(x, y, radius, rgba, opacity) { /* Queue one circle instance */
+        const stride = WebGLRenderer.FLOATS_PER_INSTANCE; /* Floats per instance */
+        if ((this.instanceCount + 1) * stride > this.instanceData.length) { /* Buffer full */
+            const grown = new Float32Array(this.instanceData.length * 2); /* Double capacity - rare, amortized */
+            grown.set(this.instanceData); /* Keep queued circles */
+            this.instanceData = grown; /* Use larger buffer from now on */
+        }
+        const offset = this.instanceCount * stride; /* Start of this instance */
+        const data = this.instanceData; /* Instance buffer */
+        data[offset] = x; /* Center X */
+        data[offset + 1] = y; /* Center Y */
+        data[offset + 2] = radius; /* Radius */
+        data[offset + 3] = rgba[0]; /* Red */
+        data[offset + 4] = rgba[1]; /* Green */
+        data[offset + 5] = rgba[2]; /* Blue */
+        data[offset + 6] = rgba[3] * opacity; /* Alpha per instance - no opacity bucketing */
+        this.instanceCount++; /* Count instance */
+    }
+
+    clear() { /* Paint letterbox and playfield, then clear the HUD layer */
+        const gl = this.gl; /* Context */
+        const viewport = this.viewport; /* Current mapping */
+        const letterbox = this.parseColor(CONFIG.COLORS.LETTERBOX); /* Bars outside the world */
+        const playfield = this.parseColor(CONFIG.COLORS.PLAYFIELD); /* World background */
+        const pixelScale = viewport.scale * viewport.pixelRatio; /* Device pixels per world unit */
+        this.resetBatchStats(); /* New frame */
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height); /* Whole surface */
+        gl.disable(gl.SCISSOR_TEST); /* Clear everything */
+        gl.clearColor(letterbox[0], letterbox[1], letterbox[2], 1); /* Letterbox color */
+        gl.clear(gl.COLOR_BUFFER_BIT); /* Fill surface */
+        gl.enable(gl.SCISSOR_TEST); /* Limit to world area - also clips zoomed and shaken content */
+        gl.scissor( /* World rectangle in device pixels, origin bottom-left */
+            Math.round(viewport.offsetX * viewport.pixelRatio),
+            Math.round(this.canvas.height - (viewport.offsetY * viewport.pixelRatio + this.worldHeight * pixelScale)),
+            Math.round(this.worldWidth * pixelScale),
+            Math.round(this.worldHeight * pixelScale));
+        gl.clearColor(playfield[0], playfield[1], playfield[2], 1); /* Playfield color */
+        gl.clear(gl.COLOR_BUFFER_BIT); /* Fill world */
+        this.hud.clear(); /* Transparent HUD layer with world border */
+    }
+
+    beginWorld(camera) { /* Compute the world-to-clip transform for this frame's camera */
+        const gl = this.gl; /* Context */
+        const viewport = this.viewport; /* Current mapping */
+        const pixelScale = viewport.scale * viewport.pixelRatio; /* Device pixels per world unit before zoom */
+        const clipX = 2 / this.canvas.width; /* Device pixels to clip units, X */
+        const clipY = 2 / this.canvas.height; /* Device pixels to clip units, Y */
+        const viewX = this.worldWidth / 2 + camera.shakeX - camera.x * camera.zoom; /* World origin in view units after camera */
+        const viewY = this.worldHeight / 2 + camera.shakeY - camera.y * camera.zoom; /* World origin in view units after camera */
+        gl.uniform2f(this.uniforms.scale, camera.zoom * pixelScale * clipX, -camera.zoom * pixelScale * clipY); /* Y flips for clip space */
+        gl.uniform2f(this.uniforms.offset, /* World origin in clip space */
+            (viewX * pixelScale + viewport.offsetX * viewport.pixelRatio) * clipX - 1,
+            1 - (viewY * pixelScale + viewport.offsetY * viewport.pixelRatio) * clipY);
+        gl.uniform1f(this.uniforms.pixelsPerUnit, camera.zoom * pixelScale); /* One device pixel of edge softness */
+        this.instanceCount = 0; /* Start a new batch */
+        this.hud.beginWorld(camera); /* Decorations follow the same camera */
+    }
+
+    endWorld() { /* Upload and draw every queued circle in one call */
+        const gl = this.gl; /* Context */
+        if (this.instanceCount > 0) { /* Something to draw */
+            gl.bufferData(gl.ARRAY_BUFFER, this.instanceData, gl.DYNAMIC_DRAW); /* Upload instances */
+            this.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this.instanceCount); /* One quad per circle */
+            this.batchStats.fills++; /* One instanced draw for the whole world layer */
+        }
+        this.hud.endWorld(); /* HUD back to screen space */
+    }
+
+    drawPlayer(player, alpha = 1) { /* Queue the player circle */
+        this.pushCircle( /* Opaque player */
+            this.interpolate(player.previousX, player.x, alpha), /* Interpolated X between steps */
+            this.interpolate(player.previousY, player.y, alpha), /* Interpolated Y between steps */
+            player.size, this.parseColor(player.color), 1);
+    }
+
+    drawTargets(targets, alpha, targetTypes) { /* Queue target circles with exact opacity, then draw type decorations on the HUD layer */
+        this.bucketTargetsByType(targets, targetTypes); /* Group by type for colors and decorators */
+        targetTypes.typeIds.forEach(typeId => { /* Each type in registration order */
+            const bucket = this.targetBuckets[typeId]; /* Targets of this type */
+            if (bucket.length === 0) return; /* Nothing to draw */
+            const rgba = this.parseColor(targetTypes.get(typeId).color); /* Type color */
+            for (let i = 0; i < bucket.length; i++) { /* Indexed loop avoids closure allocation */
+                const target = bucket[i]; /* Current target */
+                this.pushCircle( /* Fading target */
+                    this.interpolate(target.previousX, target.x, alpha), /* Interpolated X between steps */
+                    this.interpolate(target.previousY, target.y, alpha), /* Interpolated Y between steps */
+                    target.radius, rgba, target.currentOpacity);
+            }
+            const decorate = this.hud.targetDecorators[typeId]; /* Optional per-type overlay */
+            if (decorate) this.hud.decorateTargets(bucket, alpha, decorate); /* Draw overlay on HUD layer */
+        });
+        this.hud.ctx.globalAlpha = 1; /* Restore HUD opacity */
+    }
+
+    drawProjectiles(projectiles, alpha = 1) { /* Queue projectile circles in their owners' colors */
+        for (let i = 0; i < projectiles.length; i++) { /* Indexed loop avoids closure allocation */
+            const projectile = projectiles[i]; /* Current projectile */
+            this.pushCircle( /* Opaque projectile */
+                this.interpolate(projectile.previousX, projectile.x, alpha), /* Interpolated X between steps */
+                this.interpolate(projectile.previousY, projectile.y, alpha), /* Interpolated Y between steps */
+                projectile.radius, this.parseColor(projectile.color), 1);
+        }
+    }
+
+    drawParticles(particles) { /* Queue particle circles with exact opacity - same instanced draw as everything else */
+        for (let i = 0; i < particles.length; i++) { /* Indexed loop avoids closure allocation */
+            const particle = particles[i]; /* Current particle */
+            this.pushCircle(particle.x, particle.y, particle.radius, this.parseColor(particle.color), particle.currentOpacity); /* Fading particle */
+        }
+    }
+
+    drawScorePopups(popups) { /* HUD layer, inside the world transform */
+        this.hud.drawScorePopups(popups); /* Delegate text */
+    }
+
+    drawRoundHud(round) { /* HUD layer */
+        this.hud.drawRoundHud(round); /* Delegate text */
+    }
+
+    drawComboHud(scoreKeeper) { /* HUD layer */
+        this.hud.drawComboHud(scoreKeeper); /* Delegate text */
+    }
+
+    drawWeaponHud(weaponSystem) { /* HUD layer */
+        this.hud.drawWeaponHud(weaponSystem); /* Delegate text */
+    }
+
+    drawScoreboard(players, names) { /* HUD layer */
+        this.hud.drawScoreboard(players, names); /* Delegate text */
+    }
+
+    drawWaveBanner(waveDirector) { /* HUD layer */
+        this.hud.drawWaveBanner(waveDirector); /* Delegate text */
+    }
+
+    drawTouchJoystick(baseX, baseY, knobX, knobY, radius) { /* HUD layer */
+        this.hud.drawTouchJoystick(baseX, baseY, knobX, knobY, radius); /* Delegate shapes */
+    }
+
+    drawMenuScreen(modeKeys, selectedMode, playerSetup) { /* HUD layer */
+        this.hud.drawMenuScreen(modeKeys, selectedMode, playerSetup); /* Delegate screen */
+    }
+
+    drawPauseScreen() { /* HUD layer */
+        this.hud.drawPauseScreen(); /* Delegate screen */
+    }
+
+    drawGameOverScreen(summary, names) { /* HUD layer */
+        this.hud.drawGameOverScreen(summary, names); /* Delegate screen */
+    }
+
+    drawDebugGrid(grid) { /* HUD layer, inside the world transform */
+        this.hud.drawDebugGrid(grid); /* Delegate lines */
+    }
+
+    drawDebugBatches(targets, alpha) { /* HUD layer, inside the world transform */
+        this.hud.drawDebugBatches(targets, alpha, false); /* Every target shares the single instanced batch */
+    }
+
+    drawDebugOverlay(profiler, stats) { /* HUD layer */
+        this.hud.drawDebugOverlay(profiler, stats, this.batchStats); /* Report this backend's batching, not the HUD's */
+    }
+}
+
+GameRenderer.BACKENDS.webgl = WebGLRenderer; /* Register backend */
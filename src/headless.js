@@ -0,0 +1,41 @@
+/* Node entry point for the simulation core - usage: const { GameSimulation } = require('./src/headless'); */
+
+const fs = require('fs'); /* Read browser scripts from disk */
+const path = require('path'); /* Resolve script paths relative to this file */
+const vm = require('vm'); /* Evaluate scripts in the shared global scope like <script> tags do */
+
+const HEADLESS_SCRIPTS = [ /* DOM-free scripts in index.html load order - never add browser-only files here */
+    'config/gameConfig.js', /* CONFIG object */
+    'config/waveConfig.js', /* WAVE_CONFIG */
+    'config/waveSchema.js', /* WAVE_SCHEMA */
+    'config/configSchema.js', /* CONFIG_SCHEMA */
+    'config/configPresets.js', /* CONFIG_PRESETS */
+    'utils/random.js', /* SeededRandom */
+    'utils/clock.js', /* SimulationClock */
+    'utils/pool.js', /* ObjectPool */
+    'utils/entityStore.js', /* EntityStore */
+    'utils/collision.js', /* SpatialGrid */
+    'utils/schemaValidator.js', /* SchemaValidator */
+    'utils/frameProfiler.js', /* FrameProfiler - uses the global performance timer Node also provides */
+    'systems/targetTypeRegistry.js', /* TargetTypeRegistry */
+    'systems/waveDirector.js', /* WaveDirector */
+    'systems/weaponSystem.js', /* WeaponSystem */
+    'systems/scoreKeeper.js', /* ScoreKeeper */
+    'systems/leaderboard.js', /* Leaderboard - storage is optional, exportToFile is browser-only */
+    'core/simulation.js', /* GameSimulation */
+    'systems/replayRecorder.js', /* ReplayRecorder - exportToFile is browser-only, toJSON is not */
+    'systems/replayPlayer.js', /* ReplayPlayer */
+    'systems/stressTest.js', /* StressTest */
+    'systems/configManager.js', /* ConfigManager - storage is optional, exportToFile is browser-only */
+    'systems/effectsSystem.js', /* EffectsSystem - needs any object with shake(intensity, duration) as its camera */
+    'systems/botController.js', /* BotController - reads the simulation and fills input frames */
+];
+
+HEADLESS_SCRIPTS.forEach(script => { /* Load each script once, in order */
+    const filename = path.join(__dirname, script); /* Absolute script path for stack traces */
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename }); /* Top-level classes become shared globals */
+});
+
+module.exports = vm.runInThisContext( /* Collect the loaded globals for require() callers */
+    '({ CONFIG, WAVE_CONFIG, SeededRandom, SimulationClock, ObjectPool, EntityStore, SpatialGrid, SchemaValidator, FrameProfiler, TargetTypeRegistry, WaveDirector, WeaponSystem, ScoreKeeper, Leaderboard, GameSimulation, ReplayRecorder, ReplayPlayer, StressTest, ConfigManager, CONFIG_SCHEMA, CONFIG_PRESETS, EffectsSystem, BotController })'
+);
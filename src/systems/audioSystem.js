@@ -0,0 +1,253 @@
+class AudioSystem { /* Procedural WebAudio sound effects - synthesized per event, panned by world X and voice-limited; volume and mute are saved locally */
+
+    static UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend']; /* Gestures browsers accept for starting audio - iOS needs touchend */
+
+    static validate(settingsData) { /* Check stored data is an audio settings record this build understands */
+        if (!settingsData || settingsData.format !== 'click-fire-audio') { /* Wrong or missing marker */
+            throw new Error('Not a Click & Fire audio settings record'); /* Reject foreign JSON */
+        }
+        if (settingsData.version !== CONFIG.AUDIO.FORMAT_VERSION) { /* Layout mismatch */
+            throw new Error(`Unsupported audio settings version ${settingsData.version} (expected ${CONFIG.AUDIO.FORMAT_VERSION})`); /* Reject old/new formats */
+        }
+        return settingsData; /* Valid settings */
+    }
+
+    static defaultSettings() { /* Fresh copy of the CONFIG volumes */
+        return { /* Owned copy - safe to edit */
+            masterVolume: CONFIG.AUDIO.MASTER_VOLUME, /* Overall volume */
+            sfxVolume: CONFIG.AUDIO.SFX_VOLUME, /* Sound effect bus volume */
+            muted: false /* Sound on */
+        };
+    }
+
+    static clampVolume(volume) { /* Keep a volume within 0 to 1 - NaN becomes 0 */
+        return Math.max(0, Math.min(1, Number(volume) || 0)); /* Clamped */
+    }
+
+    localpreaudio(worldWidth, storage) { /* Class local predeclaring, just for readability */
+        this.worldWidth = worldWidth; /* World width in world units - maps X to stereo pan */
+        this.storage = storage; /* Persistence backend - null keeps settings in memory only */
+        this.settings = AudioSystem.defaultSettings(); /* { masterVolume, sfxVolume, muted } */
+        this.ContextClass = window.AudioContext || window.webkitAudioContext || null; /* Older Safari prefixes it */
+        this.context = null; /* AudioContext - created on the first user gesture, which browsers require */
+        this.masterGain = null; /* Overall volume and mute */
+        this.sfxGain = null; /* Sound effect bus */
+        this.noiseBuffer = null; /* One second of white noise shared by every noisy sound */
+        this.activeVoices = 0; /* Sounds started and not yet ended */
+        this.droppedVoices = 0; /* Sounds skipped because MAX_VOICES were playing */
+        this.lastStarted = new Map(); /* Sound settings -> context time it last started, for MIN_INTERVAL */
+        this.unlockHandler = () => this.unlock(); /* Kept so the gesture listeners can be removed */
+    }
+
+    setupUnlock() { /* Listen for the first gesture - audio cannot start before one */
+        if (!this.ContextClass) return; /* WebAudio unsupported - stay silent */
+        AudioSystem.UNLOCK_EVENTS.forEach(type => window.addEventListener(type, this.unlockHandler, true)); /* Capture so panels cannot swallow it */
+    }
+
+    constructor(worldWidth, storage = AudioSystem.defaultStorage()) { /* Load saved volumes and wait for a gesture */
+        this.localpreaudio(worldWidth, storage); /* Class local predeclaring, just for readability */
+        this.load(); /* Saved volumes over the defaults */
+        this.setupUnlock(); /* Context starts on the first gesture */
+    }
+
+    static defaultStorage() { /* Browser localStorage when available and permitted */
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null; /* Missing outside browsers */
+        } catch (error) {
+            return null; /* Access can throw when storage is disabled */
+        }
+    }
+
+    load() { /* Read saved volumes, keeping defaults for anything missing or invalid */
+        if (!this.storage) return; /* Nothing persisted without storage */
+        try {
+            const savedText = this.storage.getItem(CONFIG.AUDIO.STORAGE_KEY); /* Saved JSON */
+            if (!savedText) return; /* First visit */
+            const saved = AudioSystem.validate(JSON.parse(savedText)); /* Checked record */
+            if (typeof saved.masterVolume === 'number') this.settings.masterVolume = AudioSystem.clampVolume(saved.masterVolume); /* Overall volume */
+            if (typeof saved.sfxVolume === 'number') this.settings.sfxVolume = AudioSystem.clampVolume(saved.sfxVolume); /* Effect volume */
+            if (typeof saved.muted === 'boolean') this.settings.muted = saved.muted; /* Mute */
+        } catch (error) {
+            this.settings = AudioSystem.defaultSettings(); /* Corrupt or outdated data falls back to defaults */
+        }
+    }
+
+    save() { /* Write volumes to storage */
+        if (!this.storage) return; /* Nothing to persist to */
+        try {
+            this.storage.setItem(CONFIG.AUDIO.STORAGE_KEY, JSON.stringify({ /* Versioned so future layouts can be rejected cleanly */
+                format: 'click-fire-audio', /* Record type marker */
+                version: CONFIG.AUDIO.FORMAT_VERSION, /* Layout version */
+                ...this.settings /* Volumes and mute */
+            }));
+        } catch (error) {
+            /* Quota exceeded or storage disabled - keep the in-memory settings */
+        }
+    }
+
+    unlock() { /* Create or resume the context inside a gesture handler - listeners go once it runs */
+        if (!this.context) this.createGraph(); /* First gesture */
+        if (this.context.state === 'suspended') this.context.resume(); /* Autoplay policy or a backgrounded tab */
+        if (this.context.state === 'running') { /* Unlocked - some browsers only report it on a later gesture */
+            AudioSystem.UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.unlockHandler, true)); /* Stop listening */
+        }
+    }
+
+    createGraph() { /* Context, buses, limiter and the shared noise buffer */
+        const context = new this.ContextClass(); /* Starts suspended or running depending on the browser */
+        this.context = context; /* Keep context */
+        const limiter = context.createDynamicsCompressor(); /* Catches peaks the voice limit lets through */
+        limiter.threshold.value = CONFIG.AUDIO.LIMITER_THRESHOLD; /* Start compressing here */
+        limiter.ratio.value = 20; /* Hard limiting */
+        limiter.connect(context.destination); /* Speakers */
+        this.masterGain = context.createGain(); /* Overall volume and mute */
+        this.masterGain.connect(limiter); /* Into the limiter */
+        this.sfxGain = context.createGain(); /* Sound effect bus */
+        this.sfxGain.connect(this.masterGain); /* Into the master */
+        this.applyVolumes(); /* Saved volumes */
+
+        const length = context.sampleRate; /* One second */
+        this.noiseBuffer = context.createBuffer(1, length, context.sampleRate); /* Mono */
+        const samples = this.noiseBuffer.getChannelData(0); /* Sample array */
+        for (let i = 0; i < length; i++) samples[i] = Math.random() * 2 - 1; /* White noise - cosmetic, so the simulation RNG is not used */
+    }
+
+    applyVolumes() { /* Push settings into the gain nodes - smoothed to avoid clicks */
+        if (!this.context) return; /* Applied when the graph is built */
+        const now = this.context.currentTime; /* Context clock */
+        this.masterGain.gain.setTargetAtTime(this.settings.muted ? 0 : this.settings.masterVolume, now, 0.02); /* 20 ms glide */
+        this.sfxGain.gain.setTargetAtTime(this.settings.sfxVolume, now, 0.02); /* 20 ms glide */
+    }
+
+    setMasterVolume(volume) { /* Change overall volume, 0 to 1 */
+        this.settings.masterVolume = AudioSystem.clampVolume(volume); /* Clamp */
+        this.applyVolumes(); /* Hear it */
+        this.save(); /* Remember */
+    }
+
+    setSfxVolume(volume) { /* Change sound effect volume, 0 to 1 */
+        this.settings.sfxVolume = AudioSystem.clampVolume(volume); /* Clamp */
+        this.applyVolumes(); /* Hear it */
+        this.save(); /* Remember */
+    }
+
+    setMuted(muted) { /* Silence or restore all sound */
+        this.settings.muted = !!muted; /* Normalize */
+        this.applyVolumes(); /* Hear it */
+        this.save(); /* Remember */
+    }
+
+    toggleMute() { /* Flip mute */
+        this.setMuted(!this.settings.muted); /* Invert */
+        return this.settings.muted; /* New state */
+    }
+
+    pan(x) { /* Stereo position for a world X, -PAN_WIDTH (left) to PAN_WIDTH (right) */
+        const centered = Math.max(-1, Math.min(1, (x / this.worldWidth) * 2 - 1)); /* -1 at the left edge, 1 at the right */
+        return centered * CONFIG.AUDIO.PAN_WIDTH; /* Narrowed spread */
+    }
+
+    canStart(sound) { /* Whether a sound may start now - context running, not muted, under the voice limit and past MIN_INTERVAL */
+        if (!this.context || this.context.state !== 'running' || this.settings.muted) return false; /* Nothing audible */
+        if (this.activeVoices >= CONFIG.AUDIO.MAX_VOICES) { /* Too many sounds already */
+            this.droppedVoices++; /* Telemetry */
+            return false; /* Skip rather than clip */
+        }
+        const lastStart = this.lastStarted.get(sound); /* Previous start of this sound */
+        return lastStart === undefined || (this.context.currentTime - lastStart) * 1000 >= sound.MIN_INTERVAL; /* Rate limit per sound */
+    }
+
+    play(sound, x, pitch = 1, loudness = 1) { /* Synthesize one sound - a swept tone mixed with band-passed noise, enveloped and panned */
+        if (!this.canStart(sound)) return false; /* Skipped */
+        const context = this.context; /* Audio context */
+        const now = context.currentTime; /* Start time */
+        const end = now + sound.DURATION / 1000; /* Stop time */
+        this.lastStarted.set(sound, now); /* Rate limit */
+
+        const envelope = context.createGain(); /* Fast attack, exponential decay */
+        envelope.gain.setValueAtTime(0.0001, now); /* Silent start avoids a click */
+        envelope.gain.exponentialRampToValueAtTime(sound.VOLUME * loudness, now + 0.005); /* 5 ms attack */
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end); /* Decay to silence */
+        if (context.createStereoPanner) { /* Missing in some older browsers - those play centered */
+            const panner = context.createStereoPanner(); /* Left-right position */
+            panner.pan.value = this.pan(x); /* From world X */
+            envelope.connect(panner); /* Envelope into panner */
+            panner.connect(this.sfxGain); /* Panner into the effect bus */
+        } else {
+            envelope.connect(this.sfxGain); /* Centered */
+        }
+
+        let lastSource = null; /* Source whose end frees the voice */
+        if (sound.NOISE < 1) { /* Tonal part */
+            const oscillator = context.createOscillator(); /* Tone */
+            const toneGain = context.createGain(); /* Tone share */
+            oscillator.type = sound.WAVE; /* Shape */
+            oscillator.frequency.setValueAtTime(sound.FREQUENCY * pitch, now); /* Start pitch */
+            oscillator.frequency.exponentialRampToValueAtTime(sound.END_FREQUENCY * pitch, end); /* Sweep */
+            toneGain.gain.value = 1 - sound.NOISE; /* Mix */
+            oscillator.connect(toneGain); /* Tone into mix */
+            toneGain.connect(envelope); /* Mix into envelope */
+            oscillator.start(now); /* Play */
+            oscillator.stop(end); /* Free after decay */
+            lastSource = oscillator; /* Ends with the sound */
+        }
+        if (sound.NOISE > 0) { /* Noisy part */
+            const noise = context.createBufferSource(); /* Shared noise */
+            const filter = context.createBiquadFilter(); /* Tune the noise to the sound's pitch */
+            const noiseGain = context.createGain(); /* Noise share */
+            noise.buffer = this.noiseBuffer; /* White noise */
+            filter.type = 'bandpass'; /* Keep a band around the pitch */
+            filter.frequency.value = sound.FREQUENCY * pitch; /* Band center */
+            noiseGain.gain.value = sound.NOISE; /* Mix */
+            noise.connect(filter); /* Noise into filter */
+            filter.connect(noiseGain); /* Filter into mix */
+            noiseGain.connect(envelope); /* Mix into envelope */
+            noise.start(now, Math.random() * 0.5); /* Random offset so repeats differ */
+            noise.stop(end); /* Free after decay */
+            lastSource = noise; /* Ends with the sound */
+        }
+        this.activeVoices++; /* Voice in use */
+        lastSource.onended = () => this.activeVoices--; /* Voice free - both parts stop together */
+        return true; /* Started */
+    }
+
+    shotFired(weaponId, player, angle) { /* Simulation hook - pitch by weapon and by player momentum along the aim */
+        const settings = CONFIG.AUDIO.FIRE; /* Shot sound */
+        const along = (player.velocity.x * Math.cos(angle) + player.velocity.y * Math.sin(angle)) / CONFIG.PLAYER.MAX_SPEED; /* -1 running away from the aim, 1 running toward it */
+        const pitch = (settings.WEAPON_PITCH[weaponId] ?? 1) * (1 + settings.MOMENTUM_PITCH * Math.max(-1, Math.min(1, along))); /* Weapon voice plus momentum bend */
+        this.play(settings, player.x, pitch); /* From the player */
+    }
+
+    targetHit(target, destroyed, points) { /* Simulation hook - destroy pitch follows target size, armor clanks and penalties buzz */
+        if (!destroyed) { /* Armor absorbed the hit */
+            this.play(CONFIG.AUDIO.ARMOR, target.x); /* Clank */
+            return; /* Nothing destroyed */
+        }
+        if (points < 0) { /* Decoy or other penalty */
+            this.play(CONFIG.AUDIO.PENALTY, target.x); /* Buzz */
+            return; /* No reward sound */
+        }
+        const settings = CONFIG.AUDIO.HIT; /* Destroy sound */
+        const pitch = Math.max(settings.MIN_PITCH, Math.min(settings.MAX_PITCH, settings.REFERENCE_RADIUS / target.radius)); /* Smaller targets ring higher */
+        this.play(settings, target.x, pitch); /* From the target */
+    }
+
+    explosion(x) { /* Simulation hook - blast rumble */
+        this.play(CONFIG.AUDIO.EXPLOSION, x); /* From the impact */
+    }
+
+    targetExpired(target) { /* Simulation hook - missed target faded away */
+        this.play(CONFIG.AUDIO.EXPIRE, target.x); /* From where it vanished */
+    }
+
+    wallBounce(x, speed) { /* Simulation hook - louder for harder rebounds */
+        const settings = CONFIG.AUDIO.BOUNCE; /* Bounce sound */
+        if (speed < settings.MIN_SPEED) return; /* Leaning on the wall */
+        this.play(settings, x, 1, Math.min(1, speed / CONFIG.PLAYER.MAX_SPEED)); /* Volume by rebound speed */
+    }
+
+    comboRaised(multiplier, x) { /* Simulation hook - chime that climbs with the multiplier */
+        const settings = CONFIG.AUDIO.COMBO; /* Combo sound */
+        this.play(settings, x, 1 + (multiplier - 1) * settings.STEP_PITCH); /* Higher for bigger multipliers */
+    }
+}
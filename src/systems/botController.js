@@ -0,0 +1,187 @@
+class BotController { /* Computer player - picks targets by value and time left, leads its shots and steers by filling the same input frames people do */
+
+    static NO_TARGET = -1; /* targetHandle while idle - real handles are never negative */
+
+    constructor(simulation, player) { /* Drive one player of a simulation */
+        this.simulation = simulation; /* World being read */
+        this.player = player; /* Player whose input frame this bot fills */
+        this.random = new SeededRandom(simulation.seed + CONFIG.BOTS.SEED_OFFSET + player.index); /* Own RNG - bot choices must not shift spawns, and a round's bots repeat */
+        this.targetHandle = BotController.NO_TARGET; /* Store handle of the chosen target - goes stale when it dies */
+        this.targetSince = 0; /* Game time the current target was chosen - reaction delay counts from here */
+        this.lastRetarget = -Infinity; /* Game time of the last target evaluation */
+        this.lastShot = -Infinity; /* Game time of the last trigger pull */
+        this.lastWeaponSwitch = 0; /* Game time of the last random weapon pick */
+        this.aimError = 0; /* Angle offset for the next shot, re-rolled after every shot */
+        this.aim = { x: 0, y: 0, time: 0 }; /* Reused intercept solution - aim offset from the player and flight time in seconds */
+    }
+
+    get skill() { /* Difficulty settings, read live so config edits reach a running bot */
+        const skill = CONFIG.BOTS.DIFFICULTIES[CONFIG.BOTS.DIFFICULTY]; /* Selected level */
+        if (!skill) throw new Error(`Unknown bot difficulty "${CONFIG.BOTS.DIFFICULTY}"`); /* Typos in overrides must fail loudly */
+        return skill; /* Level settings */
+    }
+
+    get target() { /* Chosen target while it lives, otherwise null */
+        if (this.targetHandle === BotController.NO_TARGET) return null; /* Idle */
+        return this.simulation.targetStore.get(this.targetHandle); /* Null once destroyed, expired or recycled */
+    }
+
+    projectileSpeed() { /* Muzzle speed of the equipped weapon */
+        return this.player.weaponSystem.currentWeapon.SPEED ?? CONFIG.PROJECTILE.SPEED; /* Same fallback as createProjectile */
+    }
+
+    solveIntercept(target, out) { /* Aim offset that meets the target - false when the round cannot catch it */
+        const player = this.player; /* Shooter */
+        const weapon = player.weaponSystem.currentWeapon; /* Equipped weapon */
+        const momentum = weapon.MOMENTUM_TRANSFER ?? CONFIG.PROJECTILE.MOMENTUM_TRANSFER; /* Share of player velocity the round inherits */
+        const lead = this.skill.LEAD / CONFIG.PERFORMANCE.FIXED_TIMESTEP; /* Fraction of last step's motion, per second */
+        const relativeVelocityX = (target.x - target.previousX) * lead - player.velocity.x * momentum; /* Target motion as seen by the round's inherited drift */
+        const relativeVelocityY = (target.y - target.previousY) * lead - player.velocity.y * momentum; /* Target motion as seen by the round's inherited drift */
+        const offsetX = target.x - player.x; /* Target relative to shooter */
+        const offsetY = target.y - player.y; /* Target relative to shooter */
+        const speed = this.projectileSpeed(); /* Round speed before drift */
+
+        // |offset + relativeVelocity * t| = speed * t, solved for the earliest t > 0
+        const a = relativeVelocityX * relativeVelocityX + relativeVelocityY * relativeVelocityY - speed * speed; /* Quadratic coefficient */
+        const b = 2 * (offsetX * relativeVelocityX + offsetY * relativeVelocityY); /* Linear coefficient */
+        const c = offsetX * offsetX + offsetY * offsetY; /* Constant term */
+        let time; /* Flight time in seconds */
+        if (Math.abs(a) < 1e-6) { /* Target as fast as the round - linear case */
+            time = b < 0 ? -c / b : -1; /* Only closing targets can be caught */
+        } else { /* Usual case - round faster than target */
+            const discriminant = b * b - 4 * a * c; /* Real roots only */
+            if (discriminant < 0) return false; /* Target outruns the round */
+            const root = Math.sqrt(discriminant); /* Shared term */
+            const first = (-b - root) / (2 * a); /* One root */
+            const second = (-b + root) / (2 * a); /* Other root */
+            time = Math.min(first, second) > 0 ? Math.min(first, second) : Math.max(first, second); /* Earliest future meeting */
+        }
+        if (!(time > 0)) return false; /* Meeting lies in the past */
+        out.x = offsetX + relativeVelocityX * time; /* Predicted meeting point relative to shooter */
+        out.y = offsetY + relativeVelocityY * time; /* Predicted meeting point relative to shooter */
+        out.time = time; /* Flight time */
+        return true; /* Catchable */
+    }
+
+    scoreTarget(target, now) { /* Priority of a target - 0 for targets not worth or not able to shoot */
+        const simulation = this.simulation; /* World */
+        const type = simulation.targetTypes.get(target.type); /* Behavior and tuning */
+        const points = type.settings.SCORE; /* Base award */
+        if (!(points > 0)) return 0; /* Decoys and other penalties are left alone */
+        const timeLeft = target.lifespan - (now - target.creationTime); /* Milliseconds until it expires */
+        if (timeLeft <= 0) return 0; /* Expiring this step */
+        const distance = Math.hypot(target.x - this.player.x, target.y - this.player.y); /* Straight-line range */
+        const flightTime = distance / this.projectileSpeed() * 1000; /* Rough milliseconds for a round to arrive */
+        if (flightTime + this.skill.REACTION_TIME >= timeLeft) return 0; /* Gone before a shot could land */
+        const hitsNeeded = target.health > 0 ? target.health : 1; /* Armor takes several shots */
+        const urgency = 1 + CONFIG.BOTS.URGENCY_WEIGHT * (1 - timeLeft / target.lifespan); /* Favor targets about to count as misses */
+        return (points / hitsNeeded) * urgency / (1 + distance / CONFIG.BOTS.PREFERRED_RANGE); /* Value per shot, sooner and nearer first */
+    }
+
+    chooseTarget(now) { /* Pick the best target, keeping the current one unless another beats it */
+        const simulation = this.simulation; /* World */
+        const current = this.target; /* May be null */
+        let best = null; /* Highest priority so far */
+        let bestPriority = 0; /* Zero-priority targets are never chosen */
+        for (let i = 0; i < simulation.targets.length; i++) { /* Indexed loop avoids closure allocation */
+            const target = simulation.targets[i]; /* Candidate */
+            if (!simulation.targetStore.isAlive(target)) continue; /* Removed but not yet flushed */
+            const priority = this.scoreTarget(target, now); /* Worth and reachability */
+            if (priority > bestPriority) { /* New favorite */
+                best = target; /* Remember */
+                bestPriority = priority; /* Remember */
+            }
+        }
+        if (best === current) return; /* No change - keep the reaction timer running */
+        this.targetHandle = best ? simulation.targetStore.handleOf(best) : BotController.NO_TARGET; /* Handle survives recycling safely */
+        this.targetSince = now; /* New target needs a fresh reaction */
+    }
+
+    steer(goalX, goalY, out) { /* Fill the move axes to reach a point without overshooting - same acceleration and friction as people */
+        const player = this.player; /* Moved player */
+        const maxSpeed = CONFIG.PLAYER.MAX_SPEED; /* Speed cap */
+        const desiredVelocityX = Math.max(-maxSpeed, Math.min(maxSpeed, (goalX - player.x) * 3)); /* Slow down on approach */
+        const desiredVelocityY = Math.max(-maxSpeed, Math.min(maxSpeed, (goalY - player.y) * 3)); /* Slow down on approach */
+        let moveX = (desiredVelocityX - player.velocity.x) / maxSpeed * 4; /* Push toward the desired velocity */
+        let moveY = (desiredVelocityY - player.velocity.y) / maxSpeed * 4; /* Push toward the desired velocity */
+        const length = Math.hypot(moveX, moveY); /* Stick deflection */
+        const limit = this.skill.MOVE_SKILL; /* Weaker bots never push the stick all the way */
+        if (length > limit) { /* Clamp to the skill's circle */
+            moveX *= limit / length; /* Keep direction */
+            moveY *= limit / length; /* Keep direction */
+        }
+        out.moveX = moveX; /* Analog horizontal */
+        out.moveY = moveY; /* Analog vertical */
+    }
+
+    checkMagazines() { /* Throw if any of the player's magazines left 0..MAGAZINE - soak runs exist to surface this */
+        const weaponSystem = this.player.weaponSystem; /* Checked weapons */
+        for (let i = 0; i < weaponSystem.weaponIds.length; i++) { /* Every slot, equipped or not */
+            const weaponId = weaponSystem.weaponIds[i]; /* Weapon */
+            const rounds = weaponSystem.magazines[weaponId]; /* Rounds left */
+            const capacity = CONFIG.WEAPONS[weaponId].MAGAZINE; /* Full magazine */
+            if (!(rounds >= 0 && rounds <= capacity)) throw new Error(`BotController: ${weaponId} magazine of player ${this.player.index + 1} out of range (${rounds}/${capacity})`); /* Weapon bookkeeping bug */
+        }
+    }
+
+    update(out) { /* Fill an input frame for the next step - out: { moveX, moveY, fireRequested, fireHeld, aimX, aimY, weaponSlot, reloadRequested } */
+        const simulation = this.simulation; /* World */
+        const player = this.player; /* Controlled player */
+        const weaponSystem = player.weaponSystem; /* Controlled weapons */
+        const skill = this.skill; /* Difficulty */
+        const now = simulation.time; /* Game time - bots never read the wall clock */
+        out.fireRequested = false; /* Set below when a shot is due */
+        out.fireHeld = false; /* Bots tap the trigger, even on automatics */
+        out.reloadRequested = false; /* Set below when idle and low */
+        out.weaponSlot = 0; /* Set below on a random pick */
+        if (skill.CHECK_MAGAZINES && CONFIG.POOLS.DEBUG_CHECKS) this.checkMagazines(); /* Soak assertions */
+
+        if (skill.WEAPON_SWITCH_INTERVAL > 0 && now - this.lastWeaponSwitch >= skill.WEAPON_SWITCH_INTERVAL) { /* Soak testing every weapon */
+            this.lastWeaponSwitch = now; /* Restart interval */
+            out.weaponSlot = 1 + Math.floor(this.random.next() * weaponSystem.weaponIds.length); /* Any slot */
+        }
+
+        if (!this.target || now - this.lastRetarget >= CONFIG.BOTS.RETARGET_INTERVAL) { /* Lost the target or due a rethink */
+            this.lastRetarget = now; /* Restart interval */
+            this.chooseTarget(now); /* Best current target */
+        }
+
+        const target = this.target; /* May still be null */
+        if (!target) { /* Nothing worth shooting */
+            this.steer(simulation.width * (player.index + 1) / (simulation.playerCount + 1), simulation.height * 0.75, out); /* Drift back to a home column */
+            const magazine = weaponSystem.magazines[weaponSystem.currentWeaponId]; /* Rounds left */
+            if (magazine < weaponSystem.currentWeapon.MAGAZINE * CONFIG.BOTS.RELOAD_BELOW) out.reloadRequested = true; /* Top up during the lull */
+            return out; /* Idle frame */
+        }
+
+        const distance = Math.hypot(target.x - player.x, target.y - player.y) || 1; /* Range, never zero */
+        const range = CONFIG.BOTS.PREFERRED_RANGE; /* Distance to hold */
+        const padding = CONFIG.PLAYER.BOUNDARY_PADDING; /* Walls */
+        const goalX = Math.max(padding, Math.min(simulation.width - padding, target.x + (player.x - target.x) / distance * range)); /* Back off or close in along the line to the target */
+        const goalY = Math.max(padding, Math.min(simulation.height - padding, target.y + (player.y - target.y) / distance * range)); /* Back off or close in along the line to the target */
+        this.steer(goalX, goalY, out); /* Move */
+
+        const aim = this.aim; /* Reused solution */
+        if (!this.solveIntercept(target, aim)) { /* Cannot catch it from here */
+            out.aimX = target.x; /* Look at it anyway */
+            out.aimY = target.y; /* Look at it anyway */
+            return out; /* Hold fire */
+        }
+        const cos = Math.cos(this.aimError); /* Rotate the solution by the current error */
+        const sin = Math.sin(this.aimError); /* Rotate the solution by the current error */
+        out.aimX = player.x + aim.x * cos - aim.y * sin; /* Aim point the weapon turns into an angle */
+        out.aimY = player.y + aim.x * sin + aim.y * cos; /* Aim point the weapon turns into an angle */
+
+        const ready = !weaponSystem.reloading && weaponSystem.cooldownRemaining === 0 /* Trigger would fire */
+            && weaponSystem.magazines[weaponSystem.currentWeaponId] > 0 && player.ammoRemaining > 0;
+        const reacted = now - this.targetSince >= skill.REACTION_TIME; /* Had time to see it */
+        const rested = now - this.lastShot >= skill.FIRE_INTERVAL; /* Not faster than the level allows */
+        const arrivesInTime = aim.time * 1000 < target.lifespan - (now - target.creationTime); /* Round lands before it expires */
+        if (ready && reacted && rested && arrivesInTime) { /* Shoot */
+            out.fireRequested = true; /* Pull the trigger this step */
+            this.lastShot = now; /* Restart interval */
+            this.aimError = this.random.range(-skill.AIM_ERROR, skill.AIM_ERROR); /* New wobble for the next shot */
+        }
+        return out; /* Filled frame */
+    }
+}
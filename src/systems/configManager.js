@@ -0,0 +1,247 @@
+class ConfigManager { /* Live CONFIG editing checked against CONFIG_SCHEMA - presets, localStorage, JSON files and URL overrides */
+
+    static validate(presetData) { /* Check imported data is a preset file this build understands */
+        if (!presetData || presetData.format !== 'click-fire-config') { /* Wrong or missing marker */
+            throw new Error('Not a Click & Fire config file'); /* Reject foreign JSON */
+        }
+        if (presetData.version !== CONFIG.TUNING.FORMAT_VERSION) { /* Layout mismatch */
+            throw new Error(`Unsupported config version ${presetData.version} (expected ${CONFIG.TUNING.FORMAT_VERSION})`); /* Reject old/new formats */
+        }
+        if (!presetData.presets || typeof presetData.presets !== 'object' || Array.isArray(presetData.presets)) { /* Missing payload */
+            throw new Error('Config file is missing presets'); /* Reject truncated files */
+        }
+        return presetData; /* Valid preset file */
+    }
+
+    static getPath(root, path) { /* Read a dotted path such as 'PLAYER.FRICTION' */
+        return path.split('.').reduce((node, key) => node?.[key], root); /* undefined when any part is missing */
+    }
+
+    static setPath(root, path, value) { /* Write a dotted path - parents must already exist */
+        const keys = path.split('.'); /* Path parts */
+        const parent = ConfigManager.getPath(root, keys.slice(0, -1).join('.')); /* Section object */
+        parent[keys[keys.length - 1]] = value; /* Assign leaf */
+    }
+
+    static collectFields(schema, prefix = '', fields = []) { /* Editable leaves of a schema - every node with a title, in schema order */
+        Object.keys(schema.properties ?? {}).forEach(key => { /* Walk children */
+            const node = schema.properties[key]; /* Child schema */
+            const path = prefix ? `${prefix}.${key}` : key; /* Dotted path */
+            if (node.title) fields.push({ path, schema: node }); /* Shown and editable */
+            else if (node.properties) ConfigManager.collectFields(node, path, fields); /* Section - recurse */
+        });
+        return fields; /* Flat list */
+    }
+
+    static parseValue(text, schema) { /* Convert text from a URL or form field to the schema's type */
+        if (schema.type === 'number' || schema.type === 'integer') return text.trim() === '' ? NaN : Number(text); /* NaN is rejected by checkOverrides */
+        if (schema.type === 'boolean') return text === 'true' || text === '1' ? true : text === 'false' || text === '0' ? false : text; /* Other text fails the type check */
+        return text; /* Strings stay as typed */
+    }
+
+    constructor(storage = ConfigManager.defaultStorage()) { /* Validate CONFIG and load saved presets - storage is any localStorage-like object or null */
+        SchemaValidator.assertValid(CONFIG, CONFIG_SCHEMA, 'CONFIG'); /* Refuse to run on malformed config */
+        this.storage = storage; /* Persistence backend - null keeps presets in memory only */
+        this.fields = ConfigManager.collectFields(CONFIG_SCHEMA); /* Editable and derived values */
+        this.fieldsByPath = Object.create(null); /* Path -> field - no prototype, so user-supplied paths like "constructor" find nothing */
+        this.defaults = Object.create(null); /* Path -> value from gameConfig.js, for reset and for diffing presets - no prototype, like fieldsByPath */
+        this.fields.forEach(field => { /* Index fields and snapshot defaults */
+            this.fieldsByPath[field.path] = field; /* Lookup */
+            this.defaults[field.path] = ConfigManager.getPath(CONFIG, field.path); /* Starting value */
+        });
+        Object.keys(CONFIG_PRESETS).forEach(name => { /* Built-in presets must be valid too */
+            const errors = this.checkOverrides(CONFIG_PRESETS[name]); /* Problems in this preset */
+            if (errors.length > 0) throw new Error(`Invalid config preset "${name}":\n  ${errors.join('\n  ')}`); /* One line per problem */
+        });
+        this.presets = {}; /* Name -> overrides saved by the user */
+        this.listeners = []; /* Change handlers */
+        this.load(); /* Read saved presets */
+    }
+
+    static defaultStorage() { /* Browser localStorage when available and permitted */
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null; /* Missing outside browsers */
+        } catch (error) {
+            return null; /* Access can throw when storage is disabled */
+        }
+    }
+
+    load() { /* Read saved presets from storage, ignoring anything unreadable */
+        if (!this.storage) return; /* Nothing persisted */
+        try {
+            const savedText = this.storage.getItem(CONFIG.TUNING.STORAGE_KEY); /* Saved JSON */
+            if (savedText) this.mergePresets(ConfigManager.validate(JSON.parse(savedText)).presets); /* Restore saved presets */
+        } catch (error) {
+            this.presets = {}; /* Corrupt or outdated data starts with no saved presets */
+        }
+    }
+
+    save() { /* Write saved presets to storage */
+        if (!this.storage) return; /* Nothing to persist to */
+        try {
+            this.storage.setItem(CONFIG.TUNING.STORAGE_KEY, JSON.stringify(this.toJSON())); /* Persist presets */
+        } catch (error) {
+            /* Quota exceeded or storage disabled - keep the in-memory presets */
+        }
+    }
+
+    onChange(handler) { /* Register handler(paths) called after values change */
+        this.listeners.push(handler); /* Called in registration order */
+    }
+
+    get(path) { /* Current value of a field */
+        return ConfigManager.getPath(CONFIG, path); /* Live value */
+    }
+
+    checkOverrides(overrides) { /* Return list of error strings for a path -> value map - empty list means every value may be applied */
+        const errors = []; /* Collected problems */
+        Object.keys(overrides).forEach(path => { /* Check each override */
+            const field = this.fieldsByPath[path]; /* Schema entry */
+            const value = overrides[path]; /* Proposed value */
+            if (!field) errors.push(`${path}: not an editable setting`); /* Unknown or uncovered path */
+            else if (field.schema.readOnly) errors.push(`${path}: derived from other settings`); /* Would be overwritten or break the getter */
+            else if (typeof value === 'number' && !Number.isFinite(value)) errors.push(`${path}: must be a finite number`); /* NaN passes range checks */
+            else SchemaValidator.checkNode(value, field.schema, path, errors); /* Type, enum and range */
+        });
+        return errors; /* Caller decides whether to throw */
+    }
+
+    apply(overrides) { /* Set several values at once - all or nothing - and notify listeners; returns the paths that changed */
+        const errors = this.checkOverrides(overrides); /* Validate everything first */
+        if (errors.length > 0) { /* Invalid values must not reach the game */
+            throw new Error(`Invalid config overrides:\n  ${errors.join('\n  ')}`); /* One line per problem */
+        }
+        const changed = Object.keys(overrides).filter(path => this.get(path) !== overrides[path]); /* Skip no-op writes */
+        changed.forEach(path => ConfigManager.setPath(CONFIG, path, overrides[path])); /* Mutate live config */
+        if (changed.length > 0) this.listeners.forEach(handler => handler(changed)); /* Let the game react */
+        return changed; /* Paths whose value moved */
+    }
+
+    set(path, value) { /* Set one value */
+        return this.apply({ [path]: value }); /* Same checks as a preset */
+    }
+
+    editableDefaults() { /* Default value of every field that may be written */
+        const overrides = {}; /* Path -> default */
+        this.fields.forEach(field => { /* Skip derived values */
+            if (!field.schema.readOnly) overrides[field.path] = this.defaults[field.path]; /* Starting value */
+        });
+        return overrides; /* Ready for apply */
+    }
+
+    resetToDefaults() { /* Restore every field to gameConfig.js */
+        return this.apply(this.editableDefaults()); /* One notification */
+    }
+
+    getOverrides() { /* Fields that differ from the defaults - what a saved preset stores */
+        const overrides = {}; /* Path -> current value */
+        this.fields.forEach(field => { /* Compare each editable field */
+            const value = this.get(field.path); /* Current value */
+            if (!field.schema.readOnly && value !== this.defaults[field.path]) overrides[field.path] = value; /* Changed */
+        });
+        return overrides; /* Minimal diff */
+    }
+
+    isBuiltIn(name) { /* Whether a preset ships with the game and cannot be overwritten */
+        return Object.prototype.hasOwnProperty.call(CONFIG_PRESETS, name); /* Own keys only */
+    }
+
+    presetNames() { /* Built-in presets followed by saved ones */
+        return [...Object.keys(CONFIG_PRESETS), ...Object.keys(this.presets).sort()]; /* Saved names alphabetically */
+    }
+
+    getPreset(name) { /* Overrides stored under a name, or null */
+        if (this.isBuiltIn(name)) return CONFIG_PRESETS[name]; /* Shipped preset */
+        return Object.prototype.hasOwnProperty.call(this.presets, name) ? this.presets[name] : null; /* Saved preset */
+    }
+
+    loadPreset(name) { /* Reset to defaults with a preset on top */
+        const preset = this.getPreset(name); /* Stored overrides */
+        if (!preset) throw new Error(`Unknown config preset "${name}"`); /* Surface typos in URLs */
+        return this.apply({ ...this.editableDefaults(), ...preset }); /* Values the preset omits go back to default */
+    }
+
+    savePreset(name) { /* Store the current differences from the defaults under a name */
+        const trimmed = String(name ?? '').trim(); /* Ignore stray spaces */
+        if (!trimmed) throw new Error('Preset name is empty'); /* Nothing to key on */
+        if (this.isBuiltIn(trimmed)) throw new Error(`"${trimmed}" is a built-in preset`); /* Built-ins stay as shipped */
+        this.presets[trimmed] = this.getOverrides(); /* Snapshot */
+        this.save(); /* Persist */
+        return trimmed; /* Name actually used */
+    }
+
+    deletePreset(name) { /* Forget a saved preset */
+        if (this.isBuiltIn(name)) throw new Error(`"${name}" is a built-in preset`); /* Built-ins stay as shipped */
+        delete this.presets[name]; /* Drop it */
+        this.save(); /* Persist */
+    }
+
+    mergePresets(presets) { /* Add presets from storage or a file, skipping built-in names; returns how many were stored */
+        let stored = 0; /* Presets accepted */
+        Object.keys(presets).forEach(name => { /* Check each preset on its own */
+            if (this.isBuiltIn(name)) return; /* Exported built-ins come back unchanged */
+            const preset = presets[name]; /* Overrides */
+            if (!preset || typeof preset !== 'object' || Array.isArray(preset)) throw new Error(`Preset "${name}" is not an object`); /* Malformed entry */
+            const errors = this.checkOverrides(preset); /* Stale or hand-edited values */
+            if (errors.length > 0) throw new Error(`Invalid config preset "${name}":\n  ${errors.join('\n  ')}`); /* One line per problem */
+            this.presets[name] = preset; /* Keep - same name replaces */
+            stored++; /* Count */
+        });
+        return stored; /* Presets added or replaced */
+    }
+
+    toJSON(name) { /* Serializable preset document - one preset when named, else every saved preset */
+        return { /* Versioned so future layouts can be rejected cleanly */
+            format: 'click-fire-config', /* File type marker */
+            version: CONFIG.TUNING.FORMAT_VERSION, /* Layout version */
+            exportedAt: new Date().toISOString(), /* When the file was written */
+            presets: name === undefined ? this.presets : { [name]: this.getPreset(name) ?? this.getOverrides() } /* Unsaved edits export as the named preset */
+        };
+    }
+
+    importJSON(jsonText) { /* Add presets from an exported file */
+        const stored = this.mergePresets(ConfigManager.validate(JSON.parse(jsonText)).presets); /* Validate then merge */
+        this.save(); /* Persist */
+        return stored; /* Presets added or replaced */
+    }
+
+    exportToFile(name) { /* Download one preset, or the current values when name is not a preset, as a JSON file */
+        const presetBlob = new Blob([JSON.stringify(this.toJSON(name), null, 2)], { type: 'application/json' }); /* Serialize - indented for hand editing */
+        const downloadLink = document.createElement('a'); /* Temporary link to trigger download */
+        downloadLink.href = URL.createObjectURL(presetBlob); /* Point link at blob */
+        downloadLink.download = `config-${name}.json`; /* Default filename */
+        downloadLink.click(); /* Start download */
+        URL.revokeObjectURL(downloadLink.href); /* Free blob URL */
+    }
+
+    applyQuery(search) { /* Apply ?preset=name, ?config={json} and ?PLAYER.FRICTION=3 style overrides, in that order; returns error strings */
+        const params = new URLSearchParams(search); /* Parsed query */
+        const errors = []; /* Problems - a bad parameter must not stop the game loading */
+        const presetName = params.get(CONFIG.TUNING.QUERY_PRESET); /* Named preset */
+        if (presetName !== null) { /* Preset requested */
+            try {
+                this.loadPreset(presetName); /* Base for the other parameters */
+            } catch (error) {
+                errors.push(error.message); /* Unknown name */
+            }
+        }
+        const configText = params.get(CONFIG.TUNING.QUERY_CONFIG); /* JSON overrides */
+        if (configText !== null) { /* Overrides requested */
+            try {
+                this.apply(JSON.parse(configText)); /* Path -> value object */
+            } catch (error) {
+                errors.push(`${CONFIG.TUNING.QUERY_CONFIG}: ${error.message}`); /* Bad JSON or values */
+            }
+        }
+        params.forEach((text, path) => { /* Single-value overrides */
+            const field = this.fieldsByPath[path]; /* Schema entry */
+            if (!field) return; /* Unrelated parameter */
+            try {
+                this.set(path, ConfigManager.parseValue(text, field.schema)); /* Typed value */
+            } catch (error) {
+                errors.push(error.message); /* Out of range or wrong type */
+            }
+        });
+        return errors; /* Empty when every parameter applied */
+    }
+}
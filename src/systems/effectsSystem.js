@@ -0,0 +1,202 @@
+class EffectsSystem { /* Pooled particles, score popups and screen shake - fed by GameSimulation events, purely cosmetic */
+
+    initializePools() { /* Set up particle and popup pools sized to the effect budget */
+        this.particlePool = new ObjectPool(() => ({ /* Create particle pool with factory function */
+            x: 0, /* Current x position */
+            y: 0, /* Current y position */
+            previousX: 0, /* X position before the last update - renderers draw at alpha 1 */
+            previousY: 0, /* Y position before the last update */
+            velocity: { x: 0, y: 0 }, /* World units per second */
+            radius: 0, /* Current radius */
+            startRadius: 0, /* Radius at birth */
+            endRadius: 0, /* Radius at end of life */
+            age: 0, /* Milliseconds lived */
+            lifespan: 0, /* Milliseconds until removal */
+            drag: 0, /* Velocity damping rate per second */
+            color: CONFIG.COLORS.PROJECTILE_TRAIL, /* Fill color - renderers batch by it */
+            currentOpacity: 1 /* Fades to zero over life */
+        }), { /* Budget from CONFIG.POOLS.PARTICLES */
+            initialSize: CONFIG.POOLS.PARTICLES.PEAK, /* Pre-warm */
+            maxSize: CONFIG.POOLS.PARTICLES.MAX_SIZE, /* Particle budget */
+            overflow: CONFIG.POOLS.PARTICLES.OVERFLOW, /* Behavior when the budget is spent */
+            onEvict: particle => this.particleStore.detach(particle), /* Oldest particle reclaimed */
+            debugChecks: CONFIG.POOLS.DEBUG_CHECKS /* Lifecycle assertions */
+        });
+        this.popupPool = new ObjectPool(() => ({ /* Create popup pool with factory function */
+            x: 0, /* Text center X */
+            y: 0, /* Text center Y - rises over life */
+            age: 0, /* Milliseconds lived */
+            lifespan: 0, /* Milliseconds until removal */
+            text: '', /* Cached label such as "+25" */
+            color: CONFIG.COLORS.SCORE_POPUP, /* Text color */
+            currentOpacity: 1 /* Fades to zero at the end of life */
+        }), { /* Budget from CONFIG.POOLS.POPUPS */
+            initialSize: CONFIG.POOLS.POPUPS.PEAK, /* Pre-warm */
+            maxSize: CONFIG.POOLS.POPUPS.MAX_SIZE, /* Popup budget */
+            overflow: CONFIG.POOLS.POPUPS.OVERFLOW, /* Behavior when full */
+            onEvict: popup => this.popupStore.detach(popup), /* Oldest popup reclaimed */
+            debugChecks: CONFIG.POOLS.DEBUG_CHECKS /* Lifecycle assertions */
+        });
+        this.pools = { particles: this.particlePool, popups: this.popupPool }; /* Every pool by name - read by getPoolStats */
+
+        this.particleStore = new EntityStore(particle => this.particlePool.release(particle)); /* Live particles - deferred removal */
+        this.popupStore = new EntityStore(popup => this.popupPool.release(popup)); /* Live popups - deferred removal */
+    }
+
+    constructor(camera) { /* Bind to the camera that shakes */
+        this.camera = camera; /* Receives shake() for hits and blasts */
+        this.random = new SeededRandom(1); /* Spray angles and sizes - separate from the simulation RNG so replays are unaffected */
+        this.popupLabels = new Map(); /* Points -> "+N" text, so repeated awards do not build new strings */
+        this.initializePools(); /* Set up pools and stores */
+    }
+
+    get particles() { /* Dense particle list for rendering */
+        return this.particleStore.active; /* Owned by the store - do not push or splice */
+    }
+
+    get popups() { /* Dense popup list for rendering */
+        return this.popupStore.active; /* Owned by the store - do not push or splice */
+    }
+
+    clear() { /* Drop every particle and popup - new round, menu or replay seek */
+        this.particleStore.clear(); /* Recycle particles */
+        this.popupStore.clear(); /* Recycle popups */
+    }
+
+    getPoolStats(out = {}) { /* Counters for both pools keyed by name - pass the same object each frame to avoid allocating */
+        for (const name in this.pools) { /* Particle and popup pools */
+            out[name] = this.pools[name].getStats(out[name]); /* Reuses the previous frame's entry */
+        }
+        return out; /* Same object passed in */
+    }
+
+    emit(emitter, x, y, direction, color, speedScale = 1, extraSpread = 0) { /* Spawn an emitter's particles in a cone around direction */
+        const halfSpread = (emitter.SPREAD + extraSpread) / 2; /* Cone half-angle */
+        for (let i = 0; i < emitter.COUNT; i++) { /* One particle at a time from the pool */
+            const particle = this.particlePool.get(); /* Recycled, evicted or new particle */
+            if (!particle) return; /* Budget spent and refusing - rest of the burst is skipped */
+            const angle = direction + this.random.range(-halfSpread, halfSpread); /* Direction within the cone */
+            const speed = this.random.range(emitter.SPEED_MIN, emitter.SPEED_MAX) * speedScale; /* Launch speed */
+            particle.x = x; /* Start at emitter X */
+            particle.y = y; /* Start at emitter Y */
+            particle.previousX = x; /* No trail from recycled position */
+            particle.previousY = y; /* No trail from recycled position */
+            particle.velocity.x = Math.cos(angle) * speed; /* Launch X velocity */
+            particle.velocity.y = Math.sin(angle) * speed; /* Launch Y velocity */
+            particle.startRadius = this.random.range(emitter.RADIUS_MIN, emitter.RADIUS_MAX); /* Birth size */
+            particle.endRadius = particle.startRadius * emitter.END_SCALE; /* Death size */
+            particle.radius = particle.startRadius; /* Current size */
+            particle.age = 0; /* Just born */
+            particle.lifespan = this.random.range(emitter.LIFESPAN_MIN, emitter.LIFESPAN_MAX); /* Varied so bursts thin out */
+            particle.drag = emitter.DRAG; /* Damping */
+            particle.color = color; /* Batch color */
+            particle.currentOpacity = 1; /* Fully visible */
+            this.particleStore.add(particle); /* Live from the next draw */
+        }
+    }
+
+    shake(settings) { /* Shake the camera by one CONFIG.EFFECTS.SHAKE entry */
+        const intensity = settings.INTENSITY * CONFIG.EFFECTS.SHAKE_SCALE; /* Scaled offset */
+        if (intensity > 0) this.camera.shake(intensity, settings.DURATION); /* Camera keeps the stronger shake */
+    }
+
+    popupLabel(points) { /* Cached "+N" or "-N" text for an award */
+        let label = this.popupLabels.get(points); /* Seen before */
+        if (label === undefined) { /* First award of this size */
+            label = points > 0 ? `+${points}` : `${points}`; /* Signed text */
+            this.popupLabels.set(points, label); /* Remember */
+        }
+        return label; /* Shared string */
+    }
+
+    spawnPopup(x, y, points) { /* Floating award text */
+        const popup = this.popupPool.get(); /* Recycled, evicted or new popup */
+        if (!popup) return; /* Pool full and refusing */
+        popup.x = x; /* Start over the target */
+        popup.y = y; /* Start over the target */
+        popup.age = 0; /* Just born */
+        popup.lifespan = CONFIG.EFFECTS.SCORE_POPUP.LIFESPAN; /* Time on screen */
+        popup.text = this.popupLabel(points); /* Cached label */
+        popup.color = points < 0 ? CONFIG.COLORS.PENALTY_POPUP : CONFIG.COLORS.SCORE_POPUP; /* Losses stand out */
+        popup.currentOpacity = 1; /* Fully visible */
+        this.popupStore.add(popup); /* Live from the next draw */
+    }
+
+    targetHit(target, color, destroyed, points) { /* Simulation hook - burst, popup and shake for a hit target */
+        if (!CONFIG.EFFECTS.ENABLED) return; /* Effects off */
+        const effects = CONFIG.EFFECTS; /* Emitter settings */
+        if (!destroyed) { /* Armor absorbed the hit */
+            this.emit(effects.HIT_SPARK, target.x, target.y, 0, CONFIG.COLORS.HIT_SPARK); /* Sparks */
+            this.shake(effects.SHAKE.HIT); /* Light shake */
+            return; /* No award to show */
+        }
+        this.emit(effects.EXPLOSION, target.x, target.y, 0, color); /* Burst in the target's color */
+        if (points !== 0) this.spawnPopup(target.x, target.y, points); /* Show the award */
+        this.shake(points < 0 ? effects.SHAKE.PENALTY : effects.SHAKE.KILL); /* Penalties jolt harder */
+    }
+
+    explosion(x, y, radius) { /* Simulation hook - fireball sized to the blast radius */
+        if (!CONFIG.EFFECTS.ENABLED) return; /* Effects off */
+        const blast = CONFIG.EFFECTS.BLAST; /* Emitter settings */
+        this.emit(blast, x, y, 0, CONFIG.COLORS.BLAST, radius / blast.REFERENCE_RADIUS); /* Larger blasts spray further */
+        this.shake(CONFIG.EFFECTS.SHAKE.EXPLOSION); /* Heavy shake */
+    }
+
+    muzzleFlash(player, angle, spread) { /* Simulation hook - sparks from the player's edge toward the aim */
+        if (!CONFIG.EFFECTS.ENABLED) return; /* Effects off */
+        const x = player.x + Math.cos(angle) * player.size; /* Edge of the player circle */
+        const y = player.y + Math.sin(angle) * player.size; /* Edge of the player circle */
+        this.emit(CONFIG.EFFECTS.MUZZLE_FLASH, x, y, angle, CONFIG.COLORS.MUZZLE_FLASH, 1, spread); /* Spread weapons flash wider */
+    }
+
+    emitTrails(projectiles) { /* One trail emission behind every live projectile */
+        const trail = CONFIG.EFFECTS.TRAIL; /* Emitter settings */
+        for (let i = 0; i < projectiles.length; i++) { /* Indexed loop avoids closure allocation */
+            const projectile = projectiles[i]; /* Current projectile */
+            const backwards = Math.atan2(-projectile.velocity.y, -projectile.velocity.x); /* Opposite travel */
+            this.emit(trail, projectile.x, projectile.y, backwards, CONFIG.COLORS.PROJECTILE_TRAIL); /* Dot at the projectile */
+        }
+    }
+
+    update(deltaMilliseconds, projectiles) { /* Emit trails, then age, move and fade everything - once per rendered frame while playing */
+        if (deltaMilliseconds <= 0) return; /* Frozen replay - nothing moves */
+        if (CONFIG.EFFECTS.ENABLED) this.emitTrails(projectiles); /* Before aging so eviction never hits the loop below */
+        const deltaSeconds = deltaMilliseconds / 1000; /* Velocities are per second */
+
+        const particles = this.particles; /* Dense list */
+        for (let i = 0; i < particles.length; i++) { /* Indexed loop avoids closure allocation */
+            const particle = particles[i]; /* Current particle */
+            particle.age += deltaMilliseconds; /* Grow older */
+            if (particle.age >= particle.lifespan) { /* Expired */
+                this.particleStore.remove(particle); /* Dropped at the flush below */
+                continue; /* Skip movement */
+            }
+            const lifeFraction = particle.age / particle.lifespan; /* 0 at birth, 1 at death */
+            const dragFactor = Math.exp(-particle.drag * deltaSeconds); /* Same damping at any frame rate */
+            particle.previousX = particle.x; /* Save X */
+            particle.previousY = particle.y; /* Save Y */
+            particle.velocity.x *= dragFactor; /* Slow X */
+            particle.velocity.y *= dragFactor; /* Slow Y */
+            particle.x += particle.velocity.x * deltaSeconds; /* Move X */
+            particle.y += particle.velocity.y * deltaSeconds; /* Move Y */
+            particle.radius = particle.startRadius + (particle.endRadius - particle.startRadius) * lifeFraction; /* Shrink */
+            particle.currentOpacity = 1 - lifeFraction; /* Fade */
+        }
+        this.particleStore.flush(); /* Release expired particles */
+
+        const settings = CONFIG.EFFECTS.SCORE_POPUP; /* Popup tuning */
+        const popups = this.popups; /* Dense list */
+        for (let i = 0; i < popups.length; i++) { /* Indexed loop avoids closure allocation */
+            const popup = popups[i]; /* Current popup */
+            popup.age += deltaMilliseconds; /* Grow older */
+            if (popup.age >= popup.lifespan) { /* Expired */
+                this.popupStore.remove(popup); /* Dropped at the flush below */
+                continue; /* Skip movement */
+            }
+            const fadeStart = popup.lifespan * settings.FADE_START_PERCENT; /* Age at which fading begins */
+            popup.y -= settings.RISE_SPEED * deltaSeconds; /* Float upward */
+            popup.currentOpacity = popup.age > fadeStart ? 1 - (popup.age - fadeStart) / (popup.lifespan - fadeStart) : 1; /* Fade at the end */
+        }
+        this.popupStore.flush(); /* Release expired popups */
+    }
+}
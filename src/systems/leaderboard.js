@@ -0,0 +1,136 @@
+class Leaderboard { /* Top-N scores per round mode, persisted in localStorage and shareable as JSON */
+
+    static validate(leaderboardData) { /* Check imported data is a leaderboard this build understands */
+        if (!leaderboardData || leaderboardData.format !== 'click-fire-leaderboard') { /* Wrong or missing marker */
+            throw new Error('Not a Click & Fire leaderboard file'); /* Reject foreign JSON */
+        }
+        if (leaderboardData.version !== CONFIG.LEADERBOARD.FORMAT_VERSION) { /* Layout mismatch */
+            throw new Error(`Unsupported leaderboard version ${leaderboardData.version} (expected ${CONFIG.LEADERBOARD.FORMAT_VERSION})`); /* Reject old/new formats */
+        }
+        if (!Array.isArray(leaderboardData.entries)) { /* Missing payload */
+            throw new Error('Leaderboard file is missing entries'); /* Reject truncated files */
+        }
+        return leaderboardData; /* Valid leaderboard */
+    }
+
+    static isValidEntry(entry) { /* Guard against hand-edited or corrupt rows */
+        return entry !== null && typeof entry === 'object' && /* Must be an object */
+            typeof entry.name === 'string' && Number.isFinite(entry.score) && /* Name and numeric score */
+            typeof entry.mode === 'string' && typeof entry.date === 'string'; /* Mode and ISO date */
+    }
+
+    constructor(storage = Leaderboard.defaultStorage()) { /* Load saved scores - storage is any localStorage-like object or null */
+        this.storage = storage; /* Persistence backend - null keeps scores in memory only */
+        this.entries = []; /* All entries, every mode, best first */
+        this.load(); /* Read saved scores */
+    }
+
+    static defaultStorage() { /* Browser localStorage when available and permitted */
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null; /* Missing outside browsers */
+        } catch (error) {
+            return null; /* Access can throw when storage is disabled */
+        }
+    }
+
+    load() { /* Read entries from storage, ignoring anything unreadable */
+        if (!this.storage) return; /* Nothing persisted */
+        try {
+            const savedText = this.storage.getItem(CONFIG.LEADERBOARD.STORAGE_KEY); /* Saved JSON */
+            if (savedText) this.merge(Leaderboard.validate(JSON.parse(savedText)).entries); /* Restore saved entries */
+        } catch (error) {
+            this.entries = []; /* Corrupt or outdated data starts a fresh board */
+        }
+    }
+
+    save() { /* Write entries to storage */
+        if (!this.storage) return; /* Nothing to persist to */
+        try {
+            this.storage.setItem(CONFIG.LEADERBOARD.STORAGE_KEY, JSON.stringify(this.toJSON())); /* Persist board */
+        } catch (error) {
+            /* Quota exceeded or storage disabled - keep the in-memory board */
+        }
+    }
+
+    getEntries(mode) { /* Best entries for a round mode */
+        return this.entries.filter(entry => entry.mode === mode); /* Already sorted best first */
+    }
+
+    qualifies(mode, score) { /* Whether a score would make the board for its mode */
+        if (score <= 0) return false; /* Empty rounds are not worth keeping */
+        const modeEntries = this.getEntries(mode); /* Current board for mode */
+        return modeEntries.length < CONFIG.LEADERBOARD.MAX_ENTRIES_PER_MODE || /* Free slot */
+            score > modeEntries[modeEntries.length - 1].score; /* Beats the lowest entry */
+    }
+
+    sanitizeName(name) { /* Trim and cap player names */
+        const trimmed = String(name ?? '').trim().slice(0, CONFIG.LEADERBOARD.MAX_NAME_LENGTH); /* Bounded length */
+        return trimmed || CONFIG.LEADERBOARD.DEFAULT_NAME; /* Blank names fall back */
+    }
+
+    addEntry(name, summary) { /* Record a finished round - summary comes from GameSimulation.getRoundSummary */
+        const entry = { /* Stored row */
+            name: this.sanitizeName(name), /* Player name */
+            score: summary.score, /* Final score */
+            mode: summary.mode, /* Round mode */
+            date: new Date().toISOString(), /* When the round was played */
+            accuracy: summary.accuracy, /* Hit fraction */
+            bestCombo: summary.bestCombo, /* Longest streak */
+            wave: summary.wave /* Wave reached */
+        };
+        this.merge([entry]); /* Insert, sort and trim */
+        this.save(); /* Persist */
+        return this.entries.includes(entry) ? entry : null; /* Null when trimmed off the board */
+    }
+
+    merge(newEntries) { /* Add entries, drop duplicates, keep the top N per mode */
+        const seen = new Set(this.entries.map(Leaderboard.entryKey)); /* Existing rows */
+        newEntries.forEach(entry => { /* Add each unseen valid row */
+            if (!Leaderboard.isValidEntry(entry)) return; /* Skip corrupt rows */
+            const key = Leaderboard.entryKey(entry); /* Identity of the row */
+            if (seen.has(key)) return; /* Same run imported twice */
+            seen.add(key); /* Remember row */
+            this.entries.push(entry); /* Keep row */
+        });
+        this.entries.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date)); /* Best first, earlier wins ties */
+        const keptPerMode = {}; /* Rows kept so far per mode */
+        this.entries = this.entries.filter(entry => { /* Trim each mode to the limit */
+            keptPerMode[entry.mode] = (keptPerMode[entry.mode] ?? 0) + 1; /* Count row */
+            return keptPerMode[entry.mode] <= CONFIG.LEADERBOARD.MAX_ENTRIES_PER_MODE; /* Within limit */
+        });
+    }
+
+    static entryKey(entry) { /* Rows with the same name, score, mode and date are the same run */
+        return `${entry.name}|${entry.score}|${entry.mode}|${entry.date}`; /* Composite key */
+    }
+
+    clear() { /* Remove every entry */
+        this.entries = []; /* Empty board */
+        this.save(); /* Persist */
+    }
+
+    toJSON() { /* Serializable leaderboard document */
+        return { /* Versioned so future layouts can be rejected cleanly */
+            format: 'click-fire-leaderboard', /* File type marker */
+            version: CONFIG.LEADERBOARD.FORMAT_VERSION, /* Layout version */
+            exportedAt: new Date().toISOString(), /* When the file was written */
+            entries: this.entries /* All modes */
+        };
+    }
+
+    importJSON(jsonText) { /* Merge a teammate's exported board into ours */
+        const before = this.entries.length; /* Count to report additions */
+        this.merge(Leaderboard.validate(JSON.parse(jsonText)).entries); /* Validate then merge */
+        this.save(); /* Persist */
+        return this.entries.length - before; /* Net rows added */
+    }
+
+    exportToFile() { /* Download leaderboard as a JSON file */
+        const leaderboardBlob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }); /* Serialize board */
+        const downloadLink = document.createElement('a'); /* Temporary link to trigger download */
+        downloadLink.href = URL.createObjectURL(leaderboardBlob); /* Point link at blob */
+        downloadLink.download = 'leaderboard.json'; /* Default filename */
+        downloadLink.click(); /* Start download */
+        URL.revokeObjectURL(downloadLink.href); /* Free blob URL */
+    }
+}
@@ -0,0 +1,86 @@
+class ReplayPlayer { /* Feeds recorded inputs back into a GameSimulation with pause, seek and speed control */
+
+    static validate(replayData) { /* Check imported data is a replay this build understands */
+        if (!replayData || replayData.format !== 'click-fire-replay') { /* Wrong or missing marker */
+            throw new Error('Not a Click & Fire replay file'); /* Reject foreign JSON */
+        }
+        const { MIN_FORMAT_VERSION, FORMAT_VERSION } = CONFIG.REPLAY; /* Accepted layouts */
+        if (!(replayData.version >= MIN_FORMAT_VERSION && replayData.version <= FORMAT_VERSION)) { /* Layout mismatch */
+            throw new Error(`Unsupported replay version ${replayData.version} (expected ${MIN_FORMAT_VERSION} to ${FORMAT_VERSION})`); /* Reject old/new formats */
+        }
+        if (replayData.players !== undefined) GameSimulation.checkPlayerCount(replayData.players); /* Version 2 files have none - they are single-player */
+        if (!Array.isArray(replayData.events) || !Number.isInteger(replayData.totalSteps)) { /* Missing payload */
+            throw new Error('Replay file is missing events or totalSteps'); /* Reject truncated files */
+        }
+        return replayData; /* Valid replay */
+    }
+
+    static fromJSON(jsonText, simulation) { /* Parse and validate replay text */
+        return new ReplayPlayer(ReplayPlayer.validate(JSON.parse(jsonText)), simulation); /* Player bound to simulation */
+    }
+
+    constructor(replayData, simulation) { /* Bind replay to the simulation it will drive */
+        this.replay = replayData; /* Validated replay document */
+        this.simulation = simulation; /* Simulation being driven */
+        this.paused = false; /* Playback paused flag */
+        this.speed = 1; /* Playback speed multiplier */
+        this.rewind(); /* Start at step 0 */
+    }
+
+    rewind() { /* Reset simulation and input cursor to the start of the replay */
+        const playerCount = this.replay.players ?? 1; /* Version 2 files are single-player */
+        this.simulation.reset(this.replay.seed, this.replay.mode ?? CONFIG.DEFAULT_ROUND_MODE, playerCount); /* Same seed, mode and players reproduce the run */
+        this.eventIndex = 0; /* Next event to apply */
+        this.stepIndex = 0; /* Recorded steps played - counted here, since step() does nothing once the round is over */
+        this.inputs = []; /* Per-player input frames rebuilt from recorded changes */
+        for (let i = 0; i < playerCount; i++) this.inputs.push({}); /* Empty until the first events */
+    }
+
+    get currentStep() { /* Steps played so far */
+        return this.stepIndex; /* Always moves forward, so seek and finished cannot stall */
+    }
+
+    get finished() { /* Whether every recorded step has been played */
+        return this.currentStep >= this.replay.totalSteps; /* Past last recorded step */
+    }
+
+    applyEventsForStep(step) { /* Merge recorded changes for this step into the input frames */
+        const events = this.replay.events; /* Recorded changes */
+        while (this.eventIndex < events.length && events[this.eventIndex].step === step) { /* Events due this step */
+            const event = events[this.eventIndex]; /* Next change set */
+            const inputs = this.inputs[event.player ?? 0]; /* Untagged events belong to player 1 */
+            if (!inputs) throw new Error(`Replay event for missing player ${event.player}`); /* Corrupt file */
+            const changes = event.changes; /* Changed fields */
+            for (const field in changes) { /* Copy each changed field */
+                inputs[field] = changes[field]; /* Overwrite input value */
+            }
+            this.eventIndex++; /* Move cursor on */
+        }
+    }
+
+    advance() { /* Play exactly one recorded step */
+        if (this.finished) return; /* Nothing left to play */
+        this.applyEventsForStep(this.currentStep); /* Restore inputs for this step */
+        this.simulation.step(this.inputs); /* Run step exactly as recorded */
+        this.stepIndex++; /* One recorded step consumed */
+    }
+
+    seek(targetStep) { /* Jump to a step by re-simulating from the start (state is not snapshotted) */
+        const clampedStep = Math.max(0, Math.min(targetStep, this.replay.totalSteps)); /* Keep within recording */
+        if (clampedStep < this.currentStep) { /* Going backwards needs a fresh run */
+            this.rewind(); /* Restart from step 0 */
+        }
+        while (this.currentStep < clampedStep) { /* Fast-forward without rendering */
+            this.advance(); /* Play one step */
+        }
+    }
+
+    setSpeed(speed) { /* Change playback rate within supported range */
+        const speeds = CONFIG.REPLAY.SPEEDS; /* Supported multipliers */
+        this.speed = Math.max(speeds[0], Math.min(speed, speeds[speeds.length - 1])); /* Clamp to 0.25x-4x */
+    }
+
+    togglePause() { /* Pause or resume playback */
+        this.paused = !this.paused; /* Flip paused flag */
+    }
+}
@@ -0,0 +1,91 @@
+class ReplayRecorder { /* Records per-step input changes plus the seed so a run can be replayed exactly */
+
+    constructor() { /* Create an idle recorder */
+        this.events = []; /* Input changes as { step, player, changes } in step order - player is omitted for player 1 */
+        this.lastInputs = [{}]; /* Per-player input values as of the last recorded change */
+        this.seed = 0; /* Seed of the run being recorded */
+        this.mode = CONFIG.DEFAULT_ROUND_MODE; /* Round mode of the run being recorded */
+        this.players = 1; /* Player count of the run being recorded */
+        this.width = 0; /* World width of the recorded run */
+        this.height = 0; /* World height of the recorded run */
+        this.totalSteps = 0; /* Steps recorded so far */
+        this.stopReason = null; /* Why recording ended before the round did - null while recording */
+        this.config = null; /* CONFIG as it was when recording started */
+        this.waves = null; /* WAVE_CONFIG as it was when recording started */
+    }
+
+    get recording() { /* Whether steps are still being captured */
+        return this.stopReason === null; /* Not stopped early */
+    }
+
+    start(simulation) { /* Begin recording a fresh run of the given simulation */
+        this.events = []; /* Drop events from any earlier run */
+        this.players = simulation.playerCount; /* Replays must step the same players */
+        this.lastInputs = []; /* Next step records every input field */
+        for (let i = 0; i < this.players; i++) this.lastInputs.push({}); /* One baseline per player */
+        this.seed = simulation.seed; /* Seed reproduces spawns */
+        this.mode = simulation.mode; /* Round rules must match too */
+        this.width = simulation.width; /* Replays must use identical world bounds */
+        this.height = simulation.height; /* Replays must use identical world bounds */
+        this.totalSteps = 0; /* No steps recorded yet */
+        this.stopReason = null; /* Recording again */
+        this.config = JSON.parse(JSON.stringify(CONFIG)); /* Tuning the recorded steps run under - live edits stop the recording, so this holds for all of them */
+        this.waves = JSON.parse(JSON.stringify(WAVE_CONFIG)); /* Wave data the recorded steps run under */
+    }
+
+    stop(reason) { /* End the recording early - later steps are not captured, so an export replays the run only up to here */
+        if (this.recording) this.stopReason = reason; /* First reason wins */
+    }
+
+    recordStep(inputs) { /* Store fields that differ from the previous step - call once before each simulation step with what step() is given */
+        if (!this.recording) return; /* Stopped early */
+        if (Array.isArray(inputs)) { /* One frame per player */
+            for (let i = 0; i < inputs.length; i++) this.recordPlayer(i, inputs[i]); /* Player 1 first, matching step order */
+        } else { /* Single frame drives player 1 */
+            this.recordPlayer(0, inputs); /* Same layout as multiplayer runs */
+        }
+        this.totalSteps++; /* Count recorded step */
+    }
+
+    recordPlayer(index, inputs) { /* Store one player's changed fields for the current step */
+        const lastInputs = this.lastInputs[index]; /* Player's baseline */
+        let changes = null; /* Only allocate when something changed */
+        for (const field in inputs) { /* for...in walks fields without allocating a key array */
+            if (lastInputs[field] !== inputs[field]) { /* Field changed since last recorded step */
+                changes = changes ?? {}; /* Create change set on first difference */
+                changes[field] = inputs[field]; /* Record new value */
+                lastInputs[field] = inputs[field]; /* Track value for next comparison */
+            }
+        }
+        if (!changes) return; /* Nothing changed this step */
+        if (index === 0) this.events.push({ step: this.totalSteps, changes }); /* Key change by step index - player 1 keeps the version 2 layout */
+        else this.events.push({ step: this.totalSteps, player: index, changes }); /* Other players are tagged */
+    }
+
+    toJSON() { /* Build versioned replay document */
+        return { /* Plain data safe for JSON.stringify */
+            format: 'click-fire-replay', /* File type marker checked on import */
+            version: CONFIG.REPLAY.FORMAT_VERSION, /* Layout version */
+            recordedAt: new Date().toISOString(), /* When the replay was exported */
+            seed: this.seed, /* RNG seed */
+            mode: this.mode, /* Round mode */
+            players: this.players, /* Player count */
+            width: this.width, /* World width */
+            height: this.height, /* World height */
+            totalSteps: this.totalSteps, /* Length of run in steps */
+            stopReason: this.stopReason, /* Why the recording ends before the round did - null for complete runs */
+            config: this.config, /* Tuning in effect while recording, for comparison */
+            waves: this.waves, /* Wave data in effect while recording */
+            events: this.events /* Input changes */
+        };
+    }
+
+    exportToFile() { /* Download replay as a JSON file */
+        const replayBlob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }); /* Serialize replay */
+        const downloadLink = document.createElement('a'); /* Temporary link to trigger download */
+        downloadLink.href = URL.createObjectURL(replayBlob); /* Point link at blob */
+        downloadLink.download = `replay-${this.seed}-${this.totalSteps}.json`; /* Seed and length in filename */
+        downloadLink.click(); /* Start download */
+        URL.revokeObjectURL(downloadLink.href); /* Free blob URL */
+    }
+}
@@ -0,0 +1,90 @@
+class ScoreKeeper { /* Score, combo multiplier and accuracy tracking - owned by GameSimulation, DOM-free */
+
+    constructor() { /* Start with empty stats */
+        this.reset(); /* Zero all counters */
+    }
+
+    reset() { /* Zero all counters for a new round */
+        this.score = 0; /* Total points */
+        this.shotsFired = 0; /* Projectiles launched */
+        this.shotsHit = 0; /* Projectiles that hit at least one target */
+        this.targetsDestroyed = 0; /* Targets destroyed by the player */
+        this.comboCount = 0; /* Kills in the current combo */
+        this.bestCombo = 0; /* Longest combo this round */
+        this.multiplier = 1; /* Current combo multiplier */
+        this.comboTimeRemaining = 0; /* Milliseconds before the combo lapses */
+        this.lastAward = 0; /* Points from the most recent kill, for HUD popups */
+    }
+
+    get accuracy() { /* Fraction of projectiles that hit something */
+        return this.shotsFired > 0 ? this.shotsHit / this.shotsFired : 0; /* Avoid divide by zero */
+    }
+
+    recordShot() { /* Count one projectile fired */
+        this.shotsFired++; /* Shot taken */
+    }
+
+    recordProjectileHit() { /* Count a projectile's first hit */
+        this.shotsHit++; /* Shot landed */
+    }
+
+    recordProjectileMiss() { /* A projectile left the world without hitting */
+        if (CONFIG.SCORING.BREAK_COMBO_ON_MISS) this.breakCombo(); /* Misses end the streak */
+    }
+
+    extendCombo() { /* Keep the combo alive without a kill - e.g. damaging armor */
+        if (this.comboCount > 0) this.comboTimeRemaining = CONFIG.SCORING.COMBO_WINDOW; /* Refresh window */
+    }
+
+    breakCombo() { /* End the current combo */
+        this.comboCount = 0; /* Streak over */
+        this.multiplier = 1; /* Back to base multiplier */
+        this.comboTimeRemaining = 0; /* No window */
+    }
+
+    sizeFactor(radius) { /* Smaller targets are worth more */
+        const settings = CONFIG.SCORING; /* Tuning */
+        return Math.max(settings.SIZE_FACTOR_MIN, Math.min(settings.SIZE_FACTOR_MAX, settings.SIZE_REFERENCE_RADIUS / radius)); /* Clamped inverse size */
+    }
+
+    timeBonus(targetAge) { /* Faster kills earn extra points */
+        const settings = CONFIG.SCORING; /* Tuning */
+        return settings.TIME_BONUS_MAX * Math.max(0, 1 - targetAge / settings.TIME_BONUS_WINDOW); /* Linear falloff */
+    }
+
+    recordKill(basePoints, radius, targetAge) { /* Award points for a destroyed target and advance the combo */
+        const settings = CONFIG.SCORING; /* Tuning */
+        this.targetsDestroyed++; /* Count kill */
+        this.comboCount++; /* Extend streak */
+        this.bestCombo = Math.max(this.bestCombo, this.comboCount); /* Track best streak */
+        this.multiplier = Math.min(settings.MAX_MULTIPLIER, /* Capped multiplier */
+            1 + Math.floor(this.comboCount / settings.COMBO_STEP) * settings.MULTIPLIER_STEP);
+        this.comboTimeRemaining = settings.COMBO_WINDOW; /* Refresh window */
+        this.lastAward = Math.round((basePoints * this.sizeFactor(radius) + this.timeBonus(targetAge)) * this.multiplier); /* Whole points */
+        this.score += this.lastAward; /* Add to total */
+        return this.lastAward; /* Points awarded */
+    }
+
+    recordPenalty(points, breaksCombo) { /* Subtract points for hitting a target that should be avoided */
+        this.score = Math.max(0, this.score - Math.abs(points)); /* Score never drops below zero */
+        this.lastAward = -Math.abs(points); /* Negative popup value */
+        if (breaksCombo) this.breakCombo(); /* Decoys can end the streak */
+    }
+
+    update(deltaMilliseconds) { /* Let the combo lapse when no kill arrives in time */
+        if (this.comboTimeRemaining <= 0) return; /* No active combo */
+        this.comboTimeRemaining -= deltaMilliseconds; /* Count down window */
+        if (this.comboTimeRemaining <= 0) this.breakCombo(); /* Window expired */
+    }
+
+    getSummary() { /* End-of-round stats as plain data */
+        return { /* Summary for results screen and leaderboard */
+            score: this.score, /* Final score */
+            shotsFired: this.shotsFired, /* Projectiles launched */
+            shotsHit: this.shotsHit, /* Projectiles that landed */
+            accuracy: this.accuracy, /* Hit fraction */
+            targetsDestroyed: this.targetsDestroyed, /* Kills */
+            bestCombo: this.bestCombo /* Longest streak */
+        };
+    }
+}
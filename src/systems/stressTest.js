@@ -0,0 +1,46 @@
+class StressTest { /* Keeps a fixed number of targets and projectiles alive so renderer and grid changes can be profiled on the same load */
+
+    constructor(simulation) { /* Bind to the simulation that receives the load */
+        this.simulation = simulation; /* Provides spawnTarget() and createProjectile() */
+        this.settings = CONFIG.DEBUG.STRESS; /* Counts and spawn tuning */
+        this.random = new SeededRandom(this.settings.SEED); /* Own RNG for placement and aim - spawnTarget still draws phases and type extras from the simulation's RNG, so a stressed run shifts later spawns and cannot replay */
+        this.movement = { TYPE: 'bounce', SPEED: this.settings.TARGET_SPEED }; /* Shared movement for spawned targets */
+        this.weapon = CONFIG.WEAPONS[this.settings.WEAPON]; /* Projectile settings */
+        this.enabled = false; /* Off until toggled */
+        this.owner = { /* Shooter credited with stress rounds - not a player, so its hits, points and misses reach no player's score */
+            index: -1, /* Not in simulation.players */
+            x: 0, /* Unused - every round gets its own origin */
+            y: 0, /* Unused - every round gets its own origin */
+            velocity: { x: 0, y: 0 }, /* No momentum to transfer */
+            projectileColor: CONFIG.COLORS.PROJECTILE, /* Same look as before */
+            scoreKeeper: new ScoreKeeper() /* Throwaway tally */
+        };
+    }
+
+    setEnabled(enabled) { /* Turn the load on or off - restarting reseeds so every run gets the same workload */
+        this.enabled = enabled; /* Remember state */
+        if (enabled) this.random.setSeed(this.settings.SEED); /* Same sequence every time */
+    }
+
+    toggle() { /* Flip on or off */
+        this.setEnabled(!this.enabled); /* Invert */
+        return this.enabled; /* New state */
+    }
+
+    update() { /* Top up targets and projectiles before a step */
+        if (!this.enabled) return; /* Idle */
+        const simulation = this.simulation; /* Target simulation */
+        const missingTargets = this.settings.TARGETS - simulation.targets.length; /* Targets to add - spawns a full pool refuses are retried next step */
+        for (let i = 0; i < missingTargets; i++) { /* Spawn shortfall */
+            simulation.spawnTarget( /* Bouncing target anywhere in the world */
+                this.random.range(0, simulation.width), this.random.range(0, simulation.height),
+                this.random.range(this.settings.TARGET_MIN_RADIUS, this.settings.TARGET_MAX_RADIUS),
+                this.settings.TARGET_LIFESPAN, this.movement, this.random.next() * Math.PI * 2, 1, this.settings.TARGET_TYPE);
+        }
+        const missingProjectiles = this.settings.PROJECTILES - simulation.projectiles.length; /* Projectiles to add */
+        for (let i = 0; i < missingProjectiles; i++) { /* Spawn shortfall */
+            simulation.createProjectile(this.random.next() * Math.PI * 2, this.weapon, this.owner, /* Random direction, credited to no player */
+                this.random.range(0, simulation.width), this.random.range(0, simulation.height)); /* Random origin */
+        }
+    }
+}
@@ -0,0 +1,154 @@
+class TargetTypeRegistry { /* Maps target type ids to their factory, spawn setup, hit behavior and render color */
+
+    static createBaseTarget(typeId) { /* Fields every target type shares - type factories add their own */
+        return { /* Pooled target object */
+            type: typeId, /* Registry id - picks behavior and render style */
+            x: 0, /* Starting x position */
+            y: 0, /* Starting y position */
+            previousX: 0, /* X position at start of last step for interpolation */
+            previousY: 0, /* Y position at start of last step for interpolation */
+            radius: 0, /* Will be set when spawned */
+            creationTime: 0, /* Will track when target was created */
+            lifespan: 0, /* Milliseconds until expiry - set by the wave */
+            currentOpacity: 1, /* Full opacity when spawned */
+            movementType: 'static', /* Path kind from wave movement */
+            anchorX: 0, /* Path origin X - drifts for sine, fixed for orbit */
+            anchorY: 0, /* Path origin Y - drifts for sine, fixed for orbit */
+            velocity: { x: 0, y: 0 }, /* Travel velocity in pixels per second */
+            amplitude: 0, /* Sine offset in pixels */
+            frequency: 0, /* Sine cycles per second */
+            orbitRadius: 0, /* Orbit radius in pixels */
+            angularSpeed: 0, /* Orbit radians per second */
+            phase: 0 /* Starting angle for sine and orbit paths */
+        };
+    }
+
+    static resetBaseTarget(target) { /* Restore shared fields to createBaseTarget values - pool reset hook */
+        target.x = 0; /* Clear position */
+        target.y = 0; /* Clear position */
+        target.previousX = 0; /* Clear interpolation start */
+        target.previousY = 0; /* Clear interpolation start */
+        target.radius = 0; /* Set again on spawn */
+        target.creationTime = 0; /* Set again on spawn */
+        target.lifespan = 0; /* Set again on spawn */
+        target.currentOpacity = 1; /* Fully visible */
+        target.movementType = 'static'; /* No path */
+        target.anchorX = 0; /* Clear path origin */
+        target.anchorY = 0; /* Clear path origin */
+        target.velocity.x = 0; /* Stopped */
+        target.velocity.y = 0; /* Stopped */
+        target.amplitude = 0; /* No sine offset */
+        target.frequency = 0; /* No sine rate */
+        target.orbitRadius = 0; /* No orbit */
+        target.angularSpeed = 0; /* No orbit */
+        target.phase = 0; /* No phase */
+    }
+
+    constructor() { /* Create an empty registry */
+        this.types = {}; /* Type definitions keyed by id */
+        this.typeIds = []; /* Registration order - stable render and pool order */
+    }
+
+    register(typeId, definition) { /* Add a type - definition: { color, settings, create?, reset?, onSpawn?, onHit, countsAsMiss? } */
+        this.types[typeId] = { /* Fill optional hooks with defaults */
+            id: typeId, /* Type id */
+            color: definition.color, /* Fill color */
+            settings: definition.settings, /* CONFIG.TARGET_TYPES entry */
+            create: definition.create ?? (() => TargetTypeRegistry.createBaseTarget(typeId)), /* Pool factory */
+            reset: definition.reset ?? TargetTypeRegistry.resetBaseTarget, /* Pool reset hook - clears fields a type factory added */
+            onSpawn: definition.onSpawn ?? (() => {}), /* Adjust fields after generic spawn setup */
+            onHit: definition.onHit, /* (simulation, target, shooter) => true when target is destroyed - shooter is the player credited */
+            countsAsMiss: definition.settings.COUNTS_AS_MISS ?? true /* Whether expiry counts against miss-limit rounds */
+        };
+        this.typeIds.push(typeId); /* Remember order */
+    }
+
+    get(typeId) { /* Look up a type definition */
+        const type = this.types[typeId]; /* Definition or undefined */
+        if (!type) throw new Error(`Unknown target type "${typeId}"`); /* Typos in wave data must fail loudly */
+        return type; /* Definition */
+    }
+
+    static createDefault() { /* Registry with the built-in target types */
+        const registry = new TargetTypeRegistry(); /* Empty registry */
+        const TYPES = CONFIG.TARGET_TYPES; /* Tuning values */
+
+        registry.register('normal', { /* One hit, fixed score */
+            color: CONFIG.COLORS.TARGET, /* Classic green */
+            settings: TYPES.NORMAL, /* Tuning */
+            onHit: (simulation, target, shooter) => { /* Destroy and score */
+                simulation.scoreKill(target, TYPES.NORMAL.SCORE, shooter); /* Award points */
+                return true; /* Destroyed */
+            }
+        });
+
+        registry.register('armored', { /* Several hits, health ring */
+            color: CONFIG.COLORS.TARGET_ARMORED, /* Dark green */
+            settings: TYPES.ARMORED, /* Tuning */
+            create: () => ({ ...TargetTypeRegistry.createBaseTarget('armored'), health: 0, maxHealth: 0 }), /* Adds health fields */
+            reset: (target) => { /* Clear health fields too */
+                TargetTypeRegistry.resetBaseTarget(target); /* Shared fields */
+                target.health = 0; /* Set again on spawn */
+                target.maxHealth = 0; /* Set again on spawn */
+            },
+            onSpawn: (simulation, target) => { /* Full health on spawn */
+                target.maxHealth = TYPES.ARMORED.HEALTH; /* Hits needed */
+                target.health = target.maxHealth; /* Start full */
+            },
+            onHit: (simulation, target, shooter) => { /* Lose one health, destroy at zero */
+                target.health--; /* Absorb the hit */
+                if (target.health > 0) { /* Still standing */
+                    shooter.scoreKeeper.extendCombo(); /* Chipping armor keeps the streak alive */
+                    return false; /* Not destroyed */
+                }
+                simulation.scoreKill(target, TYPES.ARMORED.SCORE, shooter); /* Award points */
+                return true; /* Destroyed */
+            }
+        });
+
+        registry.register('splitter', { /* Breaks into smaller bouncing pieces */
+            color: CONFIG.COLORS.TARGET_SPLITTER, /* Purple */
+            settings: TYPES.SPLITTER, /* Tuning */
+            onHit: (simulation, target, shooter) => { /* Score and spawn pieces */
+                const settings = TYPES.SPLITTER; /* Tuning */
+                const pieceRadius = target.radius * settings.SPLIT_SIZE_FACTOR; /* Smaller pieces */
+                simulation.scoreKill(target, settings.SCORE, shooter); /* Award points */
+                if (pieceRadius < settings.MIN_SPLIT_RADIUS) return true; /* Too small to split again */
+                const baseHeading = simulation.random.next() * Math.PI * 2; /* Random split orientation */
+                for (let i = 0; i < settings.SPLIT_COUNT; i++) { /* Spread pieces evenly */
+                    const heading = baseHeading + (i / settings.SPLIT_COUNT) * Math.PI * 2; /* Piece direction */
+                    simulation.spawnTarget(target.x, target.y, pieceRadius, settings.SPLIT_LIFESPAN, /* Piece at parent position */
+                        { TYPE: 'bounce', SPEED: settings.SPLIT_SPEED }, heading, 1, 'splitter');
+                }
+                return true; /* Parent destroyed */
+            }
+        });
+
+        registry.register('golden', { /* Fast, short-lived bonus */
+            color: CONFIG.COLORS.TARGET_GOLDEN, /* Gold */
+            settings: TYPES.GOLDEN, /* Tuning */
+            onSpawn: (simulation, target) => { /* Override wave movement with a fast bounce */
+                const heading = simulation.random.next() * Math.PI * 2; /* Own direction */
+                target.lifespan *= TYPES.GOLDEN.LIFESPAN_FACTOR; /* Short-lived */
+                target.movementType = 'bounce'; /* Always on the move */
+                target.velocity.x = Math.cos(heading) * TYPES.GOLDEN.SPEED; /* Fast X velocity */
+                target.velocity.y = Math.sin(heading) * TYPES.GOLDEN.SPEED; /* Fast Y velocity */
+            },
+            onHit: (simulation, target, shooter) => { /* Big bonus */
+                simulation.scoreKill(target, TYPES.GOLDEN.SCORE, shooter); /* Award points */
+                return true; /* Destroyed */
+            }
+        });
+
+        registry.register('decoy', { /* Penalizes hits */
+            color: CONFIG.COLORS.TARGET_DECOY, /* Red */
+            settings: TYPES.DECOY, /* Tuning */
+            onHit: (simulation, target, shooter) => { /* Lose points */
+                simulation.scorePenalty(TYPES.DECOY.SCORE, TYPES.DECOY.BREAKS_COMBO, shooter); /* Penalty, optionally ending the combo */
+                return true; /* Destroyed */
+            }
+        });
+
+        return registry; /* Ready for use */
+    }
+}
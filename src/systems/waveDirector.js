@@ -0,0 +1,138 @@
+class WaveDirector { /* Drives target spawning from WAVE_CONFIG - spawn rates, sizes, patterns, movement and escalation */
+
+    static DEFAULT_TYPES = [{ TYPE: 'normal', WEIGHT: 1 }]; /* Type choices for waves that omit TYPES */
+
+    constructor(simulation) { /* Validate wave data and bind to the simulation it spawns into */
+        SchemaValidator.assertValid(WAVE_CONFIG, WAVE_SCHEMA, 'WAVE_CONFIG'); /* Refuse to run on malformed waves */
+        this.simulation = simulation; /* Provides RNG, world bounds and spawnTarget() */
+        this.currentWave = { /* Resolved settings for the active wave - reused to avoid per-wave allocation */
+            spawnInterval: 0, /* Milliseconds between spawn events */
+            sizeMin: 0, /* Smallest target radius */
+            sizeMax: 0, /* Largest target radius */
+            lifespan: 0, /* Target lifetime in milliseconds */
+            speedMultiplier: 1, /* Escalation multiplier for movement speeds */
+            duration: 0, /* Wave length in milliseconds */
+            patterns: null, /* Weighted pattern choices */
+            movements: null, /* Weighted movement choices */
+            types: null /* Weighted target type choices */
+        };
+        this.reset(); /* Start at wave 1 */
+    }
+
+    reset() { /* Restart from the first wave */
+        this.waveNumber = 0; /* No wave started yet */
+        this.startWave(1); /* Begin wave 1 immediately */
+    }
+
+    resolveWave(waveNumber) { /* Fill currentWave from authored data, escalating past the last authored wave */
+        const waves = WAVE_CONFIG.WAVES; /* Authored waves */
+        const escalation = WAVE_CONFIG.ESCALATION; /* Scaling factors */
+        const authored = waves[Math.min(waveNumber, waves.length) - 1]; /* Wave data, or last wave when past the list */
+        const level = Math.max(0, waveNumber - waves.length); /* Extra waves beyond authored list */
+        const wave = this.currentWave; /* Reused settings object */
+
+        wave.duration = authored.DURATION; /* Wave length */
+        wave.patterns = authored.PATTERNS; /* Pattern choices */
+        wave.movements = authored.MOVEMENTS; /* Movement choices */
+        wave.types = authored.TYPES ?? WaveDirector.DEFAULT_TYPES; /* Target type choices */
+        wave.spawnInterval = Math.max(escalation.MIN_SPAWN_INTERVAL, /* Floor keeps spawns sane */
+            (authored.SPAWN_INTERVAL ?? CONFIG.TARGET.SPAWN_INTERVAL) * CONFIG.TARGET.SPAWN_INTERVAL_SCALE * Math.pow(escalation.SPAWN_INTERVAL_FACTOR, level));
+        wave.lifespan = Math.max(escalation.MIN_LIFESPAN, /* Floor keeps targets hittable */
+            (authored.LIFESPAN ?? CONFIG.TARGET.MAX_LIFESPAN) * CONFIG.TARGET.LIFESPAN_SCALE * Math.pow(escalation.LIFESPAN_FACTOR, level));
+        const sizeScale = CONFIG.TARGET.SIZE_SCALE * Math.pow(escalation.SIZE_FACTOR, level); /* Tuning scale and shrink factor for this level */
+        wave.sizeMin = Math.max(escalation.MIN_SIZE, (authored.SIZE_MIN ?? CONFIG.TARGET.MIN_SIZE) * sizeScale); /* Smallest radius */
+        wave.sizeMax = Math.max(wave.sizeMin, /* Never below the minimum */
+            (authored.SIZE_MAX ?? CONFIG.TARGET.MIN_SIZE + CONFIG.TARGET.SIZE_VARIATION) * sizeScale);
+        wave.speedMultiplier = Math.pow(escalation.SPEED_FACTOR, level); /* Faster movement each extra wave */
+    }
+
+    startWave(waveNumber) { /* Begin a wave and show its banner */
+        this.waveNumber = waveNumber; /* Active wave */
+        this.resolveWave(waveNumber); /* Load its settings */
+        this.waveTimeRemaining = this.currentWave.duration; /* Countdown to the break */
+        this.spawnTimer = this.currentWave.spawnInterval; /* First spawn happens on the first step */
+        this.breakTimeRemaining = 0; /* Not in a break */
+        this.bannerTimeRemaining = WAVE_CONFIG.BANNER_DURATION; /* Show "Wave N" */
+    }
+
+    restartSpawner() { /* Re-read spawn settings mid-wave after CONFIG.TARGET changes - wave and break timers keep running */
+        this.resolveWave(this.waveNumber); /* Pick up new defaults and scale */
+        this.spawnTimer = Math.min(this.spawnTimer, this.currentWave.spawnInterval); /* A shorter interval must not release a backlog of spawns */
+    }
+
+    update(deltaMilliseconds) { /* Advance wave timers and spawn due targets */
+        this.bannerTimeRemaining = Math.max(0, this.bannerTimeRemaining - deltaMilliseconds); /* Fade banner out */
+
+        if (this.breakTimeRemaining > 0) { /* Quiet period between waves */
+            this.breakTimeRemaining -= deltaMilliseconds; /* Count down break */
+            if (this.breakTimeRemaining <= 0) this.startWave(this.waveNumber + 1); /* Next wave */
+            return; /* No spawns during break */
+        }
+
+        this.spawnTimer += deltaMilliseconds; /* Bank elapsed game time */
+        while (this.spawnTimer >= this.currentWave.spawnInterval) { /* Spawn once per elapsed interval */
+            this.spawnEvent(); /* Spawn one pattern */
+            this.spawnTimer -= this.currentWave.spawnInterval; /* Spend the interval */
+        }
+
+        this.waveTimeRemaining -= deltaMilliseconds; /* Count down wave */
+        if (this.waveTimeRemaining <= 0) { /* Wave finished */
+            this.breakTimeRemaining = Math.max(WAVE_CONFIG.WAVE_BREAK, 1); /* Enter break - at least one ms so next step advances */
+        }
+    }
+
+    pickWeighted(choices) { /* Choose one entry by its WEIGHT */
+        let totalWeight = 0; /* Sum of weights */
+        for (let i = 0; i < choices.length; i++) totalWeight += choices[i].WEIGHT; /* Add up weights */
+        let roll = this.simulation.random.next() * totalWeight; /* Random point along the weight line */
+        for (let i = 0; i < choices.length; i++) { /* Find the entry containing the roll */
+            roll -= choices[i].WEIGHT; /* Step past this entry */
+            if (roll < 0) return choices[i]; /* Roll landed here */
+        }
+        return choices[choices.length - 1]; /* Floating point edge - take last */
+    }
+
+    randomRadius() { /* Target radius within the wave's size range */
+        return this.simulation.random.range(this.currentWave.sizeMin, this.currentWave.sizeMax); /* Uniform size */
+    }
+
+    spawnEvent() { /* Spawn one group of targets using a weighted pattern and movement */
+        const random = this.simulation.random; /* Shared seeded RNG */
+        const width = this.simulation.width; /* World width */
+        const height = this.simulation.height; /* World height */
+        const pattern = this.pickWeighted(this.currentWave.patterns); /* Layout for this group */
+        const movement = this.pickWeighted(this.currentWave.movements); /* Path for this group */
+        const count = pattern.COUNT ?? 1; /* Targets in group */
+        const spread = pattern.RADIUS ?? 0; /* Ring or burst radius */
+        const margin = spread + this.currentWave.sizeMax; /* Keep whole group inside the world */
+        const centerX = random.range(margin, Math.max(margin, width - margin)); /* Group center X */
+        const centerY = random.range(margin, Math.max(margin, height / 2)); /* Group center Y in top half */
+        const heading = random.next() * Math.PI * 2; /* Shared travel direction so groups move together */
+
+        for (let i = 0; i < count; i++) { /* Place each target of the group */
+            let spawnX = centerX; /* Default position */
+            let spawnY = centerY; /* Default position */
+            if (pattern.TYPE === 'random') { /* Independent random spots in top half */
+                spawnX = random.next() * width; /* Anywhere horizontally */
+                spawnY = random.next() * (height / 2); /* Top half */
+            } else if (pattern.TYPE === 'line') { /* Evenly spaced row */
+                spawnX = (width / (count + 1)) * (i + 1); /* Equal gaps across the width */
+            } else if (pattern.TYPE === 'ring') { /* Evenly spaced circle */
+                const ringAngle = (i / count) * Math.PI * 2; /* Angle for this slot */
+                spawnX = centerX + Math.cos(ringAngle) * spread; /* Ring X */
+                spawnY = centerY + Math.sin(ringAngle) * spread; /* Ring Y */
+            } else if (pattern.TYPE === 'burst') { /* Random cluster */
+                const burstAngle = random.next() * Math.PI * 2; /* Random direction from center */
+                const burstDistance = spread * Math.sqrt(random.next()); /* sqrt keeps cluster density uniform */
+                spawnX = centerX + Math.cos(burstAngle) * burstDistance; /* Burst X */
+                spawnY = centerY + Math.sin(burstAngle) * burstDistance; /* Burst Y */
+            }
+            const typeId = this.pickWeighted(this.currentWave.types).TYPE; /* Target type for this target */
+            const radius = this.randomRadius(); /* Size for this target */
+            spawnX = Math.max(radius, Math.min(width - radius, spawnX)); /* Clamp inside world */
+            spawnY = Math.max(radius, Math.min(height - radius, spawnY)); /* Clamp inside world */
+            this.simulation.spawnTarget(spawnX, spawnY, radius, this.currentWave.lifespan, /* Add target */
+                movement, heading, this.currentWave.speedMultiplier, typeId);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+class WeaponSystem { /* Weapon selection, fire modes, cooldowns, magazines and reloads - one per player, owned by GameSimulation */
+
+    constructor(simulation, player) { /* Bind to the simulation that spawns projectiles and the player who carries the weapons */
+        this.simulation = simulation; /* Provides createProjectile() and round ammo */
+        this.player = player; /* Fires from this player's position and spends their ammo */
+        this.weaponIds = Object.keys(CONFIG.WEAPONS); /* Slot order - number key N selects weaponIds[N - 1] */
+        this.magazines = {}; /* Rounds left in each weapon's magazine, keyed by weapon id */
+        this.reset(); /* Full magazines, default weapon */
+    }
+
+    reset() { /* Start-of-round weapon state */
+        this.weaponIds.forEach(weaponId => { /* Refill every weapon */
+            this.magazines[weaponId] = CONFIG.WEAPONS[weaponId].MAGAZINE; /* Full magazine */
+        });
+        this.currentWeaponId = CONFIG.DEFAULT_WEAPON; /* Equipped weapon */
+        this.cooldownRemaining = 0; /* Milliseconds until next shot allowed */
+        this.reloadRemaining = 0; /* Milliseconds until reload completes - 0 when not reloading */
+    }
+
+    get currentWeapon() { /* Settings of the equipped weapon */
+        return CONFIG.WEAPONS[this.currentWeaponId]; /* Read live so config edits apply */
+    }
+
+    get reloading() { /* Whether a reload is in progress */
+        return this.reloadRemaining > 0; /* Reload timer running */
+    }
+
+    selectSlot(slotNumber) { /* Equip weapon by 1-based slot number */
+        const weaponId = this.weaponIds[slotNumber - 1]; /* Weapon in slot */
+        if (!weaponId || weaponId === this.currentWeaponId) return; /* Empty slot or already equipped */
+        this.currentWeaponId = weaponId; /* Equip */
+        this.reloadRemaining = 0; /* Switching cancels a reload */
+        this.cooldownRemaining = 0; /* New weapon is ready immediately */
+        if (this.magazines[weaponId] <= 0) this.startReload(); /* Switched back to a weapon emptied before - its cancelled reload restarts */
+    }
+
+    startReload() { /* Begin refilling the equipped weapon */
+        const weapon = this.currentWeapon; /* Equipped weapon */
+        if (this.reloading || this.magazines[this.currentWeaponId] === weapon.MAGAZINE) return; /* Already reloading or full */
+        this.reloadRemaining = weapon.RELOAD_TIME; /* Start timer */
+    }
+
+    update(inputs, deltaMilliseconds) { /* Handle switching, reloading and firing for one step */
+        if (inputs.weaponSlot) this.selectSlot(inputs.weaponSlot); /* Number key pressed */
+        if (inputs.reloadRequested) this.startReload(); /* Reload key pressed */
+
+        this.cooldownRemaining = Math.max(0, this.cooldownRemaining - deltaMilliseconds); /* Count down fire cooldown */
+        if (this.reloading) { /* Reload in progress */
+            this.reloadRemaining = Math.max(0, this.reloadRemaining - deltaMilliseconds); /* Count down reload */
+            if (!this.reloading) this.magazines[this.currentWeaponId] = this.currentWeapon.MAGAZINE; /* Reload complete */
+            return; /* Cannot fire while reloading */
+        }
+
+        const wantsToFire = this.currentWeapon.FIRE_MODE === 'auto' /* Auto fires while held, semi only on press */
+            ? inputs.fireRequested || inputs.fireHeld
+            : inputs.fireRequested;
+        if (wantsToFire && this.cooldownRemaining === 0) { /* Trigger pulled and weapon ready */
+            this.fire(inputs.aimX, inputs.aimY); /* Shoot */
+        }
+    }
+
+    fire(aimX, aimY) { /* Spend one shot and spawn the weapon's projectiles */
+        const simulation = this.simulation; /* Owning simulation */
+        const weapon = this.currentWeapon; /* Equipped weapon */
+        const player = this.player; /* Shooter */
+        if (player.ammoRemaining <= 0) return; /* Player's share of round ammo exhausted - trigger does nothing */
+        if (this.magazines[this.currentWeaponId] <= 0) { /* Empty magazine - dry trigger pull */
+            this.startReload(); /* Refill instead of firing */
+            return; /* No shot */
+        }
+
+        const pellets = weapon.PELLETS ?? 1; /* Projectiles per shot */
+        const spread = weapon.SPREAD ?? 0; /* Fan angle */
+        const aimAngle = Math.atan2(aimY - player.y, aimX - player.x); /* Angle toward aim point */
+        let spawned = 0; /* Pellets the projectile pool accepted */
+        for (let i = 0; i < pellets; i++) { /* Fan pellets evenly across the spread */
+            const spreadOffset = pellets > 1 ? spread * (i / (pellets - 1) - 0.5) : 0; /* -spread/2 .. +spread/2 */
+            if (simulation.createProjectile(aimAngle + spreadOffset, weapon, player)) spawned++; /* Spawn pellet owned by this player */
+        }
+        if (spawned === 0) return; /* Pool refused every pellet under OVERFLOW 'refuse' - nothing fired, nothing spent */
+
+        player.ammoRemaining--; /* Ammo rounds count trigger pulls, not pellets */
+        simulation.round.ammoRemaining--; /* Round total across players */
+        this.magazines[this.currentWeaponId]--; /* Spend magazine round */
+        this.cooldownRemaining = weapon.COOLDOWN; /* Start fire cooldown */
+        if (simulation.effects) simulation.effects.muzzleFlash(player, aimAngle, spread); /* One flash per trigger pull */
+        if (simulation.audio) simulation.audio.shotFired(this.currentWeaponId, player, aimAngle); /* One shot sound per trigger pull */
+
+        if (this.magazines[this.currentWeaponId] <= 0) this.startReload(); /* Auto-reload on empty */
+    }
+}
@@ -0,0 +1,36 @@
+class AudioControls { /* Binds the volume DOM controls to the game's AudioSystem */
+
+    bindElements() { /* Look up audio control elements */
+        this.muteButton = document.getElementById('audioMute'); /* Mute toggle - also F8 */
+        this.masterSlider = document.getElementById('audioMaster'); /* Overall volume, 0 to 100 */
+        this.sfxSlider = document.getElementById('audioSfx'); /* Sound effect volume, 0 to 100 */
+    }
+
+    setupListeners() { /* Route control events to the audio system */
+        this.muteButton.addEventListener('click', () => { /* Flip mute */
+            this.audio.toggleMute(); /* Saved */
+            this.refresh(); /* New label */
+            this.muteButton.blur(); /* Return keys to the game */
+        });
+        this.masterSlider.addEventListener('input', () => this.audio.setMasterVolume(this.masterSlider.value / 100)); /* Live while dragging */
+        this.sfxSlider.addEventListener('input', () => this.audio.setSfxVolume(this.sfxSlider.value / 100)); /* Live while dragging */
+        [this.masterSlider, this.sfxSlider].forEach(slider => { /* Both sliders */
+            slider.addEventListener('change', () => slider.blur()); /* Return arrow keys to the game once released */
+        });
+    }
+
+    constructor(game) { /* Wire controls to a Game instance */
+        this.game = game; /* Game whose audio is controlled */
+        this.audio = game.audio; /* Volumes being shown and changed */
+        this.bindElements(); /* Find elements */
+        this.setupListeners(); /* Attach handlers */
+        this.refresh(); /* Saved volumes */
+    }
+
+    refresh() { /* Show the current settings - called after F8 too */
+        const settings = this.audio.settings; /* Volumes and mute */
+        this.muteButton.textContent = settings.muted ? 'Sound off' : 'Sound on'; /* State as label */
+        this.masterSlider.value = Math.round(settings.masterVolume * 100); /* Percent */
+        this.sfxSlider.value = Math.round(settings.sfxVolume * 100); /* Percent */
+    }
+}
@@ -0,0 +1,137 @@
+class ConfigPanel { /* Binds the config editor DOM panel - one input per CONFIG_SCHEMA field plus preset controls */
+
+    bindElements() { /* Look up config panel elements */
+        this.panelElement = document.getElementById('configPanel'); /* Whole panel - toggled with F2 */
+        this.fieldsElement = document.getElementById('configFields'); /* Generated field rows */
+        this.presetSelect = document.getElementById('configPreset'); /* Built-in and saved presets */
+        this.loadButton = document.getElementById('configLoad'); /* Apply selected preset */
+        this.deleteButton = document.getElementById('configDelete'); /* Forget selected saved preset */
+        this.exportButton = document.getElementById('configExport'); /* Download selected preset */
+        this.presetNameInput = document.getElementById('configPresetName'); /* Name for saving current values */
+        this.saveForm = document.getElementById('configSaveForm'); /* Name entry row */
+        this.importInput = document.getElementById('configImport'); /* File picker for preset JSON */
+        this.resetButton = document.getElementById('configReset'); /* Back to gameConfig.js values */
+        this.statusElement = document.getElementById('configStatus'); /* Apply, save and import feedback */
+    }
+
+    setupListeners() { /* Route panel events to the game */
+        this.loadButton.addEventListener('click', () => this.game.loadConfigPreset(this.presetSelect.value)); /* Apply preset */
+        this.deleteButton.addEventListener('click', () => this.game.deleteConfigPreset(this.presetSelect.value)); /* Forget preset */
+        this.exportButton.addEventListener('click', () => this.game.exportConfigPreset(this.presetSelect.value)); /* Download preset */
+        this.presetSelect.addEventListener('change', () => this.updatePresetButtons()); /* Built-ins cannot be deleted */
+        this.saveForm.addEventListener('submit', (event) => { /* Enter in the name field or Save button */
+            event.preventDefault(); /* Stay on the page */
+            this.game.saveConfigPreset(this.presetNameInput.value); /* Store current values */
+        });
+        this.importInput.addEventListener('change', () => this.readSelectedFile()); /* Load chosen file */
+        this.resetButton.addEventListener('click', () => this.game.resetConfig()); /* Defaults */
+    }
+
+    constructor(game) { /* Wire panel to a Game instance */
+        this.game = game; /* Game whose config methods are called */
+        this.inputs = {}; /* Path -> generated input element */
+        this.bindElements(); /* Find elements */
+        this.setupListeners(); /* Attach handlers */
+        this.buildFields(game.configManager.fields); /* One row per schema field */
+        this.refresh(game.configManager); /* Show current values */
+    }
+
+    buildFields(fields) { /* Create labelled inputs from the schema - sections become headings */
+        let section = null; /* Heading of the previous row */
+        fields.forEach(field => { /* One row per field */
+            const fieldSection = field.path.split('.')[0]; /* First path part */
+            if (fieldSection !== section) { /* New section starts */
+                section = fieldSection; /* Remember */
+                const heading = document.createElement('h3'); /* Section heading */
+                heading.textContent = section; /* CONFIG key */
+                this.fieldsElement.appendChild(heading); /* Add heading */
+            }
+            const row = document.createElement('label'); /* Clicking the text focuses the input */
+            row.className = 'config-field'; /* Grid row */
+            row.title = field.path; /* Full path for URL overrides */
+            const name = document.createElement('span'); /* Field title */
+            name.textContent = field.schema.title; /* Readable name */
+            const input = this.createInput(field); /* Matching control */
+            row.appendChild(name); /* Add title */
+            row.appendChild(input); /* Add control */
+            this.fieldsElement.appendChild(row); /* Add row */
+            this.inputs[field.path] = input; /* Refreshed after every change */
+        });
+    }
+
+    createInput(field) { /* Control for one field - select for enums, checkbox for booleans, number box otherwise */
+        const schema = field.schema; /* Type, enum and range */
+        let input; /* Control */
+        if (schema.enum) { /* Fixed choices */
+            input = document.createElement('select'); /* Dropdown */
+            schema.enum.forEach(value => { /* One option per choice */
+                const option = document.createElement('option'); /* Choice */
+                option.value = value; /* Submitted value */
+                option.textContent = value; /* Shown text */
+                input.appendChild(option); /* Add choice */
+            });
+        } else { /* Free value */
+            input = document.createElement('input'); /* Text-like control */
+            input.type = schema.type === 'boolean' ? 'checkbox' : 'number'; /* Booleans toggle */
+            if (schema.minimum !== undefined) input.min = schema.minimum; /* Browser-side range hint */
+            if (schema.maximum !== undefined) input.max = schema.maximum; /* Browser-side range hint */
+            if (input.type === 'number') input.step = schema.type === 'integer' ? '1' : 'any'; /* Whole numbers only where required */
+        }
+        input.disabled = !!schema.readOnly; /* Derived values are shown, not edited */
+        input.addEventListener('change', () => { /* Commit on enter, blur or toggle */
+            const value = input.type === 'checkbox' ? input.checked : ConfigManager.parseValue(input.value, schema); /* Typed value */
+            this.game.setConfigValue(field.path, value); /* Validate and apply */
+        });
+        return input; /* Ready to insert */
+    }
+
+    refresh(configManager) { /* Show current values and presets - called after every change */
+        configManager.fields.forEach(field => { /* Each generated input */
+            const input = this.inputs[field.path]; /* Control */
+            const value = configManager.get(field.path); /* Live value */
+            if (input.type === 'checkbox') input.checked = value; /* Toggle state */
+            else input.value = typeof value === 'number' ? String(Number(value.toFixed(6))) : value; /* Trim float noise such as 1/60 */
+            input.classList.toggle('config-changed', !field.schema.readOnly && value !== configManager.defaults[field.path]); /* Mark edits */
+        });
+        this.renderPresets(configManager.presetNames(), this.presetSelect.value); /* Saved list may have changed */
+    }
+
+    renderPresets(names, selected) { /* Rebuild the preset dropdown, keeping the selection when it still exists */
+        this.presetSelect.textContent = ''; /* Drop old options */
+        names.forEach(name => { /* One option per preset */
+            const option = document.createElement('option'); /* Choice */
+            option.value = name; /* Preset name */
+            option.textContent = this.game.configManager.isBuiltIn(name) ? name : `${name} (saved)`; /* Mark user presets */
+            this.presetSelect.appendChild(option); /* Add choice */
+        });
+        if (names.includes(selected)) this.presetSelect.value = selected; /* Keep selection */
+        this.updatePresetButtons(); /* Match delete to the selection */
+    }
+
+    updatePresetButtons() { /* Only saved presets can be deleted */
+        this.deleteButton.disabled = this.game.configManager.isBuiltIn(this.presetSelect.value); /* Built-ins stay */
+    }
+
+    selectPreset(name) { /* Point the dropdown at a preset just saved or loaded */
+        this.presetSelect.value = name; /* Select */
+        this.updatePresetButtons(); /* Match delete */
+    }
+
+    readSelectedFile() { /* Read preset file chosen in the picker */
+        const file = this.importInput.files[0]; /* First selected file */
+        if (!file) return; /* Picker cancelled */
+        const reader = new FileReader(); /* Browser file reader */
+        reader.onload = () => this.game.importConfigPresets(reader.result); /* Hand JSON text to game */
+        reader.readAsText(file); /* Read as UTF-8 text */
+        this.importInput.value = ''; /* Allow re-importing the same file */
+    }
+
+    toggle() { /* Show or hide the panel */
+        this.panelElement.hidden = !this.panelElement.hidden; /* Flip */
+        if (this.panelElement.hidden && this.panelElement.contains(document.activeElement)) document.activeElement.blur(); /* Return keys to the game */
+    }
+
+    showStatus(message) { /* Report apply, save and import outcomes */
+        this.statusElement.textContent = message; /* Show in the status line */
+    }
+}
@@ -0,0 +1,94 @@
+class ControlsPanel { /* Binds the controls DOM panel - lists key and gamepad bindings per action and captures remaps */
+
+    static LABELS = { /* Action -> text shown in the panel */
+        LEFT: 'Move left', RIGHT: 'Move right', UP: 'Move up', DOWN: 'Move down', /* Movement */
+        FIRE: 'Fire', RELOAD: 'Reload', WEAPON_PREV: 'Previous weapon', WEAPON_NEXT: 'Next weapon', /* Weapons */
+        SLOT_1: 'Weapon / mode 1', SLOT_2: 'Weapon / mode 2', SLOT_3: 'Weapon / mode 3', SLOT_4: 'Weapon / mode 4', SLOT_5: 'Weapon 5', /* Slots */
+        P2_LEFT: 'P2 move left', P2_RIGHT: 'P2 move right', P2_UP: 'P2 move up', P2_DOWN: 'P2 move down', /* Split keyboard movement */
+        P2_FIRE: 'P2 fire', P2_RELOAD: 'P2 reload', P2_WEAPON_NEXT: 'P2 next weapon', /* Split keyboard weapons */
+        PAUSE: 'Pause', CONFIRM: 'Start', RESTART: 'Restart', MENU: 'Menu', PLAYER_SETUP: 'Player setup', /* Round flow */
+        DEBUG_OVERLAY: 'Performance overlay', STRESS_TEST: 'Stress test', CONFIG_PANEL: 'Config editor', CONTROLS_PANEL: 'Controls editor', MUTE: 'Mute sound' /* Tools */
+    };
+
+    static BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right', 'Home']; /* Standard gamepad mapping */
+
+    static keyName(key) { /* Readable key label */
+        if (key === ' ') return 'Space'; /* Invisible otherwise */
+        return key.length === 1 ? key.toUpperCase() : key; /* Letters as printed on the keycap */
+    }
+
+    static buttonName(button) { /* Readable gamepad button label */
+        return ControlsPanel.BUTTON_NAMES[button] ?? `Button ${button}`; /* Non-standard pads fall back to the index */
+    }
+
+    bindElements() { /* Look up controls panel elements */
+        this.panelElement = document.getElementById('controlsPanel'); /* Whole panel - toggled with F1 */
+        this.rowsElement = document.getElementById('controlsRows'); /* Table body */
+        this.resetButton = document.getElementById('controlsReset'); /* Back to CONFIG bindings */
+        this.statusElement = document.getElementById('controlsStatus'); /* Capture prompt and feedback */
+    }
+
+    setupListeners() { /* Route panel events to the input manager */
+        this.resetButton.addEventListener('click', () => { /* Restore defaults */
+            this.input.cancelCapture(); /* Abandon any pending remap */
+            this.input.resetBindings(); /* Defaults, persisted */
+            this.renderRows(); /* Show them */
+            this.showStatus('Default controls restored'); /* Confirm */
+        });
+    }
+
+    constructor(game) { /* Wire panel to a Game instance */
+        this.game = game; /* Game whose input manager is edited */
+        this.input = game.input; /* Bindings being shown and changed */
+        this.bindElements(); /* Find elements */
+        this.setupListeners(); /* Attach handlers */
+        this.renderRows(); /* Current bindings */
+    }
+
+    renderRows() { /* Rebuild the binding table */
+        this.rowsElement.textContent = ''; /* Drop old rows */
+        Object.keys(this.input.bindings.keys).forEach(action => { /* One row per action */
+            const row = document.createElement('tr'); /* Table row */
+            [ /* Cell values */
+                ControlsPanel.LABELS[action] ?? action, /* Action */
+                this.input.bindings.keys[action].map(ControlsPanel.keyName).join(', ') || '-', /* Keys */
+                this.input.bindings.buttons[action].map(ControlsPanel.buttonName).join(', ') || '-' /* Gamepad buttons */
+            ].forEach(value => { /* Append cells */
+                const cell = document.createElement('td'); /* Table cell */
+                cell.textContent = value; /* Plain text */
+                row.appendChild(cell); /* Add to row */
+            });
+            const buttonCell = document.createElement('td'); /* Remap control */
+            const rebindButton = document.createElement('button'); /* Starts capture */
+            rebindButton.textContent = 'Rebind'; /* Label */
+            rebindButton.addEventListener('click', () => this.startCapture(action, rebindButton)); /* Wait for a key or button */
+            buttonCell.appendChild(rebindButton); /* Add button */
+            row.appendChild(buttonCell); /* Add cell */
+            this.rowsElement.appendChild(row); /* Add to table */
+        });
+    }
+
+    startCapture(action, rebindButton) { /* Prompt for the next key or gamepad button */
+        const label = ControlsPanel.LABELS[action] ?? action; /* Readable action */
+        this.showStatus(`Press a key or gamepad button for "${label}" - Esc cancels`); /* Prompt */
+        this.input.beginCapture(action, (device, input) => { /* Called once with the result */
+            rebindButton.blur(); /* Return keys to the game */
+            if (!device) { /* Cancelled */
+                this.showStatus('Rebind cancelled'); /* Feedback */
+                return; /* Old binding kept */
+            }
+            const name = device === 'keys' ? ControlsPanel.keyName(input) : ControlsPanel.buttonName(input); /* Readable input */
+            this.showStatus(`"${label}" is now ${name}`); /* Confirm */
+            this.renderRows(); /* Show the change */
+        });
+    }
+
+    toggle() { /* Show or hide the panel */
+        this.panelElement.hidden = !this.panelElement.hidden; /* Flip */
+        if (this.panelElement.hidden) this.input.cancelCapture(); /* A hidden prompt must not swallow the next key */
+    }
+
+    showStatus(message) { /* Report capture outcomes */
+        this.statusElement.textContent = message; /* Show in the status line */
+    }
+}
@@ -0,0 +1,86 @@
+class LeaderboardPanel { /* Binds the results DOM panel - name entry, top scores and JSON export/import */
+
+    bindElements() { /* Look up leaderboard panel elements */
+        this.panelElement = document.getElementById('leaderboardPanel'); /* Whole panel - hidden outside game over */
+        this.titleElement = document.getElementById('leaderboardTitle'); /* Mode heading */
+        this.nameForm = document.getElementById('leaderboardEntry'); /* Name entry row */
+        this.nameInput = document.getElementById('leaderboardName'); /* Player name field */
+        this.saveButton = document.getElementById('leaderboardSave'); /* Submit score */
+        this.rowsElement = document.getElementById('leaderboardRows'); /* Table body */
+        this.exportButton = document.getElementById('leaderboardExport'); /* Download board */
+        this.importInput = document.getElementById('leaderboardImport'); /* File picker for board JSON */
+        this.statusElement = document.getElementById('leaderboardStatus'); /* Save and import feedback */
+    }
+
+    setupListeners() { /* Route panel events to the game */
+        this.nameForm.addEventListener('submit', (event) => { /* Enter in the name field or Save button */
+            event.preventDefault(); /* Stay on the page */
+            this.game.saveLeaderboardEntry(this.nameInput.value); /* Record score */
+        });
+        this.exportButton.addEventListener('click', () => this.game.exportLeaderboard()); /* Download board */
+        this.importInput.addEventListener('change', () => this.readSelectedFile()); /* Load chosen file */
+    }
+
+    constructor(game) { /* Wire panel to a Game instance */
+        this.game = game; /* Game whose leaderboard methods are called */
+        this.bindElements(); /* Find elements */
+        this.setupListeners(); /* Attach handlers */
+    }
+
+    readSelectedFile() { /* Read leaderboard file chosen in the picker */
+        const file = this.importInput.files[0]; /* First selected file */
+        if (!file) return; /* Picker cancelled */
+        const reader = new FileReader(); /* Browser file reader */
+        reader.onload = () => this.game.importLeaderboard(reader.result); /* Hand JSON text to game */
+        reader.readAsText(file); /* Read as UTF-8 text */
+        this.importInput.value = ''; /* Allow re-importing the same file */
+    }
+
+    show(leaderboard, mode, canSave, lastName) { /* Open the panel for a finished round */
+        this.titleElement.textContent = `Top scores - ${CONFIG.ROUND_MODES[mode].LABEL}`; /* Mode heading */
+        this.nameForm.hidden = !canSave; /* Only offer entry for qualifying scores */
+        this.saveButton.disabled = !canSave; /* Guard against double submits */
+        this.nameInput.value = lastName; /* Remember previous name */
+        this.showStatus(canSave ? 'New high score - enter your name' : ''); /* Prompt */
+        this.renderRows(leaderboard.getEntries(mode), null); /* Current board */
+        this.panelElement.hidden = false; /* Reveal panel */
+        if (canSave) this.nameInput.focus(); /* Ready to type */
+    }
+
+    hide() { /* Close the panel when a round starts or the menu opens */
+        this.panelElement.hidden = true; /* Hide panel */
+        this.nameInput.blur(); /* Return keys to the game */
+    }
+
+    entrySaved(leaderboard, entry) { /* Lock name entry after a save */
+        this.nameForm.hidden = true; /* One entry per round */
+        this.saveButton.disabled = true; /* Guard against double submits */
+        this.nameInput.blur(); /* Return keys to the game */
+        this.showStatus(entry ? 'Score saved' : 'Score did not make the board'); /* Outcome */
+        this.renderRows(leaderboard.getEntries(entry ? entry.mode : this.game.simulation.mode), entry); /* Highlight new row */
+    }
+
+    renderRows(entries, highlightEntry) { /* Rebuild the score table */
+        this.rowsElement.textContent = ''; /* Drop old rows */
+        entries.forEach((entry, index) => { /* One row per entry */
+            const row = document.createElement('tr'); /* Table row */
+            if (entry === highlightEntry) row.className = 'leaderboard-new'; /* Mark the score just saved */
+            [ /* Cell values - textContent keeps imported names inert */
+                index + 1, /* Rank */
+                entry.name, /* Player */
+                entry.score, /* Score */
+                Number.isFinite(entry.accuracy) ? `${Math.round(entry.accuracy * 100)}%` : '-', /* Accuracy */
+                entry.date.slice(0, 10) /* Day played */
+            ].forEach(value => { /* Append cells */
+                const cell = document.createElement('td'); /* Table cell */
+                cell.textContent = value; /* Plain text */
+                row.appendChild(cell); /* Add to row */
+            });
+            this.rowsElement.appendChild(row); /* Add to table */
+        });
+    }
+
+    showStatus(message) { /* Report save and import outcomes */
+        this.statusElement.textContent = message; /* Show in the status line */
+    }
+}
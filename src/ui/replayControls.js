@@ -0,0 +1,80 @@
+class ReplayControls { /* Binds the replay DOM panel to Game replay methods */
+
+    bindElements() { /* Look up replay panel elements */
+        this.exportButton = document.getElementById('replayExport'); /* Download current recording */
+        this.importInput = document.getElementById('replayImport'); /* File picker for replay JSON */
+        this.playPauseButton = document.getElementById('replayPlayPause'); /* Toggle playback */
+        this.speedSelect = document.getElementById('replaySpeed'); /* Playback speed chooser */
+        this.seekSlider = document.getElementById('replaySeek'); /* Step scrubber */
+        this.exitButton = document.getElementById('replayExit'); /* Return to live play */
+        this.statusElement = document.getElementById('replayStatus'); /* Mode and progress text */
+    }
+
+    populateSpeeds() { /* Fill speed chooser from CONFIG */
+        CONFIG.REPLAY.SPEEDS.forEach(speed => { /* One option per supported speed */
+            const option = document.createElement('option'); /* New option element */
+            option.value = speed; /* Multiplier as value */
+            option.textContent = `${speed}x`; /* Human-readable label */
+            option.selected = speed === 1; /* Normal speed by default */
+            this.speedSelect.appendChild(option); /* Add to chooser */
+        });
+    }
+
+    setupListeners() { /* Route panel events to the game */
+        this.exportButton.addEventListener('click', () => this.game.exportReplay()); /* Download recording */
+        this.importInput.addEventListener('change', () => this.readSelectedFile()); /* Load chosen file */
+        this.playPauseButton.addEventListener('click', () => this.game.toggleReplayPause()); /* Pause or resume */
+        this.speedSelect.addEventListener('change', () => this.game.setReplaySpeed(parseFloat(this.speedSelect.value))); /* Change speed */
+        this.seekSlider.addEventListener('input', () => this.game.seekReplay(parseInt(this.seekSlider.value, 10))); /* Scrub to step */
+        this.exitButton.addEventListener('click', () => this.game.exitReplay()); /* Back to live play */
+    }
+
+    constructor(game) { /* Wire panel to a Game instance */
+        this.game = game; /* Game whose replay methods are called */
+        this.lastStatusText = ''; /* Last status written - avoids DOM writes every frame */
+        this.bindElements(); /* Find elements */
+        this.populateSpeeds(); /* Build speed options */
+        this.setupListeners(); /* Attach handlers */
+    }
+
+    readSelectedFile() { /* Read replay file chosen in the picker */
+        const file = this.importInput.files[0]; /* First selected file */
+        if (!file) return; /* Picker cancelled */
+        const reader = new FileReader(); /* Browser file reader */
+        reader.onload = () => this.game.loadReplay(reader.result); /* Hand JSON text to game */
+        reader.readAsText(file); /* Read as UTF-8 text */
+        this.importInput.value = ''; /* Allow re-importing the same file */
+    }
+
+    setReplayMode(replayPlayer) { /* Enable replay-only controls when a replay is loaded */
+        const isReplaying = replayPlayer !== null; /* Replay loaded */
+        this.playPauseButton.disabled = !isReplaying; /* Only usable during playback */
+        this.seekSlider.disabled = !isReplaying; /* Only usable during playback */
+        this.exitButton.disabled = !isReplaying; /* Only usable during playback */
+        this.exportButton.disabled = isReplaying; /* Export refers to the live recording */
+        this.seekSlider.max = isReplaying ? replayPlayer.replay.totalSteps : 0; /* Scrub range covers the recording */
+        this.speedSelect.value = '1'; /* New replays start at normal speed */
+    }
+
+    showError(message) { /* Report a failed import */
+        this.statusElement.textContent = message; /* Show reason in the status area */
+        this.lastStatusText = message; /* Keep message until status changes */
+    }
+
+    update(replayPlayer, recorder) { /* Refresh progress text and slider once per frame */
+        let statusText; /* Text for status area */
+        if (replayPlayer) { /* Playing back */
+            this.seekSlider.value = replayPlayer.currentStep; /* Move scrubber with playback */
+            this.playPauseButton.textContent = replayPlayer.paused ? 'Play' : 'Pause'; /* Reflect pause state */
+            statusText = `Replay ${replayPlayer.currentStep}/${replayPlayer.replay.totalSteps}${replayPlayer.finished ? ' (end)' : ''}`; /* Progress */
+        } else { /* Live play */
+            statusText = recorder.recording /* Live recording indicator */
+                ? `Recording seed ${recorder.seed}`
+                : `Recording stopped at step ${recorder.totalSteps} (${recorder.stopReason})`; /* Export holds the run up to here */
+        }
+        if (statusText !== this.lastStatusText) { /* Only touch DOM on change */
+            this.statusElement.textContent = statusText; /* Update status area */
+            this.lastStatusText = statusText; /* Remember shown text */
+        }
+    }
+}
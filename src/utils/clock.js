@@ -0,0 +1,18 @@
+class SimulationClock { /* Manually advanced clock injected into the simulation instead of Date.now */
+
+    constructor(startTime = 0) { /* Initialize clock at a given time in milliseconds */
+        this.currentTime = startTime; /* Current game time in milliseconds */
+    }
+
+    now() { /* Read current game time */
+        return this.currentTime; /* Milliseconds since simulation start */
+    }
+
+    reset(startTime = 0) { /* Rewind clock for a restarted or replayed run */
+        this.currentTime = startTime; /* Jump back to start time */
+    }
+
+    advance(milliseconds) { /* Move time forward by one step */
+        this.currentTime += milliseconds; /* Only the simulation step moves the clock */
+    }
+}
@@ -1,44 +1,222 @@
-class SpatialGrid { /* Grid-based spatial partitioning for efficient collision detection */
+class SpatialGrid { /* Grid-based spatial partitioning for efficient collision detection - integer-keyed and allocation-free after warm-up */
 
+    static KEY_OFFSET = 16384; /* Shifts cell coordinates positive so negative cells get unique integer keys */
+    static KEY_STRIDE = 32768; /* Cells per packed row - keys stay below 2^30, small integers the engine stores without boxing */
+
+    static entryTime(offsetX, offsetY, deltaX, deltaY, reach) { /* Fraction of a move (0-1) at which a point starting at offset from a circle's center first comes within reach, or -1 */
+        const c = offsetX * offsetX + offsetY * offsetY - reach * reach; /* Negative when starting inside */
+        if (c <= 0) return 0; /* Starts inside - hit immediately */
+        const a = deltaX * deltaX + deltaY * deltaY; /* Squared move length */
+        if (a === 0) return -1; /* Not moving and outside */
+        const b = 2 * (offsetX * deltaX + offsetY * deltaY); /* Projection term */
+        const discriminant = b * b - 4 * a * c; /* Real roots mean the path crosses the circle */
+        if (discriminant < 0) return -1; /* Path misses */
+        const entry = (-b - Math.sqrt(discriminant)) / (2 * a); /* First crossing */
+        return entry >= 0 && entry <= 1 ? entry : -1; /* Only crossings within this move */
+    }
+
+    static cellKey(cellX, cellY) { /* Unique integer key for a cell - avoids building strings every frame */
+        return (cellX + SpatialGrid.KEY_OFFSET) * SpatialGrid.KEY_STRIDE + (cellY + SpatialGrid.KEY_OFFSET); /* Row-major packing */
+    }
 
     constructor(cellSize) { /* Initialize grid with cell size */
         this.cellSize = cellSize; /* Size of each grid cell for partitioning */
-        this.grid = {}; /* Object to store grid cells and their contents */
+        this.cells = new Map(); /* Cell key -> { slots, count }, kept and reused across frames */
+        this.activeCells = []; /* Cells filled since the last clear, so clear touches only those */
+        this.objects = []; /* Slot -> object inserted this frame */
+        this.objectCount = 0; /* Slots used this frame */
+        this.queryStamps = new Uint32Array(256); /* Slot -> id of the last query that reported it, for de-duplication */
+        this.queryId = 0; /* Id of the current query */
+        this.results = []; /* Default result array - reused, valid until the next query that uses it */
+        this.rayDistances = []; /* Entry distance per raycast result, kept parallel to the results */
+    }
+
+    clear() { /* Reset grid for new frame without freeing cell storage */
+        for (let i = 0; i < this.activeCells.length; i++) { /* Only cells that were used */
+            this.activeCells[i].count = 0; /* Empty - slots array keeps its capacity */
+        }
+        this.activeCells.length = 0; /* No active cells */
+        this.objectCount = 0; /* Slots are reused from zero */
     }
 
-    clear() { /* Reset grid for new frame */
-        this.grid = {}; /* Clear all cells */
+    cellCoordinate(position) { /* Cell index along one axis */
+        return Math.floor(position / this.cellSize); /* Cells start at the origin */
     }
 
-    addObject(object, index) { /* Add object to appropriate grid cell */
-        const cellX = Math.floor(object.x / this.cellSize); /* Calculate cell X coordinate */
-        const cellY = Math.floor(object.y / this.cellSize); /* Calculate cell Y coordinate */
-        const cellKey = `${cellX},${cellY}`; /* Create unique key for cell */
-        
-        if (!this.grid[cellKey]) { /* Check if cell exists */
-            this.grid[cellKey] = []; /* Create new cell array if needed */
+    getCell(cellX, cellY) { /* Storage for a cell, created on first use and kept afterwards */
+        const key = SpatialGrid.cellKey(cellX, cellY); /* Integer key */
+        let cell = this.cells.get(key); /* Existing storage */
+        if (!cell) { /* First object ever in this cell */
+            cell = { slots: [], count: 0, cellX, cellY }; /* Allocated once per cell for the grid's lifetime - count avoids length resets that drop capacity */
+            this.cells.set(key, cell); /* Keep for reuse */
         }
-        
-        this.grid[cellKey].push({ obj: object, index }); /* Add object and its index to cell */
+        return cell; /* Cell storage */
     }
 
+    addObject(object) { /* Insert object into every cell its bounding box overlaps - object needs x, y and optional radius */
+        const radius = object.radius || 0; /* Points have no extent */
+        this.insertBounds(this.allocateSlot(object), object.x - radius, object.y - radius, object.x + radius, object.y + radius); /* Current bounds */
+    }
 
-    getNearbyObjects(x, y) { /* Get objects in and around specified position */
-        const cellX = Math.floor(x / this.cellSize); /* Get center cell X coordinate */
-        const cellY = Math.floor(y / this.cellSize); /* Get center cell Y coordinate */
-        const nearby = []; /* Array to store nearby objects */
+    addSweptObject(object) { /* Insert a moving object into every cell its path this step overlaps - uses previousX/previousY to x/y */
+        const radius = object.radius || 0; /* Points have no extent */
+        this.insertBounds(this.allocateSlot(object), /* Bounds of the whole move */
+            Math.min(object.previousX, object.x) - radius, Math.min(object.previousY, object.y) - radius,
+            Math.max(object.previousX, object.x) + radius, Math.max(object.previousY, object.y) + radius);
+    }
 
-        for (let offsetX = -1; offsetX <= 1; offsetX++) { /* Check surrounding cells horizontally */
-            for (let offsetY = -1; offsetY <= 1; offsetY++) { /* Check surrounding cells vertically */
-                const checkKey = `${cellX + offsetX},${cellY + offsetY}`; /* Calculate cell key */
-                if (this.grid[checkKey]) { /* If cell exists */
-                    nearby.push(...this.grid[checkKey]); /* Add all objects in cell */
-                }
+    allocateSlot(object) { /* Give an object a slot for this frame */
+        const slot = this.objectCount++; /* Next free slot */
+        this.objects[slot] = object; /* Remember object by slot */
+        if (slot >= this.queryStamps.length) { /* Stamp table full - rare, grows by doubling */
+            const grown = new Uint32Array(this.queryStamps.length * 2); /* Larger table */
+            grown.set(this.queryStamps); /* Keep existing stamps */
+            this.queryStamps = grown; /* Use larger table */
+        }
+        this.queryStamps[slot] = 0; /* Not reported by any query yet */
+        return slot; /* Slot to insert */
+    }
+
+    insertBounds(slot, minX, minY, maxX, maxY) { /* Add a slot to every cell a rectangle overlaps */
+        const minCellX = this.cellCoordinate(minX); /* Leftmost overlapped cell */
+        const maxCellX = this.cellCoordinate(maxX); /* Rightmost overlapped cell */
+        const minCellY = this.cellCoordinate(minY); /* Top overlapped cell */
+        const maxCellY = this.cellCoordinate(maxY); /* Bottom overlapped cell */
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) { /* Every overlapped column */
+            for (let cellY = minCellY; cellY <= maxCellY; cellY++) { /* Every overlapped row */
+                const cell = this.getCell(cellX, cellY); /* Cell storage */
+                if (cell.count === 0) this.activeCells.push(cell); /* First object this frame - clear must empty it */
+                cell.slots[cell.count++] = slot; /* Store slot, not a wrapper object */
             }
         }
+    }
 
-        return nearby; /* Return array of nearby objects */
+    beginQuery(out) { /* Start a query - new id for de-duplication and an empty result array */
+        this.queryId++; /* Fresh id so stamps from earlier queries do not count */
+        if (this.queryId === 0xFFFFFFFF) { /* Id about to wrap */
+            this.queryStamps.fill(0); /* Forget all stamps */
+            this.queryId = 1; /* Restart ids */
+        }
+        out.length = 0; /* Reuse caller's array */
     }
 
+    collectCell(cellX, cellY, out) { /* Append a cell's objects not yet reported by this query */
+        const cell = this.cells.get(SpatialGrid.cellKey(cellX, cellY)); /* Cell storage */
+        if (!cell) return; /* Never used */
+        for (let i = 0; i < cell.count; i++) { /* Each slot in cell */
+            const slot = cell.slots[i]; /* Object slot */
+            if (this.queryStamps[slot] === this.queryId) continue; /* Already reported - object spans several cells */
+            this.queryStamps[slot] = this.queryId; /* Mark reported */
+            out.push(this.objects[slot]); /* Candidate */
+        }
+    }
 
+    collectRect(minX, minY, maxX, maxY, out) { /* Candidates from every cell overlapping a rectangle */
+        const maxCellX = this.cellCoordinate(maxX); /* Rightmost cell */
+        const maxCellY = this.cellCoordinate(maxY); /* Bottom cell */
+        for (let cellX = this.cellCoordinate(minX); cellX <= maxCellX; cellX++) { /* Every overlapped column */
+            for (let cellY = this.cellCoordinate(minY); cellY <= maxCellY; cellY++) { /* Every overlapped row */
+                this.collectCell(cellX, cellY, out); /* Add unseen objects */
+            }
+        }
+    }
+
+    queryCircle(x, y, radius, out = this.results) { /* Objects whose circle overlaps or touches the given circle, each reported once - touching counts, as in entryTime */
+        this.beginQuery(out); /* Fresh query */
+        this.collectRect(x - radius, y - radius, x + radius, y + radius, out); /* Broad phase */
+        let kept = 0; /* Compact exact hits to the front */
+        for (let i = 0; i < out.length; i++) { /* Exact test */
+            const object = out[i]; /* Candidate */
+            const deltaX = object.x - x; /* Horizontal offset */
+            const deltaY = object.y - y; /* Vertical offset */
+            const reach = radius + (object.radius || 0); /* Touching distance */
+            if (deltaX * deltaX + deltaY * deltaY <= reach * reach) out[kept++] = object; /* Overlapping or touching - squared to skip sqrt */
+        }
+        out.length = kept; /* Drop misses */
+        return out; /* Hits */
+    }
+
+    queryRect(minX, minY, maxX, maxY, out = this.results) { /* Objects whose circle overlaps or touches an axis-aligned rectangle, each reported once - touching counts, as in entryTime */
+        this.beginQuery(out); /* Fresh query */
+        this.collectRect(minX, minY, maxX, maxY, out); /* Broad phase */
+        let kept = 0; /* Compact exact hits to the front */
+        for (let i = 0; i < out.length; i++) { /* Exact test */
+            const object = out[i]; /* Candidate */
+            const deltaX = object.x - Math.max(minX, Math.min(maxX, object.x)); /* Offset from nearest point on rect */
+            const deltaY = object.y - Math.max(minY, Math.min(maxY, object.y)); /* Offset from nearest point on rect */
+            const radius = object.radius || 0; /* Object extent */
+            if (deltaX * deltaX + deltaY * deltaY <= radius * radius) out[kept++] = object; /* Inside or touching */
+        }
+        out.length = kept; /* Drop misses */
+        return out; /* Hits */
+    }
+
+    querySwept(startX, startY, endX, endY, radius, out = this.results) { /* Broad phase for a circle moving from start to end - candidates whose cells overlap the swept bounds */
+        this.beginQuery(out); /* Fresh query */
+        this.collectRect( /* Bounds of the whole move */
+            Math.min(startX, endX) - radius, Math.min(startY, endY) - radius,
+            Math.max(startX, endX) + radius, Math.max(startY, endY) + radius, out);
+        return out; /* Candidates - caller computes time of impact, which depends on how each candidate moved */
+    }
+
+    raycast(startX, startY, endX, endY, out = this.results) { /* Objects hit by a segment, nearest first - visits only cells the segment crosses */
+        this.beginQuery(out); /* Fresh query */
+        this.rayDistances.length = 0; /* Entry fractions parallel to out */
+        const deltaX = endX - startX; /* Segment extent X */
+        const deltaY = endY - startY; /* Segment extent Y */
+        let cellX = this.cellCoordinate(startX); /* Current cell X */
+        let cellY = this.cellCoordinate(startY); /* Current cell Y */
+        const endCellX = this.cellCoordinate(endX); /* Last cell X */
+        const endCellY = this.cellCoordinate(endY); /* Last cell Y */
+        const stepX = Math.sign(deltaX); /* Column direction */
+        const stepY = Math.sign(deltaY); /* Row direction */
+        const boundaryDeltaX = deltaX !== 0 ? this.cellSize / Math.abs(deltaX) : Infinity; /* Segment fraction per column */
+        const boundaryDeltaY = deltaY !== 0 ? this.cellSize / Math.abs(deltaY) : Infinity; /* Segment fraction per row */
+        let nextBoundaryX = deltaX !== 0 ? ((cellX + (stepX > 0 ? 1 : 0)) * this.cellSize - startX) / deltaX : Infinity; /* Fraction at first column edge */
+        let nextBoundaryY = deltaY !== 0 ? ((cellY + (stepY > 0 ? 1 : 0)) * this.cellSize - startY) / deltaY : Infinity; /* Fraction at first row edge */
+        let cellsLeft = Math.abs(endCellX - cellX) + Math.abs(endCellY - cellY); /* Cell crossings to the end cell */
+
+        let candidateStart = 0; /* First candidate from the current cell */
+        while (true) { /* Walk cells in order along the segment */
+            this.collectCell(cellX, cellY, out); /* Add unseen objects */
+            let kept = candidateStart; /* Compact this cell's exact hits */
+            for (let i = candidateStart; i < out.length; i++) { /* Exact test for new candidates */
+                const object = out[i]; /* Candidate */
+                const entry = SpatialGrid.entryTime(startX - object.x, startY - object.y, deltaX, deltaY, object.radius || 0); /* Entry fraction */
+                if (entry < 0) continue; /* Missed */
+                out[kept] = object; /* Keep hit */
+                this.rayDistances[kept] = entry; /* Keep its distance */
+                kept++; /* Count hit */
+            }
+            out.length = kept; /* Drop misses */
+            candidateStart = kept; /* Next cell's candidates start here */
+            if (cellsLeft-- <= 0) break; /* Reached the end cell */
+            if (nextBoundaryX < nextBoundaryY) { /* Column edge comes first */
+                cellX += stepX; /* Next column */
+                nextBoundaryX += boundaryDeltaX; /* Following column edge */
+            } else { /* Row edge comes first */
+                cellY += stepY; /* Next row */
+                nextBoundaryY += boundaryDeltaY; /* Following row edge */
+            }
+        }
+        this.rayDistances.length = out.length; /* Keep arrays parallel */
+        this.sortByDistance(out); /* Nearest first */
+        return out; /* Hits */
+    }
+
+    sortByDistance(out) { /* Insertion sort of results by entry fraction - in place, lists are short */
+        const distances = this.rayDistances; /* Parallel entry fractions */
+        for (let i = 1; i < out.length; i++) { /* Grow sorted prefix */
+            const object = out[i]; /* Item to place */
+            const distance = distances[i]; /* Its key */
+            let j = i - 1; /* Scan sorted prefix backwards */
+            while (j >= 0 && distances[j] > distance) { /* Shift larger keys right */
+                out[j + 1] = out[j]; /* Move object */
+                distances[j + 1] = distances[j]; /* Move key */
+                j--; /* Continue scan */
+            }
+            out[j + 1] = object; /* Insert object */
+            distances[j + 1] = distance; /* Insert key */
+        }
+    }
 }
@@ -0,0 +1,105 @@
+class EntityStore { /* Dense list of live entities with stable ids, generation-checked handles and deferred swap-removal */
+
+    static ID_CAPACITY = 1048576; /* Ids per generation - handles pack generation * ID_CAPACITY + id and stay exact integers */
+
+    constructor(releaseEntity) { /* Create an empty store - releaseEntity(entity) runs once a removal is flushed, usually returning it to a pool */
+        this.releaseEntity = releaseEntity; /* Called for every entity leaving the store */
+        this.active = []; /* Live entities plus those pending removal, in no particular order - iterate by index */
+        this.entities = []; /* Id -> entity currently holding that id, or null */
+        this.generations = []; /* Id -> generation, bumped each time the id is freed so old handles go stale */
+        this.freeIds = []; /* Ids available for reuse */
+        this.pendingRemovals = []; /* Entities removed since the last flush */
+    }
+
+    get count() { /* Number of entities in the dense list, including any pending removal */
+        return this.active.length; /* Dense length */
+    }
+
+    add(entity) { /* Give an entity an id and append it to the dense list - a detached entity re-added before the flush takes back its own slot */
+        const id = this.freeIds.length > 0 ? this.freeIds.pop() : this.entities.length; /* Reuse a freed id or take the next one */
+        if (id >= EntityStore.ID_CAPACITY) throw new Error(`EntityStore is full (${EntityStore.ID_CAPACITY} entities)`); /* Handles would collide */
+        if (id === this.entities.length) this.generations.push(0); /* First use of this id */
+        this.entities[id] = entity; /* Id lookup */
+        entity.entityId = id; /* Stable for the entity's whole life in the store */
+        entity.entityGeneration = this.generations[id]; /* Distinguishes this life from earlier holders of the id */
+        entity.alive = true; /* Cleared by remove() */
+        if (entity.detachPending === true) { /* Reclaimed by its pool and handed straight back - still sits in the dense list */
+            this.pendingRemovals.splice(this.pendingRemovals.indexOf(entity), 1); /* Stays after all - splice keeps the flush order */
+            entity.detachPending = false; /* New life in the old slot - nothing moves */
+            return entity; /* Convenience for chaining */
+        }
+        entity.denseIndex = this.active.length; /* Position for swap-removal */
+        this.active.push(entity); /* Visible to iteration immediately */
+        return entity; /* Convenience for chaining */
+    }
+
+    isAlive(entity) { /* Whether the entity is in the store and not removed - false for stale references to recycled objects */
+        const id = entity.entityId; /* Id it was given */
+        return entity.alive === true && this.entities[id] === entity && this.generations[id] === entity.entityGeneration; /* Same object, same life */
+    }
+
+    handleOf(entity) { /* Number that refers to this life of the entity only - safe to hold across steps */
+        return entity.entityGeneration * EntityStore.ID_CAPACITY + entity.entityId; /* Packed generation and id */
+    }
+
+    get(handle) { /* Entity for a handle, or null if it has been removed or its id reused since */
+        const id = handle % EntityStore.ID_CAPACITY; /* Unpack id */
+        const entity = this.entities[id]; /* Current holder */
+        if (!entity || this.generations[id] !== (handle - id) / EntityStore.ID_CAPACITY) return null; /* Id freed or reused */
+        return entity.alive ? entity : null; /* Pending removal counts as gone */
+    }
+
+    remove(entity) { /* Mark an entity dead - it stays in the dense list until flush() so indices held by running loops stay valid */
+        if (!this.isAlive(entity)) return false; /* Already removed this step, or never added */
+        entity.alive = false; /* Skipped by isAlive and get from now on */
+        this.pendingRemovals.push(entity); /* Dropped and released at the next flush */
+        return true; /* Removed by this call */
+    }
+
+    flush() { /* Swap-remove everything marked dead and release it - call between passes, never inside one */
+        for (let i = 0; i < this.pendingRemovals.length; i++) { /* Indexed loop avoids iterator allocation */
+            const entity = this.pendingRemovals[i]; /* Entity leaving the store */
+            const last = this.active.pop(); /* Fill the hole with the last entity */
+            if (last !== entity) { /* Entity was not already at the end */
+                this.active[entity.denseIndex] = last; /* Move last into the freed slot */
+                last.denseIndex = entity.denseIndex; /* Keep its position current */
+            }
+            if (entity.detachPending === true) { /* Its pool already reclaimed it and its id is already free */
+                entity.detachPending = false; /* Plain pooled object again */
+                continue; /* Not ours to release */
+            }
+            this.freeId(entity.entityId); /* Invalidate handles and recycle the id */
+            this.releaseEntity(entity); /* Hand back to the owner */
+        }
+        this.pendingRemovals.length = 0; /* Reuse array */
+    }
+
+    detach(entity) { /* Drop an entity without releasing it - for pools reclaiming an object under DROP_OLDEST, possibly mid-pass, so its slot empties at the next flush like remove() */
+        if (entity.detachPending === true) return; /* Already detached this step */
+        if (entity.alive) this.pendingRemovals.push(entity); /* Queue the slot for the flush - removed entities are queued already */
+        entity.alive = false; /* Stale references see it as gone */
+        entity.detachPending = true; /* Flush must not release it - the pool owns it again */
+        this.freeId(entity.entityId); /* Invalidate handles now - the object starts a new life before the flush */
+    }
+
+    clear() { /* Release every entity, live or pending, and empty the store */
+        for (let i = 0; i < this.active.length; i++) { /* Indexed loop avoids iterator allocation */
+            const entity = this.active[i]; /* Entity leaving the store */
+            entity.alive = false; /* Stale references see it as gone */
+            if (entity.detachPending === true) { /* Reclaimed by its pool - id freed and not ours to release */
+                entity.detachPending = false; /* Plain pooled object again */
+                continue; /* Next entity */
+            }
+            this.freeId(entity.entityId); /* Invalidate handles and recycle the id */
+            this.releaseEntity(entity); /* Hand back to the owner */
+        }
+        this.active.length = 0; /* Empty dense list */
+        this.pendingRemovals.length = 0; /* Already released above */
+    }
+
+    freeId(id) { /* Retire an id's current generation */
+        this.entities[id] = null; /* No holder */
+        this.generations[id]++; /* Outstanding handles no longer match */
+        this.freeIds.push(id); /* Available to the next add */
+    }
+}
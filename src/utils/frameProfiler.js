@@ -0,0 +1,71 @@
+class FrameProfiler { /* Per-frame section timings and counters with a fixed-length history for the debug overlay graph */
+
+    static SECTIONS = ['update', 'collision', 'render']; /* Timed sections, in graph stacking order */
+    static PARENTS = { collision: 'update' }; /* Nested section -> enclosing section, which reports self time only */
+
+    constructor(historyLength = CONFIG.DEBUG.GRAPH_FRAMES, now = () => performance.now()) { /* Create empty history - now is injectable for tests */
+        this.historyLength = historyLength; /* Frames kept per section */
+        this.now = now; /* Millisecond timer */
+        this.history = {}; /* Section -> ring buffer of milliseconds per frame */
+        this.current = {}; /* Section -> milliseconds so far this frame */
+        this.startTimes = {}; /* Section -> timer value at begin() */
+        FrameProfiler.SECTIONS.forEach(section => { /* Preallocate every section */
+            this.history[section] = new Float32Array(historyLength); /* Zero-filled history */
+            this.current[section] = 0; /* Nothing timed yet */
+            this.startTimes[section] = 0; /* Not started */
+        });
+        this.counters = {}; /* Counter name -> total so far this frame */
+        this.lastCounters = {}; /* Counter name -> total for the last finished frame */
+        this.cursor = 0; /* Next history slot to write */
+        this.frames = 0; /* Frames recorded, capped at historyLength */
+    }
+
+    beginFrame() { /* Zero this frame's timings and counters */
+        for (let i = 0; i < FrameProfiler.SECTIONS.length; i++) { /* Indexed loop avoids closure allocation */
+            this.current[FrameProfiler.SECTIONS[i]] = 0; /* Fresh timing */
+        }
+        for (const name in this.counters) { /* Keep keys so the object shape stays stable */
+            this.counters[name] = 0; /* Fresh count */
+        }
+    }
+
+    begin(section) { /* Start timing a section - sections may run several times per frame */
+        this.startTimes[section] = this.now(); /* Remember start */
+    }
+
+    end(section) { /* Stop timing a section and add the elapsed time to this frame */
+        const elapsed = this.now() - this.startTimes[section]; /* Milliseconds since begin */
+        this.current[section] += elapsed; /* Accumulate */
+        const parent = FrameProfiler.PARENTS[section]; /* Enclosing section, if nested */
+        if (parent) this.current[parent] -= elapsed; /* Parent reports its own work only, so stacked bars do not double count */
+    }
+
+    count(name, amount = 1) { /* Add to a per-frame counter */
+        this.counters[name] = (this.counters[name] ?? 0) + amount; /* Created on first use */
+    }
+
+    endFrame() { /* Store this frame in the history */
+        for (let i = 0; i < FrameProfiler.SECTIONS.length; i++) { /* Indexed loop avoids closure allocation */
+            const section = FrameProfiler.SECTIONS[i]; /* Section name */
+            this.history[section][this.cursor] = this.current[section]; /* Write slot */
+        }
+        for (const name in this.counters) { /* Publish counters */
+            this.lastCounters[name] = this.counters[name]; /* Readable until the next endFrame */
+        }
+        this.cursor = (this.cursor + 1) % this.historyLength; /* Advance ring */
+        this.frames = Math.min(this.frames + 1, this.historyLength); /* Filled slots */
+    }
+
+    sample(section, framesAgo) { /* Milliseconds a section took framesAgo frames back - 0 is the last finished frame */
+        const index = (this.cursor - 1 - framesAgo + this.historyLength * 2) % this.historyLength; /* Wrap backwards */
+        return this.history[section][index]; /* Stored timing */
+    }
+
+    frameTime(framesAgo) { /* Sum of all sections for one recorded frame */
+        let total = 0; /* Milliseconds */
+        for (let i = 0; i < FrameProfiler.SECTIONS.length; i++) { /* Indexed loop avoids closure allocation */
+            total += this.sample(FrameProfiler.SECTIONS[i], framesAgo); /* Add section */
+        }
+        return total; /* Whole frame */
+    }
+}
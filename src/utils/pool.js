@@ -1,29 +1,114 @@
 class ObjectPool { /* Manages reusable object pools to reduce garbage collection */
 
-    localprepool(createFn){ /* Class local predeclaring, just for readability */
+    static OVERFLOW = { /* What get() does when maxSize objects exist and none are free */
+        GROW: 'grow', /* Allocate anyway - maxSize is only a warning level */
+        DROP_OLDEST: 'dropOldest', /* Reclaim the longest-held object - onEvict tells its owner to forget it */
+        REFUSE: 'refuse' /* Return null - caller skips the spawn */
+    };
+
+    localprepool(createFn, options){ /* Class local predeclaring, just for readability */
         this.pool = []; /* Array to store inactive objects */
         this.createFn = createFn; /* Function to create new objects when needed */
+        this.resetFn = options.reset ?? null; /* Clears an object on release so the next owner gets clean state */
+        this.maxSize = options.maxSize ?? Infinity; /* Most objects this pool will create before overflowing */
+        this.overflow = options.overflow ?? ObjectPool.OVERFLOW.GROW; /* Behavior past maxSize */
+        this.onEvict = options.onEvict ?? (() => {}); /* Owner hook for DROP_OLDEST - must drop the object without releasing it */
+        this.debugChecks = options.debugChecks ?? false; /* Track pooled objects to catch double-release and use-after-release */
+        this.pooled = this.debugChecks ? new Set() : null; /* Objects currently sitting in the pool - debug only */
+        this.inUseOrder = this.overflow === ObjectPool.OVERFLOW.DROP_OLDEST ? new Set() : null; /* Objects in use, oldest first - DROP_OLDEST only */
+
+        this.allocations = 0; /* Objects created by createFn, including pre-warm */
+        this.hits = 0; /* get() calls served from the pool */
+        this.misses = 0; /* get() calls that had to allocate */
+        this.releases = 0; /* release() calls */
+        this.evictions = 0; /* Objects reclaimed from their owner under DROP_OLDEST */
+        this.refusals = 0; /* get() calls that returned null under REFUSE */
+        this.inUse = 0; /* Objects handed out and not yet released */
+        this.highWaterMark = 0; /* Most objects in use at once */
     }
 
     initialize(size) { /* Create initial set of objects */
-        for (let i = 0; i < size; i++) { /* Loop for initial pool size */
-            this.pool.push(this.createFn()); /* Create and store new object */
+        const count = Math.min(size, this.maxSize); /* Never pre-warm past capacity */
+        for (let i = 0; i < count; i++) { /* Loop for initial pool size */
+            const object = this.allocate(); /* Create new object */
+            if (this.debugChecks) this.pooled.add(object); /* Starts out pooled */
+            this.pool.push(object); /* Store for first use */
+        }
+    }
+
+    allocate() { /* Create a brand new object and count it */
+        this.allocations++; /* Telemetry - should stop climbing once the pool is warm */
+        return this.createFn(); /* New object */
+    }
+
+    get() { /* Retrieve an object from the pool - null only when full under REFUSE */
+        let object; /* Object to hand out */
+        if (this.pool.length > 0) { /* Free object available */
+            object = this.pool.pop(); /* Reuse */
+            this.hits++; /* Served without allocating */
+        } else if (this.allocations < this.maxSize || this.overflow === ObjectPool.OVERFLOW.GROW) { /* Room to grow */
+            object = this.allocate(); /* Create new */
+            this.misses++; /* Pool was empty */
+        } else if (this.overflow === ObjectPool.OVERFLOW.DROP_OLDEST && this.inUse > 0) { /* Full - take back the oldest */
+            return this.evictOldest(); /* Still in use, now by a new owner */
+        } else { /* Full and refusing */
+            this.refusals++; /* Telemetry */
+            return null; /* Caller must cope */
         }
+        if (this.debugChecks) this.pooled.delete(object); /* Handed out - in use again */
+        if (this.inUseOrder) this.inUseOrder.add(object); /* Newest in use */
+        this.inUse++; /* One more handed out */
+        if (this.inUse > this.highWaterMark) this.highWaterMark = this.inUse; /* Track peak */
+        return object; /* Object for the caller to initialize */
     }
 
-    get() { /* Retrieve an object from the pool */
-        return this.pool.length > 0 ? this.pool.pop() : this.createFn(); /* Return existing or create new */
+    evictOldest() { /* Reclaim the longest-held object for a new owner */
+        const object = this.inUseOrder.values().next().value; /* Oldest in use - iterator only allocated on overflow */
+        this.onEvict(object); /* Previous owner drops it */
+        if (this.resetFn) this.resetFn(object); /* Clean state for the new owner */
+        this.inUseOrder.delete(object); /* Move to the back of the order */
+        this.inUseOrder.add(object); /* Now the newest */
+        this.evictions++; /* Telemetry */
+        return object; /* In-use count is unchanged */
     }
 
     release(object) { /* Return an object to the pool */
+        if (this.debugChecks) { /* Catch lifecycle bugs before they corrupt a recycled object */
+            if (this.pooled.has(object)) throw new Error('ObjectPool: object released twice'); /* Would be handed out to two owners */
+            this.pooled.add(object); /* Now pooled */
+        }
+        if (this.resetFn) this.resetFn(object); /* Clear leftovers from this life */
+        if (this.inUseOrder) this.inUseOrder.delete(object); /* No longer eligible for eviction */
+        this.inUse--; /* One fewer handed out */
+        this.releases++; /* Telemetry */
         this.pool.push(object); /* Store object for reuse */
     }
-    
-    constructor(createFn, initialSize = 20) { /* Initialize pool with factory function and size */
 
-        this.localprepool(createFn); /* Class local predeclaring, just for readability */
-        this.initialize(initialSize); /* Fill pool with initial objects */
+    assertInUse(object) { /* Throw if a caller still holds an object it already released - no-op unless debug checks are on */
+        if (this.debugChecks && this.pooled.has(object)) throw new Error('ObjectPool: object used after release'); /* Stale reference */
     }
 
-}
+    getStats(out = {}) { /* Copy counters into out - pass the same object each frame to avoid allocating */
+        out.available = this.pool.length; /* Free objects */
+        out.inUse = this.inUse; /* Handed out */
+        out.highWaterMark = this.highWaterMark; /* Peak in use */
+        out.allocations = this.allocations; /* Objects created */
+        out.hits = this.hits; /* Reuses */
+        out.misses = this.misses; /* Allocations after pre-warm */
+        out.releases = this.releases; /* Returns */
+        out.evictions = this.evictions; /* DROP_OLDEST reclaims */
+        out.refusals = this.refusals; /* REFUSE nulls */
+        out.maxSize = this.maxSize; /* Capacity */
+        return out; /* Same object passed in */
+    }
+
+    constructor(createFn, options = {}) { /* Initialize pool - options: initialSize, maxSize, overflow, reset, onEvict, debugChecks */
+        if (!Object.values(ObjectPool.OVERFLOW).includes(options.overflow ?? ObjectPool.OVERFLOW.GROW)) { /* Typos would silently grow */
+            throw new Error(`Unknown pool overflow mode "${options.overflow}"`); /* Fail loudly */
+        }
 
+        this.localprepool(createFn, options); /* Class local predeclaring, just for readability */
+        this.initialize(options.initialSize ?? 20); /* Fill pool with initial objects */
+    }
+
+}
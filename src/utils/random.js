@@ -0,0 +1,23 @@
+class SeededRandom { /* Deterministic pseudo-random generator (mulberry32) so a seed reproduces an identical run */
+
+    constructor(seed = 1) { /* Initialize generator with a 32-bit seed */
+        this.setSeed(seed); /* Store initial seed and state */
+    }
+
+    setSeed(seed) { /* Restart the sequence from a new seed */
+        this.seed = seed >>> 0; /* Force seed to an unsigned 32-bit integer */
+        this.state = this.seed; /* Generator state starts at the seed */
+    }
+
+    next() { /* Return next float in [0, 1) - drop-in replacement for Math.random */
+        this.state = (this.state + 0x6D2B79F5) >>> 0; /* Advance state by odd constant (Weyl sequence) */
+        let mixed = this.state; /* Working copy for bit mixing */
+        mixed = Math.imul(mixed ^ (mixed >>> 15), mixed | 1); /* First avalanche round */
+        mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61); /* Second avalanche round */
+        return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296; /* Scale 32-bit result into [0, 1) */
+    }
+
+    range(min, max) { /* Return float in [min, max) */
+        return min + this.next() * (max - min); /* Scale unit value into range */
+    }
+}
@@ -0,0 +1,61 @@
+class SchemaValidator { /* Minimal JSON Schema subset validator for config data (type, enum, ranges, properties, items) */
+
+    static validate(value, schema, path = '$') { /* Return list of error strings - empty list means valid */
+        const errors = []; /* Collected problems */
+        SchemaValidator.checkNode(value, schema, path, errors); /* Walk schema recursively */
+        return errors; /* Caller decides whether to throw */
+    }
+
+    static assertValid(value, schema, label) { /* Throw one error listing every problem */
+        const errors = SchemaValidator.validate(value, schema); /* Collect problems */
+        if (errors.length > 0) { /* Invalid data must not reach the game */
+            throw new Error(`Invalid ${label}:\n  ${errors.join('\n  ')}`); /* One line per problem */
+        }
+    }
+
+    static typeOf(value) { /* JSON Schema type name of a value */
+        if (Array.isArray(value)) return 'array'; /* Arrays are objects in JS */
+        if (value === null) return 'null'; /* null is an object in JS */
+        if (Number.isInteger(value)) return 'integer'; /* Integers also satisfy 'number' */
+        return typeof value; /* number, string, boolean, object */
+    }
+
+    static matchesType(value, expectedType) { /* Check a value against a schema type name */
+        const actualType = SchemaValidator.typeOf(value); /* Type of value */
+        return actualType === expectedType || (expectedType === 'number' && actualType === 'integer'); /* Integers are numbers */
+    }
+
+    static checkNode(value, schema, path, errors) { /* Validate one value against one schema node */
+        if (schema.type && !SchemaValidator.matchesType(value, schema.type)) { /* Wrong type stops deeper checks */
+            errors.push(`${path}: expected ${schema.type}, got ${SchemaValidator.typeOf(value)}`); /* Report type */
+            return; /* Nested checks would only add noise */
+        }
+        if (schema.enum && !schema.enum.includes(value)) { /* Value outside allowed set */
+            errors.push(`${path}: must be one of ${schema.enum.join(', ')}`); /* Report allowed values */
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) { /* Below range */
+            errors.push(`${path}: must be >= ${schema.minimum}`); /* Report bound */
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) { /* Above range */
+            errors.push(`${path}: must be <= ${schema.maximum}`); /* Report bound */
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) { /* Too few entries */
+            errors.push(`${path}: needs at least ${schema.minItems} item(s)`); /* Report count */
+        }
+        if (schema.items) { /* Validate every array entry */
+            value.forEach((item, index) => SchemaValidator.checkNode(item, schema.items, `${path}[${index}]`, errors)); /* Recurse per item */
+        }
+        if (schema.properties) { /* Validate object fields */
+            (schema.required ?? []).forEach(key => { /* Required fields must exist */
+                if (!(key in value)) errors.push(`${path}.${key}: is required`); /* Report missing field */
+            });
+            Object.keys(value).forEach(key => { /* Check each present field */
+                if (schema.properties[key]) { /* Known field */
+                    SchemaValidator.checkNode(value[key], schema.properties[key], `${path}.${key}`, errors); /* Recurse */
+                } else if (schema.additionalProperties === false) { /* Typos should not pass silently */
+                    errors.push(`${path}.${key}: unknown property`); /* Report unexpected field */
+                }
+            });
+        }
+    }
+}